@@ -27,6 +27,17 @@ var shell = kbox.util.shell;
 // Partition and parse argv.
 var argv = kbox.tasks.partitionArgv(process.argv.slice(2));
 
+// The config profile option wins over the KALABOX_CONFIG_PROFILE environment
+// variable.
+if (argv.options.configProfile) {
+  env.setEnv('KALABOX_CONFIG_PROFILE', argv.options.configProfile);
+}
+
+// Operations on busy apps wait instead of failing with the wait option.
+if (argv.options.wait) {
+  env.setEnv('KALABOX_WAIT', 'true');
+}
+
 /*
  * Handler errors.
  */
@@ -171,7 +182,12 @@ function getAppContextFromCwdConfig(apps, callback) {
   var cwd = process.cwd();
   var configFilepath = path.join(cwd, 'kalabox.json');
   if (fs.existsSync(configFilepath)) {
-    var config = kbox.core.config.getAppConfig(null, cwd);
+    var config;
+    try {
+      config = kbox.core.config.getAppConfig(null, cwd);
+    } catch (err) {
+      return callback(err);
+    }
     if (config.appName) {
       kbox.app.create(config.appName, config, function(err, app) {
         callback(err, app);
@@ -263,7 +279,16 @@ function processTask(app) {
   } else if (kbox.tasks.isTask(result)) {
 
     // We found a task, so run it.
-    kbox.tasks.run(result, function(err) {
+    var run = _.partial(kbox.tasks.run, result);
+
+    // Record tasks run on an app in the app's history, tasks that only
+    // display things opt out.
+    if (result === appResult && result.history) {
+      var operation = _.rest(result.path).join(' ');
+      run = _.partial(kbox.app.recordOperation, app, operation, run);
+    }
+
+    run(function(err) {
 
       // Whoops an error happened.
       if (err) {
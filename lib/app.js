@@ -5,7 +5,7 @@
 
 'use strict';
 
-var fs = require('fs');
+var fs = require('fs-extra');
 var path = require('path');
 var core = require('./core.js');
 var engine = require('./engine.js');
@@ -15,13 +15,30 @@ var helpers = util.helpers;
 var _ = require('lodash');
 var share = require('./share.js');
 var disco = require('./app/discovery.js');
+var healthcheck = require('./app/healthcheck.js');
+var hooks = require('./app/hooks.js');
+var lock = require('./app/lock.js');
+var appHistory = require('./app/history.js');
+var archive = require('./app/archive.js');
+var doctor = require('./app/doctor.js');
+var gc = require('./app/gc.js');
+var appEnv = require('./app/env.js');
 var async = require('async');
+var tsort = require('tsort');
 var kbox = require('./kbox.js');
 
 var pp = function(obj) {
   return JSON.stringify(obj, null, '  ');
 };
 
+/*
+ * Wrap an app operation so it holds the app's lock and is recorded in the
+ * app's history, failing to get the lock is recorded too.
+ */
+var operation = function(name, fn) {
+  return appHistory.wrap(name, lock.wrap(name, fn));
+};
+
 var createComponent = function(app, name, componentSpec) {
   var component = {};
   for (var key in componentSpec) {
@@ -158,19 +175,26 @@ var list = exports.list = function(callback) {
       function(appName, next) {
         disco.getAppDir(appName, function(err, dir) {
           if (err) {
-            next(err);
-          } else {
-            var config = core.config.getAppConfig(appName, dir);
-            create(appName, config, function(err, app) {
-              next(err, app);
-            });
+            return next(err);
           }
+          var config;
+          try {
+            config = core.config.getAppConfig(appName, dir);
+          } catch (err) {
+            // One broken kalabox.json should not break every other app.
+            core.log.info('Skipping app [' + appName + ']: ' + err.message);
+            return next(null, null);
+          }
+          create(appName, config, function(err, app) {
+            next(err, app);
+          });
         });
       },
       function(err, apps) {
         if (err) {
           callback(err);
         } else {
+          apps = _.compact(apps);
 
           // Search for duplicate app names.
           var groups = _.groupBy(apps, function(app) {
@@ -224,18 +248,356 @@ var get = function(appName, callback) {
 };
 exports.get = get;
 
-var getComponents = function(app) {
+/*
+ * Find the app registry entry of an app name or directory.
+ */
+var findAppDir = function(target, callback) {
+  disco.listAppDirs(function(err, appDirs) {
+    if (err) {
+      return callback(err);
+    }
+    var appDir = _.find(appDirs, {appName: target}) ||
+      _.find(appDirs, function(appDir) {
+        return path.resolve(appDir.dir) === path.resolve(target);
+      });
+    if (!appDir) {
+      callback(new Error('[' + target + '] is not in the app registry.'));
+    } else {
+      callback(null, appDir);
+    }
+  });
+};
+
+/**
+ * Lists the directories in the app registry and whether they are valid.
+ * @static
+ * @method
+ * @arg {function} callback - Callback called with the registry entries.
+ * @arg {error} callback.error
+ * @arg {array} callback.appDirs - Entries with a dir, the name of the app in
+ *   it and a state, one of ok, missing when the directory is gone, no-app when
+ *   it has no kalabox.json with an appName and invalid when its kalabox.json
+ *   can't be read.
+ * @example
+ * kbox.app.listAppDirs(function(err, appDirs) {
+ *   if (err) {
+ *     throw err;
+ *   }
+ *   appDirs.forEach(function(appDir) {
+ *     console.log(appDir.dir + ' ' + appDir.state);
+ *   });
+ * });
+ */
+exports.listAppDirs = function(callback) {
+  if (typeof callback !== 'function') {
+    throw new TypeError('Invalid callback function: ' + callback);
+  }
+  disco.listAppDirs(callback);
+};
+
+/**
+ * Looks for apps in the scan roots of the global config and adds the ones
+ * missing from the app registry to it. Scan roots default to the appsRoot and
+ * are walked up to scanDepth directories deep.
+ * @static
+ * @method
+ * @arg {object} [opts] - Object containing the scan options.
+ * @arg {boolean} opts.dryRun - Only find the apps, don't register them.
+ * @arg {function} callback - Callback called with the apps found.
+ * @arg {error} callback.error
+ * @arg {array} callback.appDirs - Apps found, each with a dir, the app's name
+ *   and whether it was already registered. Unless dryRun is set apps also
+ *   have added.
+ * @example
+ * kbox.app.scanAppDirs(function(err, appDirs) {
+ *   if (err) {
+ *     throw err;
+ *   }
+ *   appDirs.forEach(function(appDir) {
+ *     console.log(appDir.appName + ' in ' + appDir.dir);
+ *   });
+ * });
+ */
+exports.scanAppDirs = function(opts, callback) {
+  if (typeof opts === 'function' && callback === undefined) {
+    callback = opts;
+    opts = {};
+  }
+  if (typeof callback !== 'function') {
+    throw new TypeError('Invalid callback function: ' + callback);
+  }
+  opts = opts || {};
+  async.parallel({
+    scanned: disco.scanAppDirs,
+    registered: disco.listAppDirs
+  }, function(err, results) {
+    if (err) {
+      return callback(err);
+    }
+    var registered = _.map(results.registered, function(appDir) {
+      return path.resolve(appDir.dir);
+    });
+    var appDirs = _.map(results.scanned, function(appDir) {
+      return _.extend({}, appDir, {
+        registered: _.contains(registered, path.resolve(appDir.dir))
+      });
+    });
+    if (opts.dryRun) {
+      return callback(null, appDirs);
+    }
+    async.eachSeries(_.reject(appDirs, 'registered'), function(appDir, next) {
+      disco.registerAppDir(appDir.dir, function(err, added) {
+        appDir.added = added;
+        next(err);
+      });
+    }, function(err) {
+      callback(err || null, err ? null : appDirs);
+    });
+  });
+};
+
+/**
+ * Removes an app from the app registry without touching its directory or
+ * containers. Scanning the scan roots skips its directory from now on, until
+ * the app is registered again, ex. by installing it.
+ * @static
+ * @method
+ * @arg {string} target - Name or directory of the app to forget.
+ * @arg {function} callback - Callback called when the app is forgotten.
+ * @arg {error} callback.error
+ * @arg {string} callback.dir - Directory that was removed from the registry.
+ * @example
+ * kbox.app.forgetAppDir('myapp', function(err, dir) {
+ *   if (err) {
+ *     throw err;
+ *   }
+ *   console.log('Forgot ' + dir);
+ * });
+ */
+exports.forgetAppDir = function(target, callback) {
+  if (typeof callback !== 'function') {
+    throw new TypeError('Invalid callback function: ' + callback);
+  }
+  findAppDir(target, function(err, appDir) {
+    if (err) {
+      return callback(err);
+    }
+    disco.forgetAppDir(appDir.dir, function(err) {
+      callback(err || null, err ? null : appDir.dir);
+    });
+  });
+};
+
+/**
+ * Removes the directories that no longer exist from the app registry. Like
+ * forgotten apps, scanning skips them when they show up again.
+ * @static
+ * @method
+ * @arg {function} callback - Callback called when the registry is pruned.
+ * @arg {error} callback.error
+ * @arg {array} callback.dirs - Directories removed from the registry.
+ * @example
+ * kbox.app.pruneAppDirs(function(err, dirs) {
+ *   if (err) {
+ *     throw err;
+ *   }
+ *   console.log('Removed ' + dirs.length + ' directories.');
+ * });
+ */
+exports.pruneAppDirs = function(callback) {
+  if (typeof callback !== 'function') {
+    throw new TypeError('Invalid callback function: ' + callback);
+  }
+  disco.pruneAppDirs(callback);
+};
+
+/**
+ * Points the app registry at the new location of an app that was moved. The
+ * new directory has to contain the same app.
+ * @static
+ * @method
+ * @arg {string} target - Name or old directory of the app.
+ * @arg {string} dir - New directory of the app.
+ * @arg {function} callback - Callback called when the registry is updated.
+ * @arg {error} callback.error
+ * @example
+ * kbox.app.moveAppDir('myapp', '/home/me/apps/myapp', function(err) {
+ *   if (err) {
+ *     throw err;
+ *   }
+ * });
+ */
+exports.moveAppDir = function(target, dir, callback) {
+  if (typeof callback !== 'function') {
+    throw new TypeError('Invalid callback function: ' + callback);
+  }
+  dir = path.resolve(dir);
+  var configFile = path.join(dir, core.config.CONFIG_FILENAME);
+  if (!fs.existsSync(configFile)) {
+    return callback(new Error(dir + ' does not contain a ' +
+      core.config.CONFIG_FILENAME + '.'));
+  }
+  findAppDir(target, function(err, appDir) {
+    if (err) {
+      return callback(err);
+    }
+    var appName;
+    try {
+      appName = JSON.parse(fs.readFileSync(configFile, 'utf8')).appName;
+    } catch (err) {
+      return callback(err);
+    }
+    if (appDir.appName && appName !== appDir.appName) {
+      return callback(new Error(dir + ' contains app [' + appName +
+        '] instead of [' + appDir.appName + '].'));
+    }
+    disco.moveAppDir(appDir.dir, dir, callback);
+  });
+};
+
+/*
+ * Get the names of the components a component depends on.
+ */
+var getDependencyNames = function(app, name) {
+  var deps = app.components[name].dependsOn || [];
+  if (!_.isArray(deps)) {
+    throw new Error('Component [' + name + '] has an invalid dependsOn, ' +
+      'it should be a list of component names.');
+  }
   // Make sure data container is always numba one!
-  var components = _.toArray(app.components);
-  var data = _.remove(components, function(component) {
-    if (component.name === 'data') {
-      return component;
+  if (name !== 'data' && app.components.data) {
+    deps = ['data'].concat(deps);
+  }
+  return deps;
+};
+
+/*
+ * Sort the names of an app's components so every component comes after the
+ * components it depends on, throws on cycles and unknown dependencies.
+ * Components without dependencies keep the order they have in the app config.
+ */
+var getComponentNames = function(app) {
+  // Use a topo sort for dependency sorting.
+  var graph = tsort();
+  var names = _.keys(app.components);
+  _.each(names.slice().reverse(), function(name) {
+    var deps = getDependencyNames(app, name);
+    graph.add([name]);
+    _.each(deps, function(dep) {
+      if (!app.components[dep]) {
+        throw new Error('Component [' + name + '] depends on unknown ' +
+          'component [' + dep + '].');
+      }
+      graph.add([name, dep]);
+    });
+  });
+
+  var sorted = null;
+  try {
+    sorted = graph.sort();
+  } catch (err) {
+    if (_.startsWith(err.message, 'There is a cycle in the graph.')) {
+      throw new Error('The components of app [' + app.name + '] have ' +
+        'circular dependsOn references.');
     }
+    throw err;
+  }
+  return sorted.reverse();
+};
+
+/*
+ * Sort an app's components so every component comes after the components it
+ * depends on.
+ */
+var getComponents = function(app) {
+  return _.map(getComponentNames(app), function(name) {
+    return app.components[name];
   });
-  if (!_.isEmpty(data)) {
-    components.unshift(data[0]);
+};
+
+/*
+ * Get a component of an app by name, or make sure a component object belongs
+ * to the app.
+ */
+var findComponent = function(app, component) {
+  var name = _.isString(component) ? component : component && component.name;
+  if (!name || !app.components[name]) {
+    throw new Error('Component [' + name + '] does not exist.');
+  }
+  return app.components[name];
+};
+
+/*
+ * Same as getComponents but only returns the named components, or all
+ * components when no names are given.
+ */
+var selectComponents = function(app, names) {
+  var components = getComponents(app);
+  if (_.isEmpty(names)) {
+    return components;
+  }
+  _.each(names, function(name) {
+    findComponent(app, name);
+  });
+  return _.filter(components, function(component) {
+    return _.contains(names, component.name);
+  });
+};
+
+/*
+ * Make the list of component names of app functions optional.
+ */
+var componentsArg = function(components, callback) {
+  if (typeof components === 'function' && callback === undefined) {
+    return {components: null, callback: components};
+  }
+  if (components && !_.isArray(components)) {
+    components = [components];
+  }
+  if (typeof callback !== 'function') {
+    throw new TypeError('Invalid callback function: ' + callback);
   }
-  return components;
+  return {components: components, callback: callback};
+};
+
+/*
+ * Apply iterator to components in dependency order, or in reverse dependency
+ * order when reverse is set. Components that don't depend on each other are
+ * handled concurrently, up to the componentConcurrency config. Components
+ * depending on a component that failed are skipped.
+ */
+var eachComponent = function(app, components, reverse, iterator, callback) {
+  var getDeps = function(component) {
+    var deps = null;
+    if (reverse) {
+      deps = _.filter(components, function(other) {
+        return _.contains(getDependencyNames(app, other.name), component.name);
+      });
+    } else {
+      deps = _.map(getDependencyNames(app, component.name), function(name) {
+        return app.components[name];
+      });
+    }
+    // Only wait on components that are actually being handled.
+    return _.intersection(deps, components);
+  };
+  var limit = app.config.componentConcurrency || 1;
+  util.algo.eachGraphLimitContinue(components, getDeps, limit, iterator,
+    callback);
+};
+
+/*
+ * Emit a lifecycle event of an app or of one of its components, then run the
+ * hooks kalabox.json declares for the event.
+ */
+var emit = function(events, app, name, component, callback) {
+  events.emit(name, component || app, function(err) {
+    if (err) {
+      callback(err);
+    } else {
+      hooks.run(app, name, component, callback);
+    }
+  });
 };
 
 var getInstallOptions = function(app, component) {
@@ -253,23 +615,40 @@ var getInstallOptions = function(app, component) {
       opts[key] = component.installOptions[key];
     }
   }
+  opts.Env = appEnv.toList(appEnv.getEnv(app, component));
   return opts;
 };
 
 var installComponent = function(events, app, component, callback) {
-  component.installOptions = getInstallOptions(app, component);
-  events.emit('pre-install-component', component, function(err) {
+  // Listeners of the component's events change the create options through
+  // its installOptions, put the configured ones back afterwards since they
+  // are a source of its environment.
+  var configured = component.installOptions;
+  try {
+    component.installOptions = getInstallOptions(app, component);
+  } catch (err) {
+    return callback(err);
+  }
+  var done = function(err) {
+    if (configured === undefined) {
+      delete component.installOptions;
+    } else {
+      component.installOptions = configured;
+    }
+    callback(err);
+  };
+  emit(events, app, 'pre-install-component', component, function(err) {
     if (err) {
-      callback(err);
+      done(err);
     } else {
       engine.build(component.image, function(err) {
         if (err) {
-          callback(err);
+          done(err);
         } else {
           // @todo: debug remove
           engine.create(component.installOptions, function(err, container) {
             if (err) {
-              callback(err);
+              done(err);
             } else {
               if (container) {
                 component.containerId = container.cid;
@@ -277,9 +656,7 @@ var installComponent = function(events, app, component, callback) {
                   path.resolve(component.containerIdFile), container.cid
                 );
               }
-              events.emit('post-install-component', component, function(err) {
-                callback(err);
-              });
+              emit(events, app, 'post-install-component', component, done);
             }
           });
         }
@@ -288,47 +665,163 @@ var installComponent = function(events, app, component, callback) {
   });
 };
 
+/**
+ * Installs a single component of an app. Only the component's events are
+ * emitted, not the app's pre-install and post-install events, and the
+ * components it depends on are left alone.
+ * @static
+ * @method
+ * @arg {object} app - App object of the component.
+ * @arg {string|object} component - Name of the component or the component.
+ * @arg {function} callback - Callback called when the component has been
+ *   installed.
+ * @arg {error} callback.error
+ * @example
+ * kbox.app.installComponent(app, 'web', function(err) {
+ *   if (err) {
+ *     throw err;
+ *   }
+ * });
+ */
+exports.installComponent = operation('install',
+function(app, component, callback) {
+  try {
+    component = findComponent(app, component);
+  } catch (err) {
+    return callback(err);
+  }
+  core.deps.call(function(events) {
+    installComponent(events, app, component, callback);
+  });
+});
+
+/*
+ * Undo a failed install, removing the containers and container id files it
+ * created and unregistering the app's directory if the install registered it.
+ * Failures are logged since the install already failed.
+ */
+var rollbackInstall = function(app, created, callback) {
+  var components = created.components.slice().reverse();
+  core.log.info('Install of app [' + app.name + '] failed, removing ' +
+    components.length + ' new container(s).');
+  async.eachSeries(components, function(component, next) {
+    engine.remove(component.containerId, function(err) {
+      if (err) {
+        core.log.info('Could not remove container of component [' +
+          component.name + ']: ' + err.message);
+        return next();
+      }
+      component.containerId = null;
+      if (fs.existsSync(component.containerIdFile)) {
+        fs.unlinkSync(component.containerIdFile);
+      }
+      next();
+    });
+  }, function() {
+    if (!created.registered) {
+      return callback();
+    }
+    disco.unregisterAppDir(app.config.appRoot, function(err) {
+      if (err) {
+        core.log.info('Could not unregister app [' + app.name + ']: ' +
+          err.message);
+      }
+      callback();
+    });
+  });
+};
+
 /**
  * Installs an app's components.
  * @static
  * @method
  * @arg {object} app - App object you want to install.
+ * @arg {array} [components] - Names of the components to install, defaults to
+ *   all components. Components they depend on are left alone.
+ * @arg {object} [opts] - Object containing the install options.
+ * @arg {boolean} opts.keepPartial - Keep what was created when the install
+ *   fails. By default the containers and container id files the install
+ *   created are removed and the app's directory is unregistered again if
+ *   the install registered it.
  * @arg {function} callback - Callback called when the app has been installed.
- * @arg {array} callback.errors - Array of errors from installing components.
+ * @arg {error} callback.error - Error from installing components, errors of
+ *   several components are combined.
  * @example
- * kbox.app.install(app, function(errs) {
- *   if (errs) {
- *     throw errs;
+ * kbox.app.install(app, function(err) {
+ *   if (err) {
+ *     throw err;
  *   } else {
  *     console.log('App installed.');
  *   }
  * });
  */
-var install = function(app, callback) {
+var install = function(app, names, opts, callback) {
+  if (typeof opts === 'function' && callback === undefined) {
+    callback = opts;
+    opts = {};
+  }
+  var args = componentsArg(names, callback);
+  names = args.components;
+  callback = args.callback;
+  opts = opts || {};
+  // What the install created, to undo it when the install fails.
+  var created = {components: [], registered: false};
+  var fail = function(err) {
+    if (opts.keepPartial) {
+      return callback(err);
+    }
+    rollbackInstall(app, created, function() {
+      callback(err);
+    });
+  };
+  // Fail early on bad dependencies, the components are sorted again after
+  // pre-install since listeners can add components.
+  try {
+    selectComponents(app, names);
+  } catch (err) {
+    return callback(err);
+  }
   core.deps.call(function(events) {
     services.verify(function(err) {
       if (err) {
         callback(err);
       } else {
-        events.emit('pre-install', app, function(err) {
+        emit(events, app, 'pre-install', null, function(err) {
           if (err) {
             callback(err);
           } else {
-            disco.registerAppDir(app.config.appRoot, function(err) {
+            disco.registerAppDir(app.config.appRoot, function(err, added) {
+              created.registered = !!added;
               if (err) {
                 callback(err);
               } else {
-                helpers.mapAsync(
-                  getComponents(app),
+                var components;
+                try {
+                  components = selectComponents(app, names);
+                } catch (err) {
+                  return fail(err);
+                }
+                eachComponent(app, components, false,
                   function(component, done) {
-                    installComponent(events, app, component, done);
+                    var containerId = component.containerId;
+                    installComponent(events, app, component, function(err) {
+                      if (component.containerId &&
+                        component.containerId !== containerId) {
+                        created.components.push(component);
+                      }
+                      done(err);
+                    });
                   },
-                  function(errs) {
-                    if (errs && errs.length > 0) {
-                      callback(errs[0]);
+                  function(err) {
+                    if (err) {
+                      fail(err);
                     } else {
-                      events.emit('post-install', app, function(err) {
-                        callback(err);
+                      emit(events, app, 'post-install', null, function(err) {
+                        if (err) {
+                          fail(err);
+                        } else {
+                          callback(null);
+                        }
                       });
                     }
                   }
@@ -341,7 +834,7 @@ var install = function(app, callback) {
     });
   });
 };
-exports.install = install;
+exports.install = operation('install', install);
 
 var getStartOptions = function(app, component, opts) {
   var startOpts = {
@@ -358,19 +851,26 @@ var getStartOptions = function(app, component, opts) {
 
 var startComponent = function(events, app, component, callback) {
   component.opts = getStartOptions(app, component);
-  events.emit('pre-start-component', component, function(err) {
+  emit(events, app, 'pre-start-component', component, function(err) {
     if (err) {
       callback(err);
     } else {
-      engine.start(component.containerId, component.opts, function(err) {
+      // Components with a healthcheck are waited on with it instead of the
+      // short delay engine.start waits.
+      var start = component.healthcheck ? engine.startNow : engine.start;
+      start(component.containerId, component.opts, function(err) {
         if (err) {
           callback(err);
         } else {
-          events.emit('post-start-component', component, function(err) {
+          // Don't let post start listeners race the component coming up.
+          healthcheck.wait(component, function(err) {
             if (err) {
               callback(err);
             } else {
-              callback(err);
+              emit(events, app, 'post-start-component', component,
+              function(err) {
+                callback(err);
+              });
             }
           });
         }
@@ -379,43 +879,84 @@ var startComponent = function(events, app, component, callback) {
   });
 };
 
+/**
+ * Starts a single component of an app. Only the component's events are
+ * emitted, not the app's pre-start and post-start events, and the components
+ * it depends on are left alone.
+ * @static
+ * @method
+ * @arg {object} app - App object of the component.
+ * @arg {string|object} component - Name of the component or the component.
+ * @arg {function} callback - Callback called when the component has been
+ *   started.
+ * @arg {error} callback.error
+ * @example
+ * kbox.app.startComponent(app, 'web', function(err) {
+ *   if (err) {
+ *     throw err;
+ *   }
+ * });
+ */
+exports.startComponent = operation('start', function(app, component, callback) {
+  try {
+    component = findComponent(app, component);
+  } catch (err) {
+    return callback(err);
+  }
+  core.deps.call(function(events) {
+    startComponent(events, app, component, callback);
+  });
+});
+
 /**
  * Starts an app's components.
  * @static
  * @method
  * @arg {object} app - App object you want to start.
+ * @arg {array} [components] - Names of the components to start, defaults to
+ *   all components. Components they depend on are left alone.
  * @arg {function} callback - Callback called when the app has been started.
- * @arg {array} callback.errors - Array of errors from starting components.
+ * @arg {error} callback.error - Error from starting components, errors of
+ *   several components are combined.
  * @example
- * kbox.app.start(app, function(errs) {
- *   if (errs) {
- *     throw errs;
+ * kbox.app.start(app, function(err) {
+ *   if (err) {
+ *     throw err;
  *   } else {
  *     console.log('App started.');
  *   }
  * });
  */
-var start = function(app, callback) {
+var start = function(app, names, callback) {
+  var args = componentsArg(names, callback);
+  names = args.components;
+  callback = args.callback;
+  var components;
+  try {
+    components = selectComponents(app, names);
+  } catch (err) {
+    return callback(err);
+  }
   core.deps.call(function(events) {
     services.verify(function(err) {
       if (err) {
         callback(err);
       } else {
-        events.emit('pre-start', app, function(err) {
+        emit(events, app, 'pre-start', null, function(err) {
           if (err) {
             callback(err);
           } else {
-            helpers.mapAsync(
-              getComponents(app),
+            eachComponent(app, components, false,
               function(component, done) {
                 startComponent(events, app, component, done);
               },
-              function(errs) {
+              function(startErr) {
                 events.emit('post-start', app, function(err) {
-                  if (err) {
-                    callback(err);
+                  // Hooks only run when every component started.
+                  if (err || startErr) {
+                    callback(err || startErr);
                   } else {
-                    callback(errs);
+                    hooks.run(app, 'post-start', null, callback);
                   }
                 });
               }
@@ -426,10 +967,10 @@ var start = function(app, callback) {
     });
   });
 };
-exports.start = start;
+exports.start = operation('start', start);
 
-var stopComponent = function(events, component, callback) {
-  events.emit('pre-stop-component', component, function(err) {
+var stopComponent = function(events, app, component, callback) {
+  emit(events, app, 'pre-stop-component', component, function(err) {
     if (err) {
       callback(err);
     } else {
@@ -437,7 +978,7 @@ var stopComponent = function(events, component, callback) {
         if (err) {
           callback(err);
         } else {
-          events.emit('post-stop-component', component, function(err) {
+          emit(events, app, 'post-stop-component', component, function(err) {
             callback(err);
           });
         }
@@ -446,44 +987,86 @@ var stopComponent = function(events, component, callback) {
   });
 };
 
+/**
+ * Stops a single component of an app. Only the component's events are
+ * emitted, not the app's pre-stop and post-stop events, and the components
+ * it depends on are left alone.
+ * @static
+ * @method
+ * @arg {object} app - App object of the component.
+ * @arg {string|object} component - Name of the component or the component.
+ * @arg {function} callback - Callback called when the component has been
+ *   stopped.
+ * @arg {error} callback.error
+ * @example
+ * kbox.app.stopComponent(app, 'web', function(err) {
+ *   if (err) {
+ *     throw err;
+ *   }
+ * });
+ */
+exports.stopComponent = operation('stop', function(app, component, callback) {
+  try {
+    component = findComponent(app, component);
+  } catch (err) {
+    return callback(err);
+  }
+  core.deps.call(function(events) {
+    stopComponent(events, app, component, callback);
+  });
+});
+
 /**
  * Stops an app's components.
  * @static
  * @method
  * @arg {object} app - App object you want to stop.
+ * @arg {array} [components] - Names of the components to stop, defaults to
+ *   all components. Components they depend on are left alone.
  * @arg {function} callback - Callback called when the app has been stopped.
- * @arg {array} callback.errors - Array of errors from stopping components.
+ * @arg {error} callback.error - Error from stopping components, errors of
+ *   several components are combined.
  * @example
- * kbox.app.stop(app, function(errs) {
- *   if (errs) {
- *     throw errs;
+ * kbox.app.stop(app, function(err) {
+ *   if (err) {
+ *     throw err;
  *   } else {
  *     console.log('App stopped.');
  *   }
  * });
  */
-var stop = function(app, callback) {
+var stop = function(app, names, callback) {
+  var args = componentsArg(names, callback);
+  names = args.components;
+  callback = args.callback;
+  // Stop components before the components they depend on.
+  var components;
+  try {
+    components = selectComponents(app, names).reverse();
+  } catch (err) {
+    return callback(err);
+  }
   core.deps.call(function(events) {
     services.verify(function(err) {
       if (err) {
         callback(err);
       }
       else {
-        events.emit('pre-stop', app, function(err) {
+        emit(events, app, 'pre-stop', null, function(err) {
           if (err) {
             callback(err);
           } else {
-            helpers.mapAsync(
-              getComponents(app),
+            eachComponent(app, components, true,
               function(component, done) {
-                stopComponent(events, component, done);
+                stopComponent(events, app, component, done);
               },
-              function(errs) {
+              function(stopErr) {
                 events.emit('post-stop', app, function(err) {
-                  if (err) {
-                    callback(err);
+                  // Hooks only run when every component stopped.
+                  if (err || stopErr) {
+                    callback(err || stopErr);
                   } else {
-                    callback(errs);
+                    hooks.run(app, 'post-stop', null, callback);
                   }
                 });
               }
@@ -494,36 +1077,42 @@ var stop = function(app, callback) {
     });
   });
 };
-exports.stop = stop;
+exports.stop = operation('stop', stop);
 
 /**
  * Stops and then starts an app's components.
  * @static
  * @method
  * @arg {object} app - App object you want to restart.
+ * @arg {array} [components] - Names of the components to restart, defaults to
+ *   all components. Components they depend on are left alone.
  * @arg {function} callback - Callback called when the app has been restarted.
- * @arg {array} callback.errors - Array of errors from restarting components.
+ * @arg {error} callback.error - Error from restarting components, errors of
+ *   several components are combined.
  * @example
- * kbox.app.restart(app, function(errs) {
- *   if (errs) {
- *     throw errs;
+ * kbox.app.restart(app, function(err) {
+ *   if (err) {
+ *     throw err;
  *   } else {
  *     console.log('App Restarted.');
  *   }
  * });
  */
-exports.restart = function(app, callback) {
-  stop(app, function(err) {
+exports.restart = operation('restart', function(app, names, callback) {
+  var args = componentsArg(names, callback);
+  names = args.components;
+  callback = args.callback;
+  stop(app, names, function(err) {
     if (err) {
       callback(err);
     } else {
-      start(app, callback);
+      start(app, names, callback);
     }
   });
-};
+});
 
-var uninstallComponent = function(events, component, callback) {
-  events.emit('pre-uninstall-component', component, function(err) {
+var uninstallComponent = function(events, app, component, callback) {
+  emit(events, app, 'pre-uninstall-component', component, function(err) {
     if (err) {
       callback(err);
     } else {
@@ -532,7 +1121,8 @@ var uninstallComponent = function(events, component, callback) {
           callback(err);
         } else {
           fs.unlinkSync(component.containerIdFile);
-          events.emit('post-uninstall-component', component, function(err) {
+          emit(events, app, 'post-uninstall-component', component,
+          function(err) {
             callback(err);
           });
         }
@@ -542,37 +1132,79 @@ var uninstallComponent = function(events, component, callback) {
 };
 
 /**
- * Uninstalls an app's components except for the data container.
+ * Uninstalls a single component of an app. Only the component's events are
+ * emitted, not the app's pre-uninstall and post-uninstall events, and the
+ * components it depends on are left alone.
  * @static
  * @method
- * @arg {object} app - App object you want to uninstall.
- * @arg {function} callback - Callback called when the app has been uninstalled.
- * @arg {array} callback.errors - Array of errors from uninstalling components.
+ * @arg {object} app - App object of the component.
+ * @arg {string|object} component - Name of the component or the component.
+ * @arg {function} callback - Callback called when the component has been
+ *   uninstalled.
+ * @arg {error} callback.error
  * @example
- * kbox.app.uninstall(app, function(err) {
+ * kbox.app.uninstallComponent(app, 'web', function(err) {
  *   if (err) {
  *     throw err;
- *   } else {
- *     console.log('App uninstalled.');
  *   }
  * });
  */
-var uninstall = function(app, callback) {
+exports.uninstallComponent = operation('uninstall',
+function(app, component, callback) {
+  try {
+    component = findComponent(app, component);
+  } catch (err) {
+    return callback(err);
+  }
   core.deps.call(function(events) {
-    events.emit('pre-uninstall', app, function(err) {
-      if (err) {
-        callback(err);
-      } else {
-        helpers.mapAsync(
-          getComponents(app),
+    uninstallComponent(events, app, component, callback);
+  });
+});
+
+/**
+ * Uninstalls an app's components except for the data container.
+ * @static
+ * @method
+ * @arg {object} app - App object you want to uninstall.
+ * @arg {array} [components] - Names of the components to uninstall, defaults to
+ *   all components. Components they depend on are left alone.
+ * @arg {function} callback - Callback called when the app has been uninstalled.
+ * @arg {error} callback.error - Error from uninstalling components, errors of
+ *   several components are combined.
+ * @example
+ * kbox.app.uninstall(app, function(err) {
+ *   if (err) {
+ *     throw err;
+ *   } else {
+ *     console.log('App uninstalled.');
+ *   }
+ * });
+ */
+var uninstall = function(app, names, callback) {
+  var args = componentsArg(names, callback);
+  names = args.components;
+  callback = args.callback;
+  // Remove components before the components they depend on.
+  var components;
+  try {
+    components = selectComponents(app, names).reverse();
+  } catch (err) {
+    return callback(err);
+  }
+  core.deps.call(function(events) {
+    emit(events, app, 'pre-uninstall', null, function(err) {
+      if (err) {
+        callback(err);
+      } else {
+        eachComponent(app, components, true,
           function(component, done) {
-            uninstallComponent(events, component, done);
+            uninstallComponent(events, app, component, done);
           },
-          function(errs) {
-            if (errs && errs.length > 0) {
-              callback(errs[0]);
+          function(err) {
+            if (err) {
+              callback(err);
             } else {
-              events.emit('post-uninstall', app, function(err) {
+              emit(events, app, 'post-uninstall', null, function(err) {
                 callback(err);
               });
             }
@@ -582,7 +1214,7 @@ var uninstall = function(app, callback) {
     });
   });
 };
-exports.uninstall = uninstall;
+exports.uninstall = operation('uninstall', uninstall);
 
 /**
  * Rebuilds an apps containers. This will stop an app's containers, remove all
@@ -592,6 +1224,8 @@ exports.uninstall = uninstall;
  * @static
  * @method
  * @arg {object} app - App object you want to rebuild.
+ * @arg {array} [components] - Names of the components to rebuild, defaults to
+ *   all components. Components they depend on are left alone.
  * @arg {function} callback - Callback called when the app has been rebuilt.
  * @arg {array} callback.errors - Error from rebuilding components.
  * @example
@@ -602,19 +1236,28 @@ exports.uninstall = uninstall;
  *     console.log('App rebuilt!.');
  *   }
  * });
+ * // Only rebuild the web component.
+ * kbox.app.rebuild(app, ['web'], function(err) {
+ *   if (err) {
+ *     throw err;
+ *   }
+ * });
  */
-exports.rebuild = function(app, callback) {
-  stop(app, function(err) {
+exports.rebuild = operation('rebuild', function(app, names, callback) {
+  var args = componentsArg(names, callback);
+  names = args.components;
+  callback = args.callback;
+  stop(app, names, function(err) {
     if (err) {
       callback(err);
     }
     else {
-      uninstall(app, function(err) {
+      uninstall(app, names, function(err) {
         if (err) {
           callback(err);
         }
         else {
-          install(app, function(err) {
+          install(app, names, function(err) {
             if (err) {
               callback(err);
             }
@@ -626,4 +1269,939 @@ exports.rebuild = function(app, callback) {
       });
     }
   });
+});
+
+// Component states reported by status.
+var STATE_NOT_INSTALLED = 'not installed';
+var STATE_STOPPED = 'stopped';
+var STATE_RUNNING = 'running';
+var STATE_UNHEALTHY = 'unhealthy';
+
+/*
+ * Get the status of a single component. The data component isn't set up like
+ * the other components and may not have a name, so the name is given.
+ */
+var componentStatus = function(name, component, callback) {
+  var status = {
+    name: name,
+    state: STATE_NOT_INSTALLED,
+    containerId: component.containerId,
+    image: component.image.name,
+    startedAt: null,
+    uptime: null,
+    url: component.url || null,
+    ports: []
+  };
+  if (!component.containerId) {
+    return callback(null, status);
+  }
+  engine.info(component.containerId, function(err, info) {
+    if (err) {
+      return callback(err);
+    } else if (!info) {
+      // The cid file points to a container that is gone.
+      return callback(null, status);
+    }
+    status.image = info.image || status.image;
+    status.ports = _.map(info.ports, function(binding) {
+      var parts = binding.split('=>');
+      return {container: parts[0], host: _.parseInt(parts[1])};
+    });
+    if (!info.running) {
+      status.state = STATE_STOPPED;
+      return callback(null, status);
+    }
+    engine.inspect(component.containerId, function(err, data) {
+      if (err) {
+        return callback(err);
+      }
+      var startedAt = new Date(data.State.StartedAt);
+      status.startedAt = startedAt.toISOString();
+      status.uptime = Math.floor((Date.now() - startedAt.getTime()) / 1000);
+      healthcheck.check(component, function(err, healthy, reason) {
+        if (err) {
+          return callback(err);
+        }
+        status.state = healthy ? STATE_RUNNING : STATE_UNHEALTHY;
+        if (!healthy) {
+          status.reason = reason;
+        }
+        callback(null, status);
+      });
+    });
+  });
+};
+
+/**
+ * Gets the status of an app and each of its components. Components are
+ * either not installed, stopped, running or unhealthy, where unhealthy means
+ * running but failing its healthcheck. The app is running (or unhealthy)
+ * when all of its components besides the data container are running, stopped
+ * when none of them are, partial when some of them are, and not installed
+ * when none of them are installed.
+ * @static
+ * @method
+ * @arg {object} app - App object you want the status of.
+ * @arg {function} callback - Callback called with the status of the app.
+ * @arg {error} callback.error
+ * @arg {object} callback.status - Object with the name, url and state of the
+ *   app, and the state, containerId, image, startedAt, uptime in seconds,
+ *   url and ports of each of its components.
+ * @example
+ * kbox.app.status(app, function(err, status) {
+ *   if (err) {
+ *     throw err;
+ *   } else {
+ *     status.components.forEach(function(component) {
+ *       console.log(component.name + ' is ' + component.state);
+ *     });
+ *   }
+ * });
+ */
+exports.status = function(app, callback) {
+  if (typeof callback !== 'function') {
+    throw new TypeError('Invalid callback function: ' + callback);
+  }
+  var names;
+  try {
+    names = getComponentNames(app);
+  } catch (err) {
+    return callback(err);
+  }
+  async.mapSeries(names, function(name, next) {
+    componentStatus(name, app.components[name], next);
+  }, function(err, statuses) {
+    if (err) {
+      return callback(err);
+    }
+    var states = _.pluck(_.reject(statuses, {name: 'data'}), 'state');
+    var count = function(state) {
+      return _.filter(states, function(other) {
+        return other === state;
+      }).length;
+    };
+    var running = count(STATE_RUNNING) + count(STATE_UNHEALTHY);
+    var state = 'partial';
+    if (count(STATE_NOT_INSTALLED) === states.length) {
+      state = STATE_NOT_INSTALLED;
+    } else if (count(STATE_UNHEALTHY) > 0 && running === states.length) {
+      state = STATE_UNHEALTHY;
+    } else if (running === states.length) {
+      state = STATE_RUNNING;
+    } else if (running === 0) {
+      state = STATE_STOPPED;
+    }
+    callback(null, {
+      name: app.name,
+      url: app.url,
+      state: state,
+      components: statuses
+    });
+  });
+};
+
+/**
+ * Checks that an app's container id files, containers, data container and
+ * app registry entry agree with each other, and optionally repairs them.
+ * Finds stale and missing container id files, missing and unknown
+ * containers, a missing data container, apps sharing the app's name, images
+ * whose Dockerfile is missing and apps missing from the registry.
+ * @static
+ * @method
+ * @arg {object} app - App object you want to check.
+ * @arg {object} [opts] - Object containing the doctor options.
+ * @arg {boolean} opts.fix - Repair the problems kbox knows how to repair.
+ * @arg {function} callback - Callback called with the problems found.
+ * @arg {error} callback.error
+ * @arg {array} callback.problems - Problems, each with a code, the name of
+ *   the component or null, a message, whether it is fixable and a hint for
+ *   problems to fix by hand. With fix set problems also have fixed, and
+ *   error when the repair failed.
+ * @example
+ * kbox.app.doctor(app, {fix: true}, function(err, problems) {
+ *   if (err) {
+ *     throw err;
+ *   }
+ *   problems.forEach(function(problem) {
+ *     console.log(problem.code + ': ' + problem.message);
+ *   });
+ * });
+ */
+exports.doctor = operation('doctor', function(app, opts, callback) {
+  if (typeof opts === 'function' && callback === undefined) {
+    callback = opts;
+    opts = {};
+  }
+  if (typeof callback !== 'function') {
+    throw new TypeError('Invalid callback function: ' + callback);
+  }
+  opts = opts || {};
+  doctor.check(app, function(err, problems) {
+    if (err) {
+      callback(err);
+    } else if (opts.fix) {
+      doctor.fix(problems, callback);
+    } else {
+      callback(null, problems);
+    }
+  });
+});
+
+/**
+ * Finds what apps that are no longer in the app registry left behind: their
+ * containers, their data containers and dangling images. Data containers are
+ * only removed with includeData set, since removing them loses the app's data
+ * for good.
+ * @static
+ * @method
+ * @arg {object} [opts] - Object containing the garbage collection options.
+ * @arg {boolean} opts.includeData - Also remove data containers.
+ * @arg {boolean} opts.dryRun - Only find the garbage, don't remove it.
+ * @arg {function} callback - Callback called with the garbage.
+ * @arg {error} callback.error
+ * @arg {array} callback.items - Garbage, each with a type of container, data
+ *   or image, an id, a name, the app it belonged to and whether it is
+ *   skipped. Unless dryRun is set items also have removed, and error when
+ *   removing them failed.
+ * @example
+ * kbox.app.collectGarbage({dryRun: true}, function(err, items) {
+ *   if (err) {
+ *     throw err;
+ *   }
+ *   items.forEach(function(item) {
+ *     console.log(item.type + ' ' + (item.name || item.id));
+ *   });
+ * });
+ */
+exports.collectGarbage = function(opts, callback) {
+  if (typeof opts === 'function' && callback === undefined) {
+    callback = opts;
+    opts = {};
+  }
+  if (typeof callback !== 'function') {
+    throw new TypeError('Invalid callback function: ' + callback);
+  }
+  opts = opts || {};
+  gc.find(opts, function(err, items) {
+    if (err) {
+      callback(err);
+    } else if (opts.dryRun) {
+      callback(null, items);
+    } else {
+      gc.remove(items, callback);
+    }
+  });
+};
+
+/**
+ * Removes garbage found by a dry run of collectGarbage, ex. once the user
+ * confirmed removing it. Exactly the items given are removed, except for the
+ * skipped ones.
+ * @static
+ * @method
+ * @arg {array} items - Garbage returned by collectGarbage.
+ * @arg {function} callback - Callback called when everything has been tried.
+ * @arg {error} callback.error
+ * @arg {array} callback.items - The items, with removed set and error when
+ *   removing them failed.
+ * @example
+ * kbox.app.collectGarbage({dryRun: true}, function(err, items) {
+ *   if (err) {
+ *     throw err;
+ *   }
+ *   kbox.app.removeGarbage(items, function(err, items) {
+ *     console.log(_.filter(items, 'removed').length + ' removed.');
+ *   });
+ * });
+ */
+exports.removeGarbage = function(items, callback) {
+  if (typeof callback !== 'function') {
+    throw new TypeError('Invalid callback function: ' + callback);
+  }
+  gc.remove(items, callback);
+};
+
+/**
+ * Exports an app's data into a gzipped tar archive. The archive contains a
+ * versioned manifest, the app's kalabox.json, the contents of every volume of
+ * the app's data container and optionally the app's code directory.
+ * @static
+ * @method
+ * @arg {object} app - App object you want to export.
+ * @arg {string} file - File to write the archive to.
+ * @arg {object} [opts] - Object containing the export options.
+ * @arg {boolean} opts.code - Also export the app's code directory.
+ * @arg {function} callback - Callback called when the archive is written.
+ * @arg {error} callback.error
+ * @arg {object} callback.manifest - Manifest of the archive.
+ * @example
+ * kbox.app.exportArchive(app, 'backup.tar.gz', {code: true},
+ * function(err, manifest) {
+ *   if (err) {
+ *     throw err;
+ *   } else {
+ *     console.log('Exported ' + manifest.volumes.join(', '));
+ *   }
+ * });
+ */
+exports.exportArchive = function(app, file, opts, callback) {
+  if (typeof opts === 'function' && callback === undefined) {
+    callback = opts;
+    opts = {};
+  }
+  if (typeof callback !== 'function') {
+    throw new TypeError('Invalid callback function: ' + callback);
+  }
+  archive.exportArchive(app, file, opts || {}, callback);
+};
+
+/**
+ * Imports an archive made by exportArchive into an app. The app is installed
+ * first if it doesn't have a data container yet, and a running app is
+ * stopped during the import and started again afterwards. Fails when the
+ * archive's format is newer than this version of kbox supports or when the
+ * app's data container is missing volumes from the archive.
+ * @static
+ * @method
+ * @arg {object} app - App object you want to import into.
+ * @arg {string} file - Archive to import.
+ * @arg {object} [opts] - Object containing the import options.
+ * @arg {boolean} opts.code - Import the code directory if the archive has
+ *   one, defaults to true.
+ * @arg {boolean} opts.config - Replace the app's kalabox.json with the one
+ *   from the archive, the app keeps its name.
+ * @arg {function} callback - Callback called when the archive is imported.
+ * @arg {error} callback.error
+ * @arg {object} callback.manifest - Manifest of the archive.
+ * @example
+ * kbox.app.importArchive(app, 'backup.tar.gz', function(err, manifest) {
+ *   if (err) {
+ *     throw err;
+ *   } else {
+ *     console.log('Imported export of ' + manifest.appName);
+ *   }
+ * });
+ */
+exports.importArchive = operation('import',
+function(app, file, opts, callback) {
+  if (typeof opts === 'function' && callback === undefined) {
+    callback = opts;
+    opts = {};
+  }
+  if (typeof callback !== 'function') {
+    throw new TypeError('Invalid callback function: ' + callback);
+  }
+  opts = opts || {};
+  async.waterfall([
+    function(next) {
+      engine.exists(app.dataContainerName, next);
+    },
+    function(exists, next) {
+      if (exists) {
+        next();
+      } else {
+        install(app, next);
+      }
+    },
+    function(next) {
+      exports.status(app, next);
+    },
+    function(status, next) {
+      var running = status.state !== STATE_STOPPED &&
+        status.state !== STATE_NOT_INSTALLED;
+      var done = function(err, manifest) {
+        if (err || !running) {
+          next(err, manifest);
+        } else {
+          start(app, function(err) {
+            next(err, manifest);
+          });
+        }
+      };
+      if (!running) {
+        return archive.importArchive(app, file, opts, done);
+      }
+      stop(app, function(err) {
+        if (err) {
+          next(err);
+        } else {
+          archive.importArchive(app, file, opts, done);
+        }
+      });
+    }
+  ], callback);
+});
+
+/*
+ * Create a data container for a clone with the same image, volumes and volume
+ * contents as the app's data container.
+ */
+var cloneDataContainer = function(app, clone, callback) {
+  engine.exists(app.dataContainerName, function(err, exists) {
+    if (err || !exists) {
+      return callback(err);
+    }
+    engine.inspect(app.dataContainerName, function(err, data) {
+      if (err) {
+        return callback(err);
+      }
+      var opts = _.pick(data.Config, 'Image', 'Cmd', 'Entrypoint', 'Env',
+        'Volumes');
+      opts.name = clone.dataContainerName;
+      engine.create(opts, function(err, container) {
+        if (err) {
+          return callback(err);
+        }
+        fs.writeFileSync(path.join(clone.config.appCidsRoot, 'data'),
+          container.cid);
+        async.eachSeries(_.keys(data.Volumes), function(volume, next) {
+          engine.copyFrom(app.dataContainerName, volume,
+          function(err, stream) {
+            if (err) {
+              return next(err);
+            }
+            var dir = volume.slice(0, volume.lastIndexOf('/')) || '/';
+            engine.copyTo(container.cid, dir, stream, next);
+          });
+        }, callback);
+      });
+    });
+  });
+};
+
+/*
+ * Get the error of an invalid app name, null when the name is valid.
+ */
+var checkAppName = function(name) {
+  if (!/^[a-z0-9][a-z0-9\-]*$/i.test(name || '')) {
+    return new Error('Invalid app name [' + name + '], use letters, ' +
+      'numbers and dashes.');
+  }
+  return null;
+};
+
+/*
+ * Take the lock of the name an app is renamed or cloned to, so no other kbox
+ * creates or runs an app under that name meanwhile. The name is checked
+ * first since the lock file is named after it.
+ */
+var lockNewName = function(name, operation, callback) {
+  var err = checkAppName(name);
+  if (err) {
+    return callback(err);
+  }
+  lock.acquire({name: name}, operation, callback);
+};
+
+/*
+ * Make sure an app can be created under a name in a directory.
+ */
+var checkNewApp = function(name, dir, callback) {
+  var err = checkAppName(name);
+  if (err) {
+    return callback(err);
+  }
+  disco.getAppDir(name, function(err, appDir) {
+    if (err) {
+      callback(err);
+    } else if (appDir) {
+      callback(new Error('App [' + name + '] already exists in ' + appDir));
+    } else if (dir && fs.existsSync(dir)) {
+      callback(new Error('Directory already exists: ' + dir));
+    } else {
+      callback();
+    }
+  });
+};
+
+/*
+ * Set the app name in the kalabox.json and package.json of an app dir, the
+ * way kbox create does.
+ */
+var writeAppName = function(dir, name) {
+  var kbFile = path.join(dir, core.config.CONFIG_FILENAME);
+  var kalaboxJson = JSON.parse(fs.readFileSync(kbFile, 'utf8'));
+  kalaboxJson.appName = name;
+  fs.writeFileSync(kbFile, JSON.stringify(kalaboxJson, null, 2));
+  // App configs are loaded with require, make sure the new one gets loaded.
+  delete require.cache[path.resolve(kbFile)];
+  var pkgFile = path.join(dir, 'package.json');
+  if (fs.existsSync(pkgFile)) {
+    var pkgJson = JSON.parse(fs.readFileSync(pkgFile, 'utf8'));
+    pkgJson.name = name;
+    fs.writeFileSync(pkgFile, JSON.stringify(pkgJson, null, 2));
+  }
+};
+
+/*
+ * Install and optionally start an app other than the one kbox was run for,
+ * or only the components named in opts.components.
+ */
+var installOther = function(app, opts, callback) {
+  if (!opts.install && !opts.start) {
+    return callback();
+  }
+  var names = opts.components || [];
+  // Plugins look up the app they are working on, and the app's own plugins
+  // listen to its events like they do when kbox is run for the app.
+  core.deps.override({app: app, appConfig: app.config}, function(restore) {
+    async.series([
+      _.partial(loadPlugins, app),
+      _.partial(install, app, names),
+      function(next) {
+        if (opts.start) {
+          start(app, names, next);
+        } else {
+          next();
+        }
+      }
+    ], function(err) {
+      restore();
+      callback(err);
+    });
+  });
+};
+
+/**
+ * Clones an app under a new name. The app's root directory is copied next to
+ * it, or into opts.dir, with appName in kalabox.json and name in package.json
+ * rewritten to the new name. The contents of the app's data container are
+ * copied into a new data container for the clone and the clone is registered
+ * with kbox. Container id files are not copied, so the clone's other
+ * components are not installed unless opts.install is set. The new name is
+ * locked like the app while the app is cloned. When a step fails the steps
+ * done so far are undone.
+ * @static
+ * @method
+ * @arg {object} app - App object you want to clone.
+ * @arg {string} name - Name of the clone.
+ * @arg {object} [opts] - Object containing the clone options.
+ * @arg {string} opts.dir - Directory to create the clone's root directory in,
+ *   defaults to the directory the app's root directory is in.
+ * @arg {boolean} opts.install - Install the clone.
+ * @arg {boolean} opts.start - Install and start the clone.
+ * @arg {function} callback - Callback called when the app has been cloned.
+ * @arg {error} callback.error
+ * @arg {object} callback.clone - App object of the clone.
+ * @example
+ * kbox.app.clone(app, 'myapp2', {start: true}, function(err, clone) {
+ *   if (err) {
+ *     throw err;
+ *   } else {
+ *     console.log('Clone running at ' + clone.url);
+ *   }
+ * });
+ */
+exports.clone = operation('clone', function(app, name, opts, callback) {
+  if (typeof opts === 'function' && callback === undefined) {
+    callback = opts;
+    opts = {};
+  }
+  if (typeof callback !== 'function') {
+    throw new TypeError('Invalid callback function: ' + callback);
+  }
+  opts = opts || {};
+  var dest = path.join(opts.dir || path.dirname(app.root), name);
+  var clone = null;
+  var releaseName = _.noop;
+  // Functions undoing the steps done so far.
+  var undo = [];
+  async.series([
+    function(next) {
+      lockNewName(name, 'clone', function(err, release) {
+        releaseName = release || releaseName;
+        next(err);
+      });
+    },
+    function(next) {
+      checkNewApp(name, dest, next);
+    },
+    function(next) {
+      // A failed copy can leave part of the clone's root directory behind.
+      undo.push(_.partial(fs.remove, dest));
+      // Container id files belong to the app's containers, not the clone's.
+      var cidsRoot = path.resolve(app.config.appCidsRoot);
+      fs.copy(app.root, dest, {filter: function(file) {
+        var relative = path.relative(cidsRoot, path.resolve(file));
+        return relative === '..' || _.startsWith(relative, '..' + path.sep);
+      }}, next);
+    },
+    function(next) {
+      writeAppName(dest, name);
+      create(name, core.config.getAppConfig(name, dest), function(err, app) {
+        clone = app;
+        next(err);
+      });
+    },
+    function(next) {
+      undo.push(function(next) {
+        engine.exists(clone.dataContainerName, function(err, exists) {
+          if (err || !exists) {
+            next(err);
+          } else {
+            engine.remove(clone.dataContainerName, next);
+          }
+        });
+      });
+      cloneDataContainer(app, clone, next);
+    },
+    function(next) {
+      disco.registerAppDir(clone.config.appRoot, function(err, added) {
+        if (added) {
+          undo.push(_.partial(disco.unregisterAppDir, clone.config.appRoot));
+        }
+        next(err);
+      });
+    },
+    function(next) {
+      // A failed install removes what it created, but starting can still
+      // fail after the install worked.
+      undo.push(function(next) {
+        var names = _.filter(_.without(getComponentNames(clone), 'data'),
+          function(name) {
+          return !!clone.components[name].containerId;
+        });
+        if (_.isEmpty(names)) {
+          return next();
+        }
+        stop(clone, names, function() {
+          uninstall(clone, names, next);
+        });
+      });
+      installOther(clone, opts, next);
+    }
+  ], function(err) {
+    if (!err) {
+      releaseName();
+      return callback(null, clone);
+    }
+    core.log.info('Cloning app [' + app.name + '] failed, undoing ' +
+      undo.length + ' step(s).');
+    async.eachSeries(undo.reverse(), function(fn, next) {
+      fn(function(undoErr) {
+        if (undoErr) {
+          core.log.info('Could not undo a step of cloning app [' +
+            app.name + ']: ' + undoErr.message);
+        }
+        next();
+      });
+    }, function() {
+      releaseName();
+      callback(err);
+    });
+  });
+});
+
+/**
+ * Renames an app. The app is stopped and its components are uninstalled,
+ * then appName in kalabox.json and name in package.json are rewritten, the
+ * app's root directory is moved if it is named after the app, and the app
+ * registry is updated. The contents of the data container are copied into a
+ * data container named after the new name, the old data container is only
+ * removed once everything else worked. Components that were installed are
+ * installed again under the new name, and the app is started again if it
+ * was running. The new name is locked like the app while the app is renamed.
+ * When a step fails the steps done so far are undone.
+ * @static
+ * @method
+ * @arg {object} app - App object you want to rename.
+ * @arg {string} name - New name of the app.
+ * @arg {function} callback - Callback called when the app has been renamed.
+ * @arg {error} callback.error
+ * @arg {object} callback.app - App object under the new name.
+ * @example
+ * kbox.app.rename(app, 'newname', function(err, renamed) {
+ *   if (err) {
+ *     throw err;
+ *   } else {
+ *     console.log('App is now at ' + renamed.url);
+ *   }
+ * });
+ */
+exports.rename = operation('rename', function(app, name, callback) {
+  if (typeof callback !== 'function') {
+    throw new TypeError('Invalid callback function: ' + callback);
+  }
+  var dest = app.root;
+  if (path.basename(app.root) === app.name) {
+    dest = path.join(path.dirname(app.root), name);
+  }
+  // The data container is copied, not uninstalled and installed again.
+  var names = _.without(_.keys(app.components), 'data');
+  var dataCidFile = path.join(dest, path.relative(app.root,
+    path.join(app.config.appCidsRoot, 'data')));
+  var renamed = null;
+  var state = null;
+  var dataCid = null;
+  var releaseName = _.noop;
+  // Functions undoing the steps done so far.
+  var undo = [];
+  async.series([
+    function(next) {
+      lockNewName(name, 'rename', function(err, release) {
+        releaseName = release || releaseName;
+        next(err);
+      });
+    },
+    function(next) {
+      checkNewApp(name, dest === app.root ? null : dest, next);
+    },
+    function(next) {
+      exports.status(app, function(err, status) {
+        if (err) {
+          return next(err);
+        }
+        state = status.state;
+        var components = _.reject(status.components, {name: 'data'});
+        var missing = _.filter(components, {state: STATE_NOT_INSTALLED});
+        if (state !== STATE_NOT_INSTALLED && !_.isEmpty(missing)) {
+          return next(new Error('App [' + app.name + '] is partially ' +
+            'installed, install or uninstall it before renaming it.'));
+        }
+        next();
+      });
+    },
+    function(next) {
+      if (state === STATE_NOT_INSTALLED || state === STATE_STOPPED) {
+        return next();
+      }
+      stop(app, function(err) {
+        if (!err) {
+          undo.push(_.partial(start, app));
+        }
+        next(err);
+      });
+    },
+    function(next) {
+      if (state === STATE_NOT_INSTALLED || _.isEmpty(names)) {
+        return next();
+      }
+      uninstall(app, names, function(err) {
+        if (!err) {
+          undo.push(_.partial(install, app, names));
+        }
+        next(err);
+      });
+    },
+    function(next) {
+      writeAppName(app.root, name);
+      undo.push(function(next) {
+        writeAppName(app.root, app.name);
+        next();
+      });
+      if (dest === app.root) {
+        return next();
+      }
+      fs.rename(app.root, dest, function(err) {
+        if (!err) {
+          undo.push(_.partial(fs.rename, dest, app.root));
+        }
+        next(err);
+      });
+    },
+    function(next) {
+      disco.moveAppDir(app.root, dest, function(err) {
+        if (!err) {
+          undo.push(_.partial(disco.moveAppDir, dest, app.root));
+        }
+        next(err);
+      });
+    },
+    function(next) {
+      appHistory.rename(app, name);
+      undo.push(function(next) {
+        appHistory.rename({name: name}, app.name);
+        next();
+      });
+      next();
+    },
+    function(next) {
+      create(name, core.config.getAppConfig(name, dest), function(err, app) {
+        renamed = app;
+        next(err);
+      });
+    },
+    function(next) {
+      // The copy writes the container id file the old one shares.
+      if (fs.existsSync(dataCidFile)) {
+        dataCid = fs.readFileSync(dataCidFile, 'utf8');
+      }
+      undo.push(function(next) {
+        engine.exists(renamed.dataContainerName, function(err, exists) {
+          if (err || !exists) {
+            return next(err);
+          }
+          engine.remove(renamed.dataContainerName, function(err) {
+            if (!err && dataCid) {
+              fs.writeFileSync(dataCidFile, dataCid);
+            } else if (!err && fs.existsSync(dataCidFile)) {
+              fs.unlinkSync(dataCidFile);
+            }
+            next(err);
+          });
+        });
+      });
+      cloneDataContainer(app, renamed, next);
+    },
+    function(next) {
+      if (state === STATE_NOT_INSTALLED || _.isEmpty(names)) {
+        return next();
+      }
+      installOther(renamed, {install: true, components: names},
+      function(err) {
+        if (!err) {
+          undo.push(function(next) {
+            // Components that did start have to be stopped first.
+            stop(renamed, names, function() {
+              uninstall(renamed, names, next);
+            });
+          });
+        }
+        next(err);
+      });
+    },
+    function(next) {
+      if (state === STATE_NOT_INSTALLED || state === STATE_STOPPED ||
+        _.isEmpty(names)) {
+        return next();
+      }
+      core.deps.override({app: renamed, appConfig: renamed.config},
+      function(restore) {
+        start(renamed, names, function(err) {
+          restore();
+          next(err);
+        });
+      });
+    },
+    function(next) {
+      engine.exists(app.dataContainerName, function(err, exists) {
+        if (err || !exists) {
+          next(err);
+        } else {
+          engine.remove(app.dataContainerName, next);
+        }
+      });
+    }
+  ], function(err) {
+    if (!err) {
+      releaseName();
+      return callback(null, renamed);
+    }
+    core.log.info('Renaming app [' + app.name + '] failed, undoing ' +
+      undo.length + ' step(s).');
+    async.eachSeries(undo.reverse(), function(fn, next) {
+      fn(function(undoErr) {
+        if (undoErr) {
+          core.log.info('Could not undo a step of renaming app [' +
+            app.name + ']: ' + undoErr.message);
+        }
+        next();
+      });
+    }, function() {
+      releaseName();
+      callback(err);
+    });
+  });
+});
+
+/**
+ * Gets the environment variables of an app component from kbox, kalabox.json
+ * and the app's .env file, see lib/app/env.js for the precedence of these
+ * sources. Containers get this environment when they are installed.
+ * @static
+ * @method
+ * @arg {object} app - App object of the component.
+ * @arg {object} component - Component to get the environment of.
+ * @arg {function} callback - Callback called with the environment.
+ * @arg {error} callback.error - Error from an invalid source.
+ * @arg {object} callback.env - Map of variable names to values.
+ * @example
+ * kbox.app.getEnv(app, app.components.web, function(err, env) {
+ *   if (err) {
+ *     throw err;
+ *   } else {
+ *     console.log('Code is in /' + env.KBOX_CODEDIR);
+ *   }
+ * });
+ */
+exports.getEnv = function(app, component, callback) {
+  if (typeof callback !== 'function') {
+    throw new TypeError('Invalid callback function: ' + callback);
+  }
+  var env;
+  try {
+    env = appEnv.getEnv(app, component);
+  } catch (err) {
+    return callback(err);
+  }
+  callback(null, env);
+};
+
+/**
+ * Runs an operation on an app and records it in the app's history, like the
+ * lifecycle functions of this module do. Use it for operations of plugins
+ * that change an app. Operations run while another operation of the app is
+ * running are part of it and are not recorded.
+ * @static
+ * @method
+ * @arg {object} app - App object the operation runs on.
+ * @arg {string} operation - Name of the operation, ex. drush.
+ * @arg {function} fn - Function running the operation, called with a
+ *   callback.
+ * @arg {function} callback - Callback called with the results of the
+ *   operation.
+ * @example
+ * kbox.app.recordOperation(app, 'drush', function(done) {
+ *   runDrush(app, done);
+ * }, function(err) {
+ *   if (err) {
+ *     throw err;
+ *   }
+ * });
+ */
+exports.recordOperation = function(app, operation, fn, callback) {
+  if (typeof fn !== 'function') {
+    throw new TypeError('Invalid operation function: ' + fn);
+  }
+  if (typeof callback !== 'function') {
+    throw new TypeError('Invalid callback function: ' + callback);
+  }
+  appHistory.record(app, operation, fn, callback);
+};
+
+/**
+ * Gets the history of the operations run on an app, oldest first. Each entry
+ * has a timestamp, the operation, the user, the kbox version, the duration in
+ * milliseconds, an outcome of success or failure and the error message.
+ * @static
+ * @method
+ * @arg {object} app - App object you want the history of.
+ * @arg {object} [opts] - Object containing the filters.
+ * @arg {string} opts.operation - Only entries of this operation.
+ * @arg {string} opts.outcome - Only entries with this outcome.
+ * @arg {date} opts.since - Only entries of operations started since then.
+ * @arg {integer} opts.limit - Only the latest entries, this many at most.
+ * @arg {function} callback - Callback called with the entries.
+ * @arg {error} callback.error
+ * @arg {array} callback.entries
+ * @example
+ * kbox.app.getHistory(app, {outcome: 'failure'}, function(err, entries) {
+ *   if (err) {
+ *     throw err;
+ *   }
+ *   entries.forEach(function(entry) {
+ *     console.log(entry.timestamp + ' ' + entry.operation + ': ' +
+ *       entry.error);
+ *   });
+ * });
+ */
+exports.getHistory = function(app, opts, callback) {
+  if (typeof opts === 'function' && callback === undefined) {
+    callback = opts;
+    opts = {};
+  }
+  if (typeof callback !== 'function') {
+    throw new TypeError('Invalid callback function: ' + callback);
+  }
+  appHistory.read(app, opts, callback);
 };
@@ -0,0 +1,411 @@
+'use strict';
+
+/*
+ * Export and import of app data as portable archives.
+ *
+ * An archive is a gzipped tar with these entries, in this order:
+ *
+ *   manifest.json - Format version, kbox version, app name, creation date,
+ *                   data container volumes and whether code is included.
+ *   kalabox.json  - The app's config file.
+ *   volumes/...   - Contents of each data container volume by volume path,
+ *                   ex. volumes/var/lib/mysql/...
+ *   code/...      - The app's code directory, if it was included.
+ *
+ * Volume contents are streamed straight from and to the data container so
+ * file ownership inside the container is kept.
+ */
+
+var fs = require('fs');
+var path = require('path');
+var zlib = require('zlib');
+var async = require('async');
+var tar = require('tar-stream');
+var core = require('../core.js');
+var engine = require('../engine.js');
+var util = require('../util.js');
+var _ = require('lodash');
+
+// Version of the archive layout, bump it when older versions of kbox would
+// not be able to import the new layout.
+var FORMAT = 1;
+
+var MANIFEST_FILENAME = 'manifest.json';
+
+/*
+ * Get the volumes of an app's data container.
+ */
+var getVolumes = function(app, callback) {
+  engine.exists(app.dataContainerName, function(err, exists) {
+    if (err) {
+      callback(err);
+    } else if (!exists) {
+      callback(new Error('App [' + app.name + '] does not have a data ' +
+        'container, install the app first.'));
+    } else {
+      engine.inspect(app.dataContainerName, function(err, data) {
+        callback(err, err ? null : _.keys(data.Volumes).sort());
+      });
+    }
+  });
+};
+
+/*
+ * Get the directory part of a path inside of a container.
+ */
+var containerDirname = function(file) {
+  return file.slice(0, file.lastIndexOf('/')) || '/';
+};
+
+/*
+ * Read a whole tar entry into a string.
+ */
+var readEntry = function(stream, callback) {
+  var chunks = [];
+  stream.on('data', function(chunk) {
+    chunks.push(chunk);
+  });
+  stream.on('error', callback);
+  stream.on('end', function() {
+    callback(null, Buffer.concat(chunks).toString());
+  });
+};
+
+/*
+ * Copy the entries of a tar stream into a pack, renaming the root entry.
+ */
+var appendArchive = function(pack, stream, root, callback) {
+  var done = _.once(callback);
+  var extract = tar.extract();
+  extract.on('entry', function(header, entryStream, next) {
+    var parts = _.filter(header.name.split('/'), function(part) {
+      return part && part !== '.';
+    });
+    parts[0] = root;
+    header.name = parts.join('/');
+    var entry = pack.entry(header, function(err) {
+      if (err) {
+        done(err);
+      } else {
+        next();
+      }
+    });
+    if (header.type === 'file') {
+      entryStream.pipe(entry);
+    } else {
+      entryStream.resume();
+    }
+  });
+  extract.on('error', done);
+  extract.on('finish', function() {
+    done(null);
+  });
+  stream.on('error', done);
+  stream.pipe(extract);
+};
+
+/*
+ * Make sure an archive can be imported into an app.
+ */
+var checkManifest = function(app, manifest, volumes) {
+  if (!_.isFinite(manifest.format) || manifest.format < 1) {
+    throw new Error('Invalid manifest, format is missing.');
+  }
+  if (manifest.format > FORMAT) {
+    throw new Error('Unsupported export format ' + manifest.format +
+      ', this version of kbox can import format ' + FORMAT + ' and older.');
+  }
+  var missing = _.difference(manifest.volumes, volumes);
+  if (!_.isEmpty(missing)) {
+    throw new Error('The data container of app [' + app.name + '] does ' +
+      'not have volumes ' + missing.join(', ') + ' from the export.');
+  }
+};
+
+/*
+ * A sink is a tar pack stream being consumed by a function, like copying it
+ * into a container.
+ */
+var createSink = function(key, consume, onError) {
+  var pack = tar.pack();
+  var result = null;
+  var waiting = null;
+  consume(pack, function(err) {
+    result = {err: err || null};
+    if (err) {
+      onError(err);
+    } else if (waiting) {
+      waiting(null);
+    }
+  });
+  return {
+    key: key,
+    pack: pack,
+    end: function(callback) {
+      pack.finalize();
+      if (result) {
+        callback(result.err);
+      } else {
+        waiting = callback;
+      }
+    }
+  };
+};
+
+/**
+ * Exports an app's data container volumes, its kalabox.json and optionally its
+ * code directory into a gzipped tar archive.
+ * @arg {object} app - App to export.
+ * @arg {string} file - File to write the archive to.
+ * @arg {object} opts - Object containing the export options.
+ * @arg {boolean} opts.code - Also export the code directory.
+ * @arg {function} callback - Callback called when the archive is written.
+ * @arg {error} callback.error
+ * @arg {object} callback.manifest - Manifest of the archive.
+ */
+exports.exportArchive = function(app, file, opts, callback) {
+  getVolumes(app, function(err, volumes) {
+    if (err) {
+      return callback(err);
+    }
+
+    var includeCode = !!opts.code && fs.existsSync(app.config.codeRoot);
+    var manifest = {
+      format: FORMAT,
+      kboxVersion: core.deps.lookup('globalConfig').version,
+      appName: app.name,
+      createdAt: new Date().toISOString(),
+      volumes: volumes,
+      code: includeCode
+    };
+
+    var done = _.once(function(err) {
+      if (err) {
+        // Don't leave half written archives around.
+        out.destroy();
+        fs.unlink(file, function() {
+          callback(err);
+        });
+      } else {
+        callback(null, manifest);
+      }
+    });
+
+    var pack = tar.pack();
+    var gzip = zlib.createGzip();
+    var out = fs.createWriteStream(file);
+    pack.on('error', done);
+    gzip.on('error', done);
+    out.on('error', done);
+    out.on('finish', function() {
+      done(null);
+    });
+    pack.pipe(gzip).pipe(out);
+
+    var configFile = path.join(app.config.appRoot, core.config.CONFIG_FILENAME);
+    pack.entry({name: MANIFEST_FILENAME}, JSON.stringify(manifest, null, '  '));
+    pack.entry({name: core.config.CONFIG_FILENAME},
+      fs.readFileSync(configFile));
+
+    async.eachSeries(volumes, function(volume, next) {
+      engine.copyFrom(app.dataContainerName, volume, function(err, stream) {
+        if (err) {
+          next(err);
+        } else {
+          appendArchive(pack, stream, 'volumes' + volume, next);
+        }
+      });
+    }, function(err) {
+      if (err) {
+        return done(err);
+      }
+      if (!includeCode) {
+        return pack.finalize();
+      }
+      util.tar.append(pack, app.config.codeRoot, 'code', function(err) {
+        if (err) {
+          done(err);
+        } else {
+          pack.finalize();
+        }
+      });
+    });
+  });
+};
+
+/**
+ * Imports an archive made by exportArchive into an app, the app has to have
+ * a data container with the volumes in the archive. Archives are not
+ * trusted, entries that would end up outside of their volume or of the code
+ * directory are refused.
+ * @arg {object} app - App to import into.
+ * @arg {string} file - Archive to import.
+ * @arg {object} opts - Object containing the import options.
+ * @arg {boolean} opts.code - Import the code directory if the archive has
+ *   one, defaults to true.
+ * @arg {boolean} opts.config - Replace the app's kalabox.json with the one in
+ *   the archive, keeping the app's name.
+ * @arg {function} callback - Callback called when the archive is imported.
+ * @arg {error} callback.error
+ * @arg {object} callback.manifest - Manifest of the archive.
+ */
+exports.importArchive = function(app, file, opts, callback) {
+  if (!fs.existsSync(file)) {
+    return callback(new Error('File does not exist: ' + file));
+  }
+  getVolumes(app, function(err, volumes) {
+    if (err) {
+      return callback(err);
+    }
+
+    var done = _.once(callback);
+    var manifest = null;
+    var config = null;
+    var sink = null;
+    var sinks = [];
+    // Guards of the volumes, code is guarded by util.tar.extract.
+    var guards = {};
+    var extract = tar.extract();
+
+    var fail = function(err) {
+      extract.destroy();
+      done(err);
+    };
+
+    // Find out where an entry has to go.
+    var getTarget = function(name) {
+      var parts = _.filter(name.split('/'));
+      if (parts[0] === 'volumes') {
+        var file = '/' + _.rest(parts).join('/');
+        var volume = _.find(manifest.volumes, function(volume) {
+          return file === volume || _.startsWith(file, volume + '/');
+        });
+        if (!volume) {
+          return null;
+        }
+        var base = volume.slice(volume.lastIndexOf('/') + 1);
+        return {
+          key: 'volume:' + volume,
+          name: base + file.slice(volume.length),
+          dir: 'volume ' + volume,
+          parts: file.slice(volume.length).split('/'),
+          consume: function(stream, next) {
+            engine.copyTo(app.dataContainerName, containerDirname(volume),
+              stream, next);
+          }
+        };
+      } else if (parts[0] === 'code' && opts.code !== false) {
+        return {
+          key: 'code',
+          name: name,
+          consume: function(stream, next) {
+            var codeDir = path.basename(app.config.codeRoot);
+            util.tar.extract(stream, app.root, {root: codeDir}, next);
+          }
+        };
+      }
+      return null;
+    };
+
+    extract.on('entry', function(header, stream, next) {
+      var name = header.name;
+
+      // The manifest has to come first.
+      if (!manifest) {
+        if (name !== MANIFEST_FILENAME) {
+          stream.resume();
+          return fail(new Error(file + ' is not a kbox export, it does ' +
+            'not start with a manifest.'));
+        }
+        return readEntry(stream, function(err, data) {
+          try {
+            if (err) {
+              throw err;
+            }
+            manifest = JSON.parse(data);
+            checkManifest(app, manifest, volumes);
+          } catch (err) {
+            return fail(err);
+          }
+          next();
+        });
+      }
+
+      if (name === core.config.CONFIG_FILENAME) {
+        return readEntry(stream, function(err, data) {
+          if (err) {
+            return fail(err);
+          }
+          config = data;
+          next();
+        });
+      }
+
+      var target = getTarget(name);
+      if (!target) {
+        stream.resume();
+        return next();
+      }
+      if (target.dir) {
+        if (!guards[target.key]) {
+          guards[target.key] = util.tar.createGuard(target.dir);
+        }
+        var err = guards[target.key](header, target.parts);
+        if (err) {
+          stream.resume();
+          return fail(err);
+        }
+      }
+      if (!sink || sink.key !== target.key) {
+        if (sink) {
+          sinks.push(sink);
+          sink.pack.finalize();
+        }
+        sink = createSink(target.key, target.consume, fail);
+      }
+      header.name = target.name;
+      var entry = sink.pack.entry(header, function(err) {
+        if (err) {
+          fail(err);
+        } else {
+          next();
+        }
+      });
+      if (header.type === 'file') {
+        stream.pipe(entry);
+      } else {
+        stream.resume();
+      }
+    });
+
+    extract.on('error', fail);
+    extract.on('finish', function() {
+      if (!manifest) {
+        return fail(new Error(file + ' is not a kbox export, it does not ' +
+          'have a manifest.'));
+      }
+      if (sink) {
+        sinks.push(sink);
+      }
+      async.eachSeries(sinks, function(sink, next) {
+        sink.end(next);
+      }, function(err) {
+        if (err) {
+          return done(err);
+        }
+        if (opts.config && config) {
+          var json = JSON.parse(config);
+          json.appName = app.name;
+          var configFile = path.join(app.config.appRoot,
+            core.config.CONFIG_FILENAME);
+          fs.writeFileSync(configFile, JSON.stringify(json, null, '  '));
+        }
+        done(null, manifest);
+      });
+    });
+
+    var gunzip = zlib.createGunzip();
+    gunzip.on('error', fail);
+    fs.createReadStream(file).on('error', fail).pipe(gunzip).pipe(extract);
+  });
+};
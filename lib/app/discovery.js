@@ -32,19 +32,23 @@ var getGlobalConfig = function() {
   });
 };
 
+/*
+ * Read the app registry. It holds the registered app dirs and the dirs that
+ * were forgotten, which scanning the scan roots skips.
+ */
 var getAppRegistry = function() {
   return new Promise(function(fulfill, reject) {
     var globalConfig = getGlobalConfig();
     var filepath = globalConfig.appRegistry;
     fs.exists(filepath, function(exists) {
       if (!exists) {
-        fulfill(); // basically returns undefined
+        fulfill({});
       } else {
         fs.readFile(filepath, function(err, data) {
           if (err) {
             reject(err);
           } else {
-            fulfill(JSON.parse(data).appDirs);
+            fulfill(JSON.parse(data));
           }
         });
       }
@@ -52,10 +56,13 @@ var getAppRegistry = function() {
   });
 };
 
-var setAppRegistry = function(appDirs) {
+var setAppRegistry = function(registry) {
   var json = {
-    appDirs: appDirs
+    appDirs: registry.appDirs
   };
+  if (!_.isEmpty(registry.ignoredDirs)) {
+    json.ignoredDirs = registry.ignoredDirs;
+  }
   return new Promise(function(fulfill, reject) {
     var globalConfig = getGlobalConfig();
     var filepath = globalConfig.appRegistry;
@@ -78,16 +85,23 @@ var setAppRegistry = function(appDirs) {
 
 var getDirsAppRegistry = function() {
   return getAppRegistry()
-  .then(function(appDirs) {
-    if (!appDirs) {
+  .then(function(registry) {
+    if (!registry.appDirs) {
       logDebug('DISCO => App registry does NOT contain appDirs property!');
       return [];
     } else {
-      return appDirs;
+      return registry.appDirs;
     }
   });
 };
 
+var getIgnoredDirsAppRegistry = function() {
+  return getAppRegistry()
+  .then(function(registry) {
+    return registry.ignoredDirs || [];
+  });
+};
+
 var inspectDir = function(dir) {
   return new Promise(function(fulfill, reject) {
     var filepath = path.join(dir, APP_CONFIG_FILENAME);
@@ -96,17 +110,21 @@ var inspectDir = function(dir) {
         fulfill(null);
       } else {
         fs.readFile(filepath, function(err, data) {
-          if (err) {
-            reject(err);
-          } else {
-            var json = JSON.parse(data);
-            if (!json.appName) {
-              logDebug('DISCO => Does NOT contain appName property!', filepath);
-              fulfill(null);
-            } else {
-              cacheAppDir(json.appName, dir);
-              fulfill(json.appName);
+          var json = null;
+          try {
+            if (err) {
+              throw err;
             }
+            json = JSON.parse(data);
+          } catch (err) {
+            return reject(err);
+          }
+          if (!json.appName) {
+            logDebug('DISCO => Does NOT contain appName property!', filepath);
+            fulfill(null);
+          } else {
+            cacheAppDir(json.appName, dir);
+            fulfill(json.appName);
           }
         });
       }
@@ -126,13 +144,280 @@ var inspectDirs = function(dirs) {
   }, []);
 };
 
+/*
+ * Scan caches by cache file. A scan cache has an entry per scanned dir with
+ * the dir's mtime, whether it has a kalabox.json and its children, plus the
+ * mtime and app name of the kalabox.json. Entries are only used while the
+ * mtimes are unchanged.
+ */
+var scanCaches = {};
+
+var getScanCache = function() {
+  var filepath = getGlobalConfig().appScanCache;
+  if (!scanCaches[filepath]) {
+    var dirs = {};
+    try {
+      dirs = JSON.parse(fs.readFileSync(filepath, 'utf8')).dirs || {};
+    } catch (err) {
+      logDebug('DISCO => No usable scan cache.', filepath);
+    }
+    scanCaches[filepath] = {filepath: filepath, dirs: dirs, changed: false};
+  }
+  return scanCaches[filepath];
+};
+
+var saveScanCache = function(cache) {
+  if (!cache.changed) {
+    return Promise.resolve();
+  }
+  cache.changed = false;
+  return new Promise(function(fulfill) {
+    var json = JSON.stringify({dirs: cache.dirs});
+    fs.writeFile(cache.filepath, json, function(err) {
+      if (err) {
+        // The cache only saves time, so don't fail when it can't be saved.
+        logDebug('DISCO => Failed to save scan cache.', err.message);
+      }
+      fulfill();
+    });
+  });
+};
+
+var stat = function(filepath) {
+  return new Promise(function(fulfill) {
+    fs.stat(filepath, function(err, stats) {
+      fulfill(err ? null : stats);
+    });
+  });
+};
+
+/*
+ * Get the cache entry of a dir, reading the dir when it changed.
+ */
+var readScanDir = function(cache, dir, mtime) {
+  var entry = cache.dirs[dir];
+  if (entry && entry.mtime === mtime) {
+    return Promise.resolve(entry);
+  }
+  return new Promise(function(fulfill, reject) {
+    fs.readdir(dir, function(err, names) {
+      if (err) {
+        return reject(err);
+      }
+      entry = {
+        mtime: mtime,
+        config: _.contains(names, APP_CONFIG_FILENAME),
+        children: _.filter(names, function(name) {
+          return !_.startsWith(name, '.') && name !== 'node_modules';
+        }).sort()
+      };
+      cache.dirs[dir] = entry;
+      cache.changed = true;
+      fulfill(entry);
+    });
+  });
+};
+
+/*
+ * Get the app name of a dir with a kalabox.json, reading the kalabox.json
+ * when it changed. Returns the cache entry of the dir, with the app name and
+ * the error reading an invalid kalabox.json.
+ */
+var readScanAppName = function(cache, dir) {
+  var entry = cache.dirs[dir];
+  return stat(path.join(dir, APP_CONFIG_FILENAME))
+  .then(function(stats) {
+    var mtime = stats ? stats.mtime.getTime() : null;
+    if (entry.configMtime === mtime) {
+      if (entry.appName) {
+        cacheAppDir(entry.appName, dir);
+      }
+      return entry;
+    }
+    return inspectDir(dir)
+    .then(function(appName) {
+      entry.configError = null;
+      return appName;
+    }, function(err) {
+      logDebug('DISCO => Skipping invalid app config.', dir, err.message);
+      entry.configError = err.message;
+      return null;
+    })
+    .then(function(appName) {
+      entry.configMtime = mtime;
+      entry.appName = appName;
+      cache.changed = true;
+      return entry;
+    });
+  });
+};
+
+/*
+ * Walk a dir looking for dirs with a kalabox.json, up to depth levels below
+ * the dir. App dirs are not walked any further. Dirs with an invalid
+ * kalabox.json are found with an error instead of an app name.
+ */
+var scanDir = function(cache, dir, depth) {
+  return stat(dir)
+  .then(function(stats) {
+    if (!stats || !stats.isDirectory()) {
+      return [];
+    }
+    return readScanDir(cache, dir, stats.mtime.getTime())
+    .then(function(entry) {
+      if (entry.config) {
+        return readScanAppName(cache, dir)
+        .then(function(entry) {
+          if (entry.appName) {
+            return [{dir: dir, appName: entry.appName}];
+          } else if (entry.configError) {
+            return [{dir: dir, appName: null, error: entry.configError}];
+          }
+          return [];
+        });
+      } else if (depth <= 0) {
+        return [];
+      }
+      return Promise.reduce(entry.children, function(acc, name) {
+        return scanDir(cache, path.join(dir, name), depth - 1)
+        .then(function(appDirs) {
+          return acc.concat(appDirs);
+        });
+      }, []);
+    });
+  });
+};
+
+/*
+ * Walk the scan roots of the global config looking for apps. Dirs that were
+ * forgotten are skipped until they are registered again.
+ */
+var scanRoots = function() {
+  var globalConfig = getGlobalConfig();
+  var depth = _.isFinite(globalConfig.scanDepth) ? globalConfig.scanDepth : 2;
+  var cache = getScanCache();
+  return Promise.reduce(globalConfig.scanRoots || [], function(acc, root) {
+    return scanDir(cache, path.resolve(root), depth)
+    .then(function(appDirs) {
+      return acc.concat(appDirs);
+    });
+  }, [])
+  .then(function(appDirs) {
+    return saveScanCache(cache)
+    .then(getIgnoredDirsAppRegistry)
+    .then(function(ignoredDirs) {
+      return _.reject(_.uniq(appDirs, 'dir'), function(appDir) {
+        return _.contains(ignoredDirs, appDir.dir);
+      });
+    });
+  });
+};
+
+/*
+ * List the dirs with a kalabox.json found in the scan roots of the global
+ * config, with the app name each dir's kalabox.json declares.
+ */
+exports.scanAppDirs = function(callback) {
+  scanRoots()
+  .then(function(appDirs) {
+    callback(null, _.filter(appDirs, 'appName'));
+  })
+  .catch(function(err) {
+    callback(err);
+  });
+};
+
 var list = exports.list = function(callback) {
-  // Get app dirs from app registry file.
-  inspectDirs(getDirsAppRegistry())
-  .all()
-  .then(function(appRegistryApps) {
-    logDebug('DISCO => AppsRegistry dirs.', appRegistryApps);
-    callback(null, appRegistryApps);
+  // Scan first so app dirs in the app registry win over scanned ones with
+  // the same app name.
+  scanRoots()
+  .then(function(scannedAppDirs) {
+    // Get app dirs from app registry file.
+    return inspectDirs(getDirsAppRegistry())
+    .then(function(appRegistryApps) {
+      logDebug('DISCO => AppsRegistry dirs.', appRegistryApps);
+      var scannedApps = _.compact(_.pluck(scannedAppDirs, 'appName'));
+      logDebug('DISCO => Scanned dirs.', scannedApps);
+      return _.uniq(appRegistryApps.concat(scannedApps));
+    });
+  })
+  .then(function(apps) {
+    callback(null, apps);
+  })
+  .catch(function(err) {
+    callback(err);
+  });
+};
+
+/*
+ * Inspect a dir in the app registry. The state of the dir is one of ok,
+ * missing when the dir is gone, no-app when it has no kalabox.json with an
+ * appName or invalid when its kalabox.json can't be read.
+ */
+var inspectAppDir = function(dir) {
+  return new Promise(function(fulfill) {
+    fs.stat(dir, function(err, stats) {
+      if (err || !stats.isDirectory()) {
+        fulfill({dir: dir, appName: null, state: 'missing'});
+      } else {
+        fulfill(inspectDir(dir)
+        .then(function(appName) {
+          return {dir: dir, appName: appName, state: appName ? 'ok' : 'no-app'};
+        }, function(err) {
+          return {
+            dir: dir,
+            appName: null,
+            state: 'invalid',
+            error: err.message
+          };
+        }));
+      }
+    });
+  });
+};
+
+/*
+ * List the dirs in the app registry with the app name each dir's kalabox.json
+ * declares and the state of the dir, the app name is null unless the state is
+ * ok.
+ */
+exports.listAppDirs = function(callback) {
+  getDirsAppRegistry()
+  .then(function(dirs) {
+    return Promise.reduce(dirs, function(acc, dir) {
+      return inspectAppDir(dir)
+      .then(function(appDir) {
+        acc.push(appDir);
+        return acc;
+      });
+    }, []);
+  })
+  .then(function(appDirs) {
+    callback(null, appDirs);
+  })
+  .catch(function(err) {
+    callback(err);
+  });
+};
+
+/*
+ * List the dirs in the scan roots and the app registry whose kalabox.json
+ * can't be read, with the error reading it. Which apps they are is unknown.
+ */
+exports.listInvalidAppDirs = function(callback) {
+  scanRoots()
+  .then(function(scannedAppDirs) {
+    return Promise.map(getDirsAppRegistry(), inspectAppDir)
+    .then(function(registeredAppDirs) {
+      var invalid = _.filter(scannedAppDirs, 'error').concat(
+        _.filter(registeredAppDirs, {state: 'invalid'}));
+      return _.map(_.uniq(invalid, 'dir'), function(appDir) {
+        return {dir: appDir.dir, error: appDir.error};
+      });
+    });
+  })
+  .then(function(appDirs) {
+    callback(null, appDirs);
   })
   .catch(function(err) {
     callback(err);
@@ -205,7 +490,12 @@ var releaseLock = function(filepath) {
 
 };
 
-var registerAppDir = exports.registerAppDir = function(dir, callback) {
+/*
+ * Update the app registry while holding the registry's lock. The update
+ * function gets the current app dirs and ignored dirs of the registry and
+ * returns the new registry, or undefined to leave the registry as it is.
+ */
+var updateAppRegistry = function(update, callback) {
   var globalConfig = getGlobalConfig();
   var filepath = globalConfig.appRegistry;
   var locked = false;
@@ -213,16 +503,13 @@ var registerAppDir = exports.registerAppDir = function(dir, callback) {
   .then(function(lockAcquired) {
     locked = lockAcquired;
     return getAppRegistry()
-    .then(function(appDirs) {
-      if (!appDirs) {
-        appDirs = [];
-      }
-      var alreadyExists = _.find(appDirs, function(appDir) {
-        return appDir === dir;
+    .then(function(registry) {
+      var newRegistry = update({
+        appDirs: registry.appDirs || [],
+        ignoredDirs: registry.ignoredDirs || []
       });
-      if (!alreadyExists) {
-        appDirs.push(dir);
-        return setAppRegistry(appDirs);
+      if (newRegistry) {
+        return setAppRegistry(newRegistry);
       } else {
         return undefined;
       }
@@ -230,8 +517,13 @@ var registerAppDir = exports.registerAppDir = function(dir, callback) {
   })
   .then(function() {
     if (locked) {
-      releaseLock(filepath);
+      // Release the lock before calling back so the registry can be locked
+      // again right away.
+      locked = false;
+      return releaseLock(filepath);
     }
+  })
+  .then(function() {
     callback();
   })
   .catch(function(err) {
@@ -241,3 +533,110 @@ var registerAppDir = exports.registerAppDir = function(dir, callback) {
     callback(err);
   });
 };
+
+/*
+ * Stop scanning from skipping a dir, it is registered again.
+ */
+var unignoreDir = function(registry, dir) {
+  registry.ignoredDirs = _.without(registry.ignoredDirs, path.resolve(dir));
+};
+
+/*
+ * Add an app dir to the app registry, calls back with whether the dir was
+ * added or was already registered. A dir that was forgotten is found by
+ * scanning again.
+ */
+var registerAppDir = exports.registerAppDir = function(dir, callback) {
+  var added = false;
+  updateAppRegistry(function(registry) {
+    var alreadyExists = _.find(registry.appDirs, function(appDir) {
+      return appDir === dir;
+    });
+    var ignored = _.contains(registry.ignoredDirs, path.resolve(dir));
+    if (!alreadyExists) {
+      added = true;
+      registry.appDirs.push(dir);
+    }
+    unignoreDir(registry, dir);
+    return added || ignored ? registry : undefined;
+  }, function(err) {
+    callback(err, added);
+  });
+};
+
+/*
+ * Remove an app dir from the app registry, scanning still finds it when it is
+ * in the scan roots. Used to undo registering it.
+ */
+exports.unregisterAppDir = function(dir, callback) {
+  appDirCache = {};
+  updateAppRegistry(function(registry) {
+    if (_.contains(registry.appDirs, dir)) {
+      registry.appDirs = _.without(registry.appDirs, dir);
+      return registry;
+    } else {
+      return undefined;
+    }
+  }, callback);
+};
+
+/*
+ * Remove an app dir from the app registry and skip it when scanning from now
+ * on, so it doesn't come back until it is registered again.
+ */
+exports.forgetAppDir = function(dir, callback) {
+  appDirCache = {};
+  updateAppRegistry(function(registry) {
+    var ignored = _.contains(registry.ignoredDirs, path.resolve(dir));
+    if (!_.contains(registry.appDirs, dir) && ignored) {
+      return undefined;
+    }
+    registry.appDirs = _.without(registry.appDirs, dir);
+    if (!ignored) {
+      registry.ignoredDirs.push(path.resolve(dir));
+    }
+    return registry;
+  }, callback);
+};
+
+/*
+ * Remove the app dirs that no longer exist from the app registry, calls back
+ * with the removed dirs. They are skipped when scanning, so they don't come
+ * back when they show up again, ex. on a drive that is mounted again.
+ */
+exports.pruneAppDirs = function(callback) {
+  var removed = [];
+  appDirCache = {};
+  updateAppRegistry(function(registry) {
+    removed = _.reject(registry.appDirs, function(appDir) {
+      return fs.existsSync(appDir);
+    });
+    if (_.isEmpty(removed)) {
+      return undefined;
+    }
+    registry.appDirs = _.difference(registry.appDirs, removed);
+    registry.ignoredDirs = _.union(registry.ignoredDirs,
+      _.map(removed, _.ary(path.resolve, 1)));
+    return registry;
+  }, function(err) {
+    callback(err || null, err ? null : removed);
+  });
+};
+
+/*
+ * Replace an app dir in the app registry, used when an app's root directory
+ * moves. The app name cache is cleared since app names might have changed.
+ */
+exports.moveAppDir = function(from, to, callback) {
+  appDirCache = {};
+  updateAppRegistry(function(registry) {
+    if (!_.contains(registry.appDirs, from)) {
+      registry.appDirs.push(from);
+    }
+    registry.appDirs = _.uniq(_.map(registry.appDirs, function(appDir) {
+      return appDir === from ? to : appDir;
+    }));
+    unignoreDir(registry, to);
+    return registry;
+  }, callback);
+};
@@ -0,0 +1,265 @@
+'use strict';
+
+/*
+ * Consistency checks of an app's container id files, containers, data
+ * container and app registry entry.
+ *
+ * Checking an app returns a list of problems, each with one of these codes:
+ *
+ *   stale-cid          - A container id file points to a container that does
+ *                        not exist or is not the component's container.
+ *   missing-cid        - A component's container exists but its container id
+ *                        file does not.
+ *   missing-container  - The app is installed but a component's container is
+ *                        gone.
+ *   missing-data       - The app is installed but its data container is gone.
+ *   unknown-container  - A container named after the app does not belong to
+ *                        any of its components.
+ *   duplicate-name     - Another directory in the app registry has an app
+ *                        with the same name, they share containers.
+ *   missing-dockerfile - A component builds its image but its Dockerfile
+ *                        does not exist, so the image is pulled instead.
+ *   unregistered       - The app is installed but its directory is not in
+ *                        the app registry.
+ *
+ * Problems kbox can repair have a fix function.
+ */
+
+var fs = require('fs');
+var path = require('path');
+var async = require('async');
+var core = require('../core.js');
+var engine = require('../engine.js');
+var disco = require('./discovery.js');
+var _ = require('lodash');
+
+/*
+ * Get everything that has a container id file, the app's components and its
+ * data container.
+ */
+var getTargets = function(app) {
+  var targets = _.values(app.components);
+  if (!app.components.data) {
+    targets.push({
+      name: 'data',
+      containerName: app.dataContainerName,
+      containerIdFile: path.join(app.config.appCidsRoot, 'data')
+    });
+  }
+  return targets;
+};
+
+/*
+ * Read a container id file, null when it does not exist.
+ */
+var readCid = function(target) {
+  if (!fs.existsSync(target.containerIdFile)) {
+    return null;
+  }
+  return _.trim(fs.readFileSync(target.containerIdFile, 'utf8')) || null;
+};
+
+/*
+ * Point a container id file at a container, or remove it.
+ */
+var writeCid = function(target, cid) {
+  if (cid) {
+    fs.writeFileSync(target.containerIdFile, cid);
+  } else if (fs.existsSync(target.containerIdFile)) {
+    fs.unlinkSync(target.containerIdFile);
+  }
+  target.containerId = cid;
+};
+
+/*
+ * Whether a container id refers to a container, ids can be shortened.
+ */
+var matchesId = function(container, cid) {
+  return _.startsWith(container.id, cid) || _.startsWith(cid, container.id);
+};
+
+/*
+ * Check the container id files and containers of an app.
+ */
+var checkContainers = function(app, report, callback) {
+  engine.list(app.name, function(err, containers) {
+    if (err) {
+      return callback(err);
+    }
+    var targets = getTargets(app);
+    var installed = _.some(targets, function(target) {
+      return _.find(containers, {name: target.containerName});
+    });
+
+    _.each(targets, function(target) {
+      var cid = readCid(target);
+      var byName = _.find(containers, {name: target.containerName}) || null;
+      var byId = cid ? _.find(containers, function(container) {
+        return matchesId(container, cid);
+      }) : null;
+      var repoint = function(next) {
+        writeCid(target, byName ? byName.id : null);
+        next();
+      };
+
+      if (cid && !byId) {
+        report('stale-cid', target.name, 'Container id file points to ' +
+          'container ' + cid.slice(0, 12) + ' which does not exist.',
+          repoint);
+      } else if (cid && byId.name !== target.containerName) {
+        report('stale-cid', target.name, 'Container id file points to ' +
+          'container ' + byId.name + ' instead of ' + target.containerName +
+          '.', repoint);
+      } else if (!cid && byName) {
+        report('missing-cid', target.name, 'Container ' + byName.name +
+          ' exists but has no container id file.', repoint);
+      }
+
+      if (installed && !byName && target.name === 'data') {
+        report('missing-data', 'data', 'Data container ' +
+          target.containerName + ' does not exist, the app\'s data is gone.',
+          null, 'Reinstall the app or import an export of it.');
+      } else if (installed && !byName) {
+        report('missing-container', target.name, 'Container ' +
+          target.containerName + ' does not exist.', function(next) {
+            // Required here since lib/app.js requires this module.
+            require('../app.js').installComponent(app, target.name, next);
+          });
+      }
+    });
+
+    var names = _.pluck(targets, 'containerName');
+    var unknown = _.filter(containers, function(container) {
+      return !_.contains(names, container.name);
+    });
+    async.eachSeries(unknown, function(container, next) {
+      engine.info(container.id, function(err, info) {
+        if (err) {
+          return next(err);
+        }
+        var running = !!(info && info.running);
+        report('unknown-container', null, 'Container ' + container.name +
+          ' does not belong to any component of the app.',
+          running ? null : function(next) {
+            engine.remove(container.id, next);
+          },
+          running ? 'Stop it and run doctor again to remove it.' : null);
+        next();
+      });
+    }, function(err) {
+      callback(err, installed);
+    });
+  });
+};
+
+/*
+ * Check that components building their image have a Dockerfile. The loaded
+ * components stop building when the Dockerfile is missing, so kalabox.json is
+ * read again.
+ */
+var checkDockerfiles = function(app, report) {
+  var file = path.join(app.config.appRoot, core.config.CONFIG_FILENAME);
+  var json = JSON.parse(fs.readFileSync(file, 'utf8'));
+  _.each(json.appComponents, function(spec, name) {
+    if (!spec.image || !spec.image.build) {
+      return;
+    }
+    var paths = _.map([app.config.appRoot, app.config.srcRoot], function(dir) {
+      return path.join(dir, spec.image.srcRoot || '', 'Dockerfile');
+    });
+    if (!_.some(paths, fs.existsSync)) {
+      report('missing-dockerfile', name, 'Image ' + spec.image.name +
+        ' is built from a Dockerfile but none of ' + paths.join(', ') +
+        ' exist, the image is pulled instead.', null,
+        'Restore the Dockerfile or set build to false.');
+    }
+  });
+};
+
+/*
+ * Check the app's entry in the app registry.
+ */
+var checkRegistry = function(app, installed, report, callback) {
+  disco.listAppDirs(function(err, appDirs) {
+    if (err) {
+      return callback(err);
+    }
+    var appRoot = path.resolve(app.config.appRoot);
+    var registered = _.some(appDirs, function(appDir) {
+      return path.resolve(appDir.dir) === appRoot;
+    });
+    _.each(appDirs, function(appDir) {
+      if (appDir.appName === app.name &&
+        path.resolve(appDir.dir) !== appRoot) {
+        report('duplicate-name', null, 'App in ' + appDir.dir + ' is ' +
+          'also named ' + app.name + ' and shares its containers.', null,
+          'Rename one of the apps.');
+      }
+    });
+    if (installed && !registered) {
+      report('unregistered', null, 'App directory ' + appRoot + ' is not ' +
+        'in the app registry.', function(next) {
+          disco.registerAppDir(app.config.appRoot, function(err) {
+            next(err);
+          });
+        });
+    }
+    callback(null);
+  });
+};
+
+/**
+ * Checks an app for problems.
+ * @arg {object} app - App to check.
+ * @arg {function} callback - Callback called with the problems.
+ * @arg {error} callback.error
+ * @arg {array} callback.problems - Problems with a code, the name of the
+ *   component or null, a message, whether it is fixable, a fix function and a
+ *   hint for problems that have to be fixed by hand.
+ */
+exports.check = function(app, callback) {
+  var problems = [];
+  var report = function(code, component, message, fix, hint) {
+    problems.push({
+      code: code,
+      component: component,
+      message: message,
+      fixable: !!fix,
+      fix: fix || null,
+      hint: hint || null
+    });
+  };
+  try {
+    checkDockerfiles(app, report);
+  } catch (err) {
+    return callback(err);
+  }
+  checkContainers(app, report, function(err, installed) {
+    if (err) {
+      return callback(err);
+    }
+    checkRegistry(app, installed, report, function(err) {
+      callback(err, err ? null : problems);
+    });
+  });
+};
+
+/**
+ * Fixes the problems that have a fix function, one after the other. Sets
+ * fixed on each problem and error when its fix failed.
+ * @arg {array} problems - Problems returned by check.
+ * @arg {function} callback - Callback called when every fix has been tried.
+ */
+exports.fix = function(problems, callback) {
+  async.eachSeries(_.filter(problems, 'fixable'), function(problem, next) {
+    problem.fix(function(err) {
+      problem.fixed = !err;
+      if (err) {
+        problem.error = err.message;
+      }
+      next();
+    });
+  }, function() {
+    callback(null, problems);
+  });
+};
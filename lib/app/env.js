@@ -0,0 +1,186 @@
+'use strict';
+
+/*
+ * Environment variables of app containers.
+ *
+ * Every container of an app gets environment variables from these sources,
+ * later sources override earlier ones:
+ *
+ *   1. Variables set by kbox: KBOX_CODEDIR, KALABOX, APPNAME and APPDOMAIN.
+ *   2. The env map in the global kalabox.json.
+ *   3. The env map at the top level of the app's kalabox.json.
+ *   4. The env map of the component in the app's kalabox.json.
+ *   5. The Env list in the component's installOptions.
+ *   6. The .env file in the app's root directory.
+ *
+ * The .env file is meant for local settings that are not committed with the
+ * app. It has one KEY=value per line, empty lines and lines starting with #
+ * are ignored, lines can start with export and values can be quoted with
+ * single or double quotes. Double quoted values can contain \n escapes.
+ *
+ * Names have to start with a letter or an underscore followed by letters,
+ * digits and underscores. Values in env maps have to be strings, numbers or
+ * booleans.
+ */
+
+var fs = require('fs');
+var path = require('path');
+var core = require('../core.js');
+var _ = require('lodash');
+
+var ENV_FILENAME = '.env';
+
+var NAME_REGEX = /^[A-Za-z_][A-Za-z0-9_]*$/;
+
+/*
+ * Make sure a variable name is valid.
+ */
+var checkName = function(name, source) {
+  if (!NAME_REGEX.test(name)) {
+    throw new Error('Invalid environment variable name [' + name + '] in ' +
+      source + '.');
+  }
+};
+
+/*
+ * Validate an env map from kalabox.json and turn its values into strings.
+ */
+var fromMap = function(map, source) {
+  if (map === undefined || map === null) {
+    return {};
+  }
+  if (!_.isPlainObject(map)) {
+    throw new Error('Invalid env in ' + source + ', it has to be an object.');
+  }
+  return _.mapValues(map, function(value, name) {
+    checkName(name, source);
+    if (!_.isString(value) && !_.isNumber(value) && !_.isBoolean(value)) {
+      throw new Error('Invalid value for environment variable [' + name +
+        '] in ' + source + ', use a string, number or boolean.');
+    }
+    return String(value);
+  });
+};
+
+/*
+ * Turn a docker Env list into an env map.
+ */
+var fromList = function(list, source) {
+  var env = {};
+  _.each(list, function(item) {
+    var index = item.indexOf('=');
+    var name = index === -1 ? item : item.slice(0, index);
+    checkName(name, source);
+    env[name] = index === -1 ? '' : item.slice(index + 1);
+  });
+  return env;
+};
+
+/**
+ * Parses the contents of a .env file.
+ * @arg {string} data - Contents of the file.
+ * @arg {string} file - Name of the file used in errors.
+ * @returns {object} env - Map of variable names to values.
+ */
+var parse = exports.parse = function(data, file) {
+  var env = {};
+  _.each(data.split(/\r?\n/), function(line, index) {
+    var fail = function(msg) {
+      throw new Error('Invalid line ' + (index + 1) + ' in ' + file + ': ' +
+        msg);
+    };
+    line = _.trim(line);
+    if (!line || _.startsWith(line, '#')) {
+      return;
+    }
+    line = line.replace(/^export\s+/, '');
+    var equals = line.indexOf('=');
+    if (equals === -1) {
+      fail('Expected NAME=value.');
+    }
+    var name = _.trim(line.slice(0, equals));
+    var value = _.trim(line.slice(equals + 1));
+    if (!NAME_REGEX.test(name)) {
+      fail('Invalid variable name [' + name + '].');
+    }
+    var quote = value.charAt(0);
+    if (quote === '"' || quote === '\'') {
+      if (value.length < 2 || value.charAt(value.length - 1) !== quote) {
+        fail('Missing closing quote.');
+      }
+      value = value.slice(1, -1);
+      if (quote === '"') {
+        value = value.replace(/\\n/g, '\n').replace(/\\"/g, '"');
+      }
+    } else {
+      // Unquoted values can have trailing comments.
+      value = _.trim(value.replace(/\s+#.*$/, ''));
+    }
+    env[name] = value;
+  });
+  return env;
+};
+
+/**
+ * Loads the .env file in an app's root directory.
+ * @arg {object} app - App to load the file of.
+ * @returns {object} env - Map of variable names to values, empty when the app
+ *   has no .env file.
+ */
+var load = exports.load = function(app) {
+  var file = path.join(app.root, ENV_FILENAME);
+  if (!fs.existsSync(file)) {
+    return {};
+  }
+  return parse(fs.readFileSync(file, 'utf8'), file);
+};
+
+/**
+ * Gets the variables kbox sets in the containers of an app.
+ * @arg {object} app - App to get the variables for.
+ * @returns {object} env - Map of variable names to values.
+ */
+var getKboxEnv = exports.getKboxEnv = function(app) {
+  var env = {
+    KBOX_CODEDIR: core.deps.lookup('globalConfig').codeDir,
+    KALABOX: 'true'
+  };
+  if (app) {
+    env.APPNAME = app.name;
+    env.APPDOMAIN = app.domain;
+  }
+  return env;
+};
+
+/**
+ * Gets the environment of a component of an app from all sources, throws an
+ * error when a source is invalid.
+ * @arg {object} app - App of the component.
+ * @arg {object} component - Component to get the environment of.
+ * @returns {object} env - Map of variable names to values.
+ */
+exports.getEnv = function(app, component) {
+  var globalConfig = core.deps.lookup('globalConfig');
+  var installOptions = component.installOptions || {};
+  return _.extend(
+    getKboxEnv(app),
+    fromMap(globalConfig.env, 'the global kalabox.json'),
+    fromMap(app.config.env, 'kalabox.json'),
+    fromMap(component.env, 'kalabox.json of component [' + component.name +
+      ']'),
+    fromList(installOptions.Env, 'installOptions of component [' +
+      component.name + ']'),
+    load(app)
+  );
+};
+
+/**
+ * Turns an env map into a docker Env list.
+ * @arg {object} env - Map of variable names to values.
+ * @returns {array} list - List of NAME=value strings sorted by name.
+ */
+exports.toList = function(env) {
+  return _.map(_.keys(env).sort(), function(name) {
+    return name + '=' + env[name];
+  });
+};
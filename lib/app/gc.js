@@ -0,0 +1,156 @@
+'use strict';
+
+/*
+ * Garbage left behind by apps kbox no longer knows about.
+ *
+ * Containers are named kb_<app>_<component>, so the engine still lists the
+ * containers of apps whose directory was deleted or removed from the app
+ * registry. Those containers, the apps' data containers and dangling images
+ * are garbage. Each piece of garbage has one of these types:
+ *
+ *   container - A container of an app that is not in the app registry.
+ *   data      - The data container of such an app, removing it removes the
+ *               app's databases and files for good.
+ *   image     - An image without a name, left behind when kbox built an
+ *               image again. Only images with the label kbox sets on the
+ *               images it builds are garbage, other dangling images are
+ *               left alone.
+ *
+ * Apps whose kalabox.json can't be read are unknown, so their containers
+ * would be garbage too. Garbage is not collected until those are fixed.
+ */
+
+var async = require('async');
+var engine = require('../engine.js');
+var disco = require('./discovery.js');
+var _ = require('lodash');
+
+// Types in the order they are removed, containers have to go before the
+// images they use.
+var TYPES = ['container', 'data', 'image'];
+
+/*
+ * Sort garbage in the order it is removed, keeping the order within a type.
+ */
+var sortByType = function(items) {
+  return _.sortBy(items, function(item) {
+    return _.indexOf(TYPES, item.type);
+  });
+};
+
+/*
+ * Fail when there are app dirs with a kalabox.json that can't be read.
+ */
+var checkAppDirs = function(callback) {
+  disco.listInvalidAppDirs(function(err, appDirs) {
+    if (err) {
+      return callback(err);
+    } else if (!_.isEmpty(appDirs)) {
+      return callback(new Error('Can\'t tell which apps the containers ' +
+        'belong to, fix or remove the kalabox.json in ' +
+        _.pluck(appDirs, 'dir').join(', ') + ' first.'));
+    }
+    callback(null);
+  });
+};
+
+/**
+ * Finds the containers of unregistered apps and the dangling images kbox left
+ * behind. Fails when an app dir has a kalabox.json that can't be read.
+ * @arg {object} opts - Object containing the options.
+ * @arg {boolean} opts.includeData - Also remove data containers, otherwise
+ *   they are marked as skipped.
+ * @arg {function} callback - Callback called with the garbage.
+ * @arg {error} callback.error
+ * @arg {array} callback.items - Garbage with a type, id, name, the name of
+ *   the app or null for images, and whether it is skipped.
+ */
+exports.find = function(opts, callback) {
+  checkAppDirs(function(err) {
+    if (err) {
+      return callback(err);
+    }
+    async.parallel({
+      apps: disco.list,
+      containers: engine.list,
+      images: engine.listImages
+    }, function(err, results) {
+      if (err) {
+        return callback(err);
+      }
+      var containers = _.filter(results.containers, function(container) {
+        return container.app && !_.contains(results.apps, container.app);
+      });
+      var items = _.map(containers, function(container) {
+        var type = container.name === ['kb', container.app, 'data'].join('_') ?
+          'data' : 'container';
+        return {
+          type: type,
+          id: container.id,
+          name: container.name,
+          app: container.app,
+          skipped: type === 'data' && !opts.includeData
+        };
+      });
+      var images = _.filter(results.images, function(image) {
+        return image.dangling && _.has(image.labels, engine.IMAGE_LABEL);
+      });
+      _.each(images, function(image) {
+        items.push({
+          type: 'image',
+          id: image.id,
+          name: null,
+          app: null,
+          skipped: false
+        });
+      });
+      callback(null, sortByType(_.sortByAll(items, ['name', 'id'])));
+    });
+  });
+};
+
+/*
+ * Stop a container if it is running and remove it.
+ */
+var removeContainer = function(item, callback) {
+  engine.info(item.id, function(err, info) {
+    if (err) {
+      return callback(err);
+    }
+    var stop = info && info.running ? _.partial(engine.stop, item.id) :
+      function(next) {
+        next(null);
+      };
+    stop(function(err) {
+      if (err) {
+        callback(err);
+      } else {
+        engine.remove(item.id, callback);
+      }
+    });
+  });
+};
+
+/**
+ * Removes garbage one piece after the other, skipped garbage is left alone.
+ * Sets removed on each piece and error when removing it failed.
+ * @arg {array} items - Garbage returned by find.
+ * @arg {function} callback - Callback called when everything has been tried.
+ */
+exports.remove = function(items, callback) {
+  var removable = sortByType(_.reject(items, 'skipped'));
+  async.eachSeries(removable, function(item, next) {
+    var remove = item.type === 'image' ?
+      _.partial(engine.removeImage, item.id) :
+      _.partial(removeContainer, item);
+    remove(function(err) {
+      item.removed = !err;
+      if (err) {
+        item.error = err.message;
+      }
+      next();
+    });
+  }, function() {
+    callback(null, items);
+  });
+};
@@ -0,0 +1,257 @@
+'use strict';
+
+/*
+ * Readiness probes for app components.
+ *
+ * A component can have a healthcheck block in its kalabox.json config with
+ * exactly one of the following probes:
+ *
+ *   tcp  - Container port that has to accept connections, ex. 3306.
+ *   http - Path that has to answer with a status below 400, ex. "/". The
+ *          container port defaults to 80 and can be set with port.
+ *   exec - Command that has to exit with 0, ex. ["mysqladmin", "ping"].
+ *
+ * The probe is tried every interval milliseconds (default 1000), each attempt
+ * may take up to timeout milliseconds (default 5000) and the component is
+ * unhealthy after retries failed attempts (default 30, at least 1). TCP and
+ * HTTP probes connect to the port published on the engine's host, their
+ * connections are closed when an attempt times out.
+ */
+
+var http = require('http');
+var net = require('net');
+var PassThrough = require('stream').PassThrough;
+var core = require('../core.js');
+var engine = require('../engine.js');
+var _ = require('lodash');
+
+// Defaults for the healthcheck block.
+var DEFAULTS = {
+  interval: 1000,
+  timeout: 5000,
+  retries: 30,
+  port: 80
+};
+
+var logDebug = core.log.debug;
+
+/*
+ * Validate a component's healthcheck block and fill in the defaults.
+ */
+var normalize = function(component) {
+  var fail = function(msg) {
+    throw new Error('Invalid healthcheck for component [' + component.name +
+      ']: ' + msg);
+  };
+  var config = _.extend({}, DEFAULTS, component.healthcheck);
+  var probes = _.filter(['tcp', 'http', 'exec'], function(probe) {
+    return config[probe] !== undefined;
+  });
+  if (probes.length !== 1) {
+    fail('Exactly one of tcp, http or exec is required.');
+  }
+  config.probe = probes[0];
+  if (config.tcp !== undefined && !_.isFinite(config.tcp)) {
+    fail('tcp has to be a port number.');
+  }
+  if (config.http !== undefined && !_.startsWith(config.http, '/')) {
+    fail('http has to be a path starting with a slash.');
+  }
+  if (config.exec !== undefined && !_.isArray(config.exec)) {
+    fail('exec has to be an array of strings.');
+  }
+  _.each(['interval', 'timeout', 'retries'], function(key) {
+    if (!_.isFinite(config[key]) || config[key] < 0) {
+      fail(key + ' has to be a positive number.');
+    }
+  });
+  if (config.retries < 1) {
+    fail('retries has to be at least 1.');
+  }
+  return config;
+};
+
+/*
+ * Find the address a container port is published on.
+ */
+var getAddress = function(component, port, callback) {
+  engine.info(component.containerId, function(err, info) {
+    if (err) {
+      return callback(err);
+    }
+    var prefix = port + '/tcp=>';
+    var binding = _.find(info ? info.ports : [], function(binding) {
+      return _.startsWith(binding, prefix);
+    });
+    if (!binding) {
+      return callback(new Error('Port ' + port + ' is not published.'));
+    }
+    engine.provider.getIp(function(err, ip) {
+      callback(err, {
+        host: ip,
+        port: _.parseInt(binding.slice(prefix.length))
+      });
+    });
+  });
+};
+
+/*
+ * Create the handle an attempt cancels its probe with when it times out,
+ * probes set onCancel to close what they opened.
+ */
+var createHandle = function() {
+  var handle = {
+    cancelled: false,
+    onCancel: _.noop,
+    cancel: function() {
+      handle.cancelled = true;
+      handle.onCancel();
+    }
+  };
+  return handle;
+};
+
+var probeTcp = function(component, config, handle, callback) {
+  getAddress(component, config.tcp, function(err, address) {
+    if (err || handle.cancelled) {
+      return callback(err);
+    }
+    var socket = net.connect(address.port, address.host, function() {
+      socket.end();
+      callback(null);
+    });
+    socket.on('error', callback);
+    handle.onCancel = function() {
+      socket.destroy();
+    };
+  });
+};
+
+var probeHttp = function(component, config, handle, callback) {
+  getAddress(component, config.port, function(err, address) {
+    if (err || handle.cancelled) {
+      return callback(err);
+    }
+    var req = http.get({
+      host: address.host,
+      port: address.port,
+      path: config.http,
+      headers: {Host: component.hostname}
+    }, function(res) {
+      res.resume();
+      if (res.statusCode < 400) {
+        callback(null);
+      } else {
+        callback(new Error('GET ' + config.http + ' returned ' +
+          res.statusCode + '.'));
+      }
+    });
+    req.on('error', callback);
+    handle.onCancel = function() {
+      req.abort();
+    };
+  });
+};
+
+// Engines can not kill an exec, so a timed out exec runs until it exits.
+var probeExec = function(component, config, handle, callback) {
+  var stdin = new PassThrough();
+  var output = new PassThrough();
+  output.resume();
+  stdin.end();
+  var opts = {tty: false, stdin: stdin, stdout: output, stderr: output};
+  engine.execInteractive(component.containerId, config.exec, opts,
+  function(err, code) {
+    if (err) {
+      callback(err);
+    } else if (code !== 0) {
+      callback(new Error(config.exec.join(' ') + ' exited with code ' +
+        code + '.'));
+    } else {
+      callback(null);
+    }
+  });
+};
+
+var probes = {
+  tcp: probeTcp,
+  http: probeHttp,
+  exec: probeExec
+};
+
+/*
+ * Try the probe once, an attempt taking longer than the timeout fails and
+ * cancels its probe.
+ */
+var attempt = function(component, config, callback) {
+  var done = _.once(callback);
+  var handle = createHandle();
+  var timer = setTimeout(function() {
+    handle.cancel();
+    done(new Error('Timed out after ' + config.timeout + 'ms.'));
+  }, config.timeout);
+  probes[config.probe](component, config, handle, function(err) {
+    clearTimeout(timer);
+    done(err || null);
+  });
+};
+
+/**
+ * Checks once whether a component is healthy, components without a
+ * healthcheck are always healthy.
+ * @arg {object} component - Component to check.
+ * @arg {function} callback - Callback called with the result of the check.
+ * @arg {error} callback.error - Invalid healthcheck config.
+ * @arg {boolean} callback.healthy
+ * @arg {string} callback.reason - Why the component is not healthy.
+ */
+exports.check = function(component, callback) {
+  if (!component.healthcheck) {
+    return callback(null, true);
+  }
+  var config;
+  try {
+    config = normalize(component);
+  } catch (err) {
+    return callback(err);
+  }
+  attempt(component, config, function(err) {
+    callback(null, !err, err ? err.message : undefined);
+  });
+};
+
+/**
+ * Waits until a component's healthcheck passes, components without a
+ * healthcheck are ready right away.
+ * @arg {object} component - Component to wait on.
+ * @arg {function} callback - Callback called when the component is healthy.
+ * @arg {error} callback.error - Error naming the unhealthy component.
+ */
+exports.wait = function(component, callback) {
+  if (!component.healthcheck) {
+    return callback(null);
+  }
+  var config;
+  try {
+    config = normalize(component);
+  } catch (err) {
+    return callback(err);
+  }
+  var tries = 0;
+  var rec = function() {
+    tries += 1;
+    attempt(component, config, function(err) {
+      if (!err) {
+        callback(null);
+      } else if (tries >= config.retries) {
+        callback(new Error('Component [' + component.name + '] is ' +
+          'unhealthy after ' + tries + ' attempts: ' + err.message));
+      } else {
+        logDebug('HEALTHCHECK => Component [' + component.name + '] not ' +
+          'ready yet: ' + err.message);
+        setTimeout(rec, config.interval);
+      }
+    });
+  };
+  rec();
+};
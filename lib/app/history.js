@@ -0,0 +1,230 @@
+'use strict';
+
+/*
+ * History of the operations run on apps, so there is a record of who ran
+ * what and how it went when an app breaks.
+ *
+ * Each app has a history file named after it in the history directory of the
+ * kbox config root, like its lock. A history file has one json entry per line
+ * with these properties:
+ *
+ *   timestamp - When the operation started.
+ *   operation - Name of the operation, ex. start, or of the task that ran it.
+ *   user      - User who ran the operation.
+ *   version   - Version of kbox that ran the operation.
+ *   duration  - Milliseconds the operation took.
+ *   outcome   - Either success or failure.
+ *   error     - Message of the error the operation failed with, or null.
+ *
+ * Operations run while another operation of the same app is running in this
+ * process are part of it and are not recorded, ex. the stop and start of a
+ * restart.
+ */
+
+var fs = require('fs');
+var path = require('path');
+var core = require('../core.js');
+var _ = require('lodash');
+
+var logDebug = core.log.debug;
+
+var HISTORY_DIRNAME = 'history';
+
+var OUTCOME_SUCCESS = exports.OUTCOME_SUCCESS = 'success';
+var OUTCOME_FAILURE = exports.OUTCOME_FAILURE = 'failure';
+
+// Number of operations running in this process, by app name.
+var running = {};
+
+// New names of apps renamed while their operations were running.
+var renamed = {};
+
+/*
+ * Get the history file of an app.
+ */
+var getHistoryFile = function(name) {
+  var globalConfig = core.deps.lookup('globalConfig');
+  return path.join(globalConfig.sysConfRoot, HISTORY_DIRNAME,
+    name + '.jsonl');
+};
+
+/*
+ * Get the name of the user running kbox.
+ */
+var getUser = function() {
+  return process.env.USER || process.env.USERNAME || null;
+};
+
+/*
+ * Append an entry to the history file of an app.
+ */
+var append = function(name, entry) {
+  var file = getHistoryFile(name);
+  if (!fs.existsSync(path.dirname(file))) {
+    fs.mkdirSync(path.dirname(file));
+  }
+  fs.appendFileSync(file, JSON.stringify(entry) + '\n');
+};
+
+/**
+ * Runs an operation on an app and records it in the app's history once it
+ * is done. Failing to record the operation does not fail it.
+ * @arg {object} app - App the operation runs on.
+ * @arg {string} operation - Name of the operation, ex. start.
+ * @arg {function} fn - Function running the operation, called with a
+ *   callback.
+ * @arg {function} callback - Callback called with the results of the
+ *   operation.
+ */
+exports.record = function(app, operation, fn, callback) {
+  var name = app.name;
+  var nested = !!running[name];
+  var start = new Date();
+  running[name] = (running[name] || 0) + 1;
+
+  var done = function() {
+    running[name] -= 1;
+    if (running[name] === 0) {
+      delete running[name];
+    }
+  };
+
+  try {
+    fn(function(err) {
+      done();
+      if (!nested) {
+        var current = renamed[name] || name;
+        if (!running[name]) {
+          delete renamed[name];
+        }
+        try {
+          append(current, {
+            timestamp: start.toISOString(),
+            operation: operation,
+            user: getUser(),
+            version: core.deps.lookup('globalConfig').version,
+            duration: new Date() - start,
+            outcome: err ? OUTCOME_FAILURE : OUTCOME_SUCCESS,
+            error: err ? err.message : null
+          });
+        } catch (historyErr) {
+          logDebug('HISTORY => Failed to record operation.', historyErr);
+        }
+      }
+      callback.apply(null, arguments);
+    });
+  } catch (err) {
+    done();
+    throw err;
+  }
+};
+
+/**
+ * Wraps an app operation so it is recorded in the app's history. The app has
+ * to be the first argument of the operation and its callback the last.
+ * @arg {string} operation - Name of the operation, ex. start.
+ * @arg {function} fn - Function of the operation.
+ * @returns {function} fn - Function recording the operation.
+ */
+exports.wrap = function(operation, fn) {
+  return function(app) {
+    var args = _.toArray(arguments);
+    var index = _.findLastIndex(args, _.isFunction);
+    if (index === -1) {
+      // Let the operation complain about its arguments.
+      return fn.apply(null, args);
+    }
+    var callback = args[index];
+    exports.record(app, operation, function(next) {
+      args[index] = next;
+      fn.apply(null, args);
+    }, callback);
+  };
+};
+
+/**
+ * Moves the history of an app to its new name, operations of the app that
+ * are still running are recorded under the new name.
+ * @arg {object} app - App being renamed.
+ * @arg {string} name - New name of the app.
+ */
+exports.rename = function(app, name) {
+  var file = getHistoryFile(app.name);
+  // Follow the app when it is renamed again, ex. back when a rename fails.
+  _.each(renamed, function(current, original) {
+    if (current === app.name) {
+      renamed[original] = name;
+    }
+  });
+  if (running[app.name]) {
+    renamed[app.name] = name;
+  }
+  renamed = _.omit(renamed, function(current, original) {
+    return current === original;
+  });
+  if (!fs.existsSync(file)) {
+    return;
+  }
+  // Keep the history of an app that had the new name before.
+  var dest = getHistoryFile(name);
+  if (fs.existsSync(dest)) {
+    fs.appendFileSync(dest, fs.readFileSync(file, 'utf8'));
+    fs.unlinkSync(file);
+  } else {
+    fs.renameSync(file, dest);
+  }
+};
+
+/**
+ * Reads the history of an app, oldest entries first.
+ * @arg {object} app - App to read the history of.
+ * @arg {object} [opts] - Object containing the filters.
+ * @arg {string} opts.operation - Only entries of this operation.
+ * @arg {string} opts.outcome - Only entries with this outcome.
+ * @arg {date} opts.since - Only entries of operations started at or after
+ *   this date.
+ * @arg {integer} opts.limit - Only the latest entries, this many at most.
+ * @arg {function} callback - Callback called with the entries.
+ * @arg {error} callback.error
+ * @arg {array} callback.entries
+ */
+exports.read = function(app, opts, callback) {
+  if (typeof opts === 'function' && callback === undefined) {
+    callback = opts;
+    opts = {};
+  }
+  opts = opts || {};
+  if (opts.outcome &&
+    !_.contains([OUTCOME_SUCCESS, OUTCOME_FAILURE], opts.outcome)) {
+    return callback(new Error('Invalid outcome: ' + opts.outcome +
+      ', it has to be ' + OUTCOME_SUCCESS + ' or ' + OUTCOME_FAILURE + '.'));
+  }
+  fs.readFile(getHistoryFile(app.name), 'utf8', function(err, data) {
+    if (err && err.code === 'ENOENT') {
+      return callback(null, []);
+    } else if (err) {
+      return callback(err);
+    }
+    var entries = [];
+    _.each(data.split('\n'), function(line) {
+      if (_.trim(line)) {
+        try {
+          entries.push(JSON.parse(line));
+        } catch (err) {
+          // Skip lines left half written by a crashed process.
+          logDebug('HISTORY => Skipping invalid entry.', line);
+        }
+      }
+    });
+    // Entries are appended when operations finish, so sort them by start.
+    entries = _.filter(_.sortBy(entries, 'timestamp'), function(entry) {
+      return (!opts.operation || entry.operation === opts.operation) &&
+        (!opts.outcome || entry.outcome === opts.outcome) &&
+        (!opts.since || new Date(entry.timestamp) >= opts.since);
+    });
+    if (opts.limit) {
+      entries = _.takeRight(entries, opts.limit);
+    }
+    callback(null, entries);
+  });
+};
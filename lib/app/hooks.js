@@ -0,0 +1,206 @@
+'use strict';
+
+/*
+ * Lifecycle hooks declared in an app's kalabox.json.
+ *
+ * The hooks key maps lifecycle events to lists of hooks, ex.
+ *
+ *   "hooks": {
+ *     "post-start": [
+ *       {"exec": ["drush", "cc", "all"], "component": "web"},
+ *       {"run": "npm run build", "order": -1, "timeout": 60000}
+ *     ]
+ *   }
+ *
+ * A hook either runs a shell command on the host with run, or a command in
+ * the container of a component with exec. Host commands run in the app's root
+ * directory with the variables kbox sets in containers, like APPNAME.
+ *
+ * The hooks of an event run one after the other once the event's listeners
+ * are done, sorted by order (default 0) and then in the order they are
+ * declared. A failing hook fails the lifecycle operation unless it sets
+ * continueOnError. A hook running longer than timeout milliseconds fails,
+ * hooks don't time out by default.
+ *
+ * Hooks of component events like post-start-component run for each
+ * component, or only for the component they name. Exec hooks of component
+ * events run in the event's component unless they name one.
+ */
+
+var childProcess = require('child_process');
+var PassThrough = require('stream').PassThrough;
+var async = require('async');
+var core = require('../core.js');
+var engine = require('../engine.js');
+var appEnv = require('./env.js');
+var _ = require('lodash');
+
+var logDebug = core.log.debug;
+var logInfo = core.log.info;
+
+/*
+ * Validate a hook and give it a name to use in messages.
+ */
+var normalize = function(event, hook, index) {
+  var name = 'Hook ' + (index + 1) + ' of ' + event;
+  var fail = function(msg) {
+    throw new Error(name + ' is invalid: ' + msg);
+  };
+  if (!_.isPlainObject(hook)) {
+    fail('it has to be an object.');
+  }
+  if ((hook.run === undefined) === (hook.exec === undefined)) {
+    fail('Exactly one of run or exec is required.');
+  }
+  if (hook.run !== undefined && !_.isString(hook.run)) {
+    fail('run has to be a shell command.');
+  }
+  if (hook.exec !== undefined && !_.isArray(hook.exec)) {
+    fail('exec has to be an array of strings.');
+  }
+  if (hook.order !== undefined && !_.isFinite(hook.order)) {
+    fail('order has to be a number.');
+  }
+  if (hook.timeout !== undefined &&
+    (!_.isFinite(hook.timeout) || hook.timeout < 0)) {
+    fail('timeout has to be a positive number.');
+  }
+  return _.extend({
+    name: name + ' (' + (hook.run || hook.exec.join(' ')) + ')',
+    index: index,
+    order: 0
+  }, hook);
+};
+
+/*
+ * Run a shell command on the host.
+ */
+var runHost = function(app, hook, callback) {
+  var shell = process.platform === 'win32' ? ['cmd', '/c'] : ['sh', '-c'];
+  var child = childProcess.spawn(shell[0], [shell[1], hook.run], {
+    cwd: app.root,
+    env: _.extend({}, process.env, appEnv.getKboxEnv(app)),
+    stdio: 'inherit'
+  });
+  child.on('error', callback);
+  child.on('exit', function(code, signal) {
+    if (code === 0) {
+      callback(null);
+    } else {
+      callback(new Error(hook.name + ' exited with ' +
+        (signal ? 'signal ' + signal : 'code ' + code) + '.'));
+    }
+  });
+  return child;
+};
+
+/*
+ * Run a command in the container of a component.
+ */
+var runExec = function(app, hook, component, callback) {
+  var name = hook.component || (component && component.name);
+  if (!name || !app.components[name]) {
+    return callback(new Error(hook.name + ' needs an existing component ' +
+      'to run in, got [' + name + '].'));
+  }
+  var stdin = new PassThrough();
+  stdin.end();
+  var opts = {
+    tty: false,
+    stdin: stdin,
+    stdout: process.stdout,
+    stderr: process.stderr
+  };
+  engine.execInteractive(app.components[name].containerId, hook.exec, opts,
+  function(err, code) {
+    if (err) {
+      callback(err);
+    } else if (code !== 0) {
+      callback(new Error(hook.name + ' exited with code ' + code + '.'));
+    } else {
+      callback(null);
+    }
+  });
+};
+
+/*
+ * Run a single hook, failing it when it takes longer than its timeout.
+ */
+var runHook = function(app, hook, component, callback) {
+  var done = _.once(callback);
+  var child = null;
+  var timer = null;
+  if (hook.timeout) {
+    timer = setTimeout(function() {
+      if (child) {
+        child.kill();
+      }
+      done(new Error(hook.name + ' timed out after ' + hook.timeout +
+        'ms.'));
+    }, hook.timeout);
+  }
+  var finish = function(err) {
+    clearTimeout(timer);
+    done(err || null);
+  };
+  logDebug('HOOKS => Running ' + hook.name);
+  if (hook.run !== undefined) {
+    child = runHost(app, hook, finish);
+  } else {
+    runExec(app, hook, component, finish);
+  }
+};
+
+/**
+ * Gets the hooks of an app for a lifecycle event in the order they run.
+ * @arg {object} app - App to get the hooks of.
+ * @arg {string} event - Name of the lifecycle event, ex. post-start.
+ * @arg {object} component [optional] - Component of a component event, only
+ *   hooks for this component are returned.
+ * @returns {array} hooks
+ */
+var getHooks = exports.getHooks = function(app, event, component) {
+  var hooks = (app.config.hooks || {})[event] || [];
+  if (!_.isArray(hooks)) {
+    throw new Error('Hooks of ' + event + ' have to be a list.');
+  }
+  hooks = _.map(hooks, function(hook, index) {
+    return normalize(event, hook, index);
+  });
+  if (component) {
+    hooks = _.filter(hooks, function(hook) {
+      return !hook.component || hook.component === component.name;
+    });
+  }
+  return _.sortByAll(hooks, ['order', 'index']);
+};
+
+/**
+ * Runs the hooks of an app for a lifecycle event one after the other.
+ * @arg {object} app - App to run the hooks of.
+ * @arg {string} event - Name of the lifecycle event, ex. post-start.
+ * @arg {object} component [optional] - Component of a component event.
+ * @arg {function} callback - Callback called when the hooks are done.
+ * @arg {error} callback.error - Error of the first failing hook that does not
+ *   continue on errors.
+ */
+exports.run = function(app, event, component, callback) {
+  var hooks;
+  try {
+    hooks = getHooks(app, event, component);
+  } catch (err) {
+    return callback(err);
+  }
+  async.eachSeries(hooks, function(hook, next) {
+    runHook(app, hook, component, function(err) {
+      if (err && hook.continueOnError) {
+        logInfo(err.message + ' Continuing.');
+        next(null);
+      } else {
+        next(err);
+      }
+    });
+  }, function(err) {
+    callback(err || null);
+  });
+};
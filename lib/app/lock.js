@@ -0,0 +1,270 @@
+'use strict';
+
+/*
+ * Advisory locks that keep kbox processes from running operations on the same
+ * app at the same time, ex. starting an app while another shell rebuilds it.
+ *
+ * Locks are files named after the app in the locks directory of the kbox
+ * config root, since apps with the same name share containers. A lock file
+ * holds the pid and host of the process holding the lock, the operation and
+ * when the lock was taken. Lock files are linked into place, so they are
+ * never seen half written.
+ *
+ * A lock is stale when the process holding it is gone, stale locks are taken
+ * over. Only locks of the same host can be found stale since the processes of
+ * other hosts can't be checked. Stale locks are moved aside before they are
+ * removed, so a process can't remove the lock another process just took over.
+ *
+ * A process can take a lock it already holds, ex. when a plugin starts a
+ * component while the app is being installed. The lock is released once
+ * every holder released it. Locks are held by processes, not operations, so
+ * operations on the same app running side by side in one process, ex. in the
+ * GUI, are not kept apart by the lock.
+ */
+
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+var core = require('../core.js');
+var _ = require('lodash');
+
+var logDebug = core.log.debug;
+var logInfo = core.log.info;
+
+var LOCKS_DIRNAME = 'locks';
+
+// Milliseconds between attempts to take a busy lock.
+var WAIT_INTERVAL = 1000;
+
+// Number of holders of the locks this process holds, by lock file.
+var held = {};
+
+/*
+ * Get the lock file of an app.
+ */
+var getLockFile = function(app) {
+  var globalConfig = core.deps.lookup('globalConfig');
+  return path.join(globalConfig.sysConfRoot, LOCKS_DIRNAME,
+    app.name + '.lock');
+};
+
+/*
+ * Read the holder of a lock, null when the lock is gone.
+ */
+var readHolder = function(file) {
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (err) {
+    if (err.code === 'ENOENT') {
+      return null;
+    }
+    throw err;
+  }
+};
+
+/*
+ * Whether two lock files hold the same holder.
+ */
+var isSameHolder = function(holder, other) {
+  return holder.pid === other.pid && holder.host === other.host &&
+    holder.since === other.since;
+};
+
+/*
+ * Whether the lock was taken by this process.
+ */
+var isOwnHolder = function(holder) {
+  return holder.pid === process.pid && holder.host === os.hostname();
+};
+
+/*
+ * Whether the process holding a lock is gone.
+ */
+var isStale = function(holder) {
+  if (holder.host !== os.hostname()) {
+    return false;
+  }
+  try {
+    process.kill(holder.pid, 0);
+    return false;
+  } catch (err) {
+    // The process exists but belongs to another user.
+    return err.code !== 'EPERM';
+  }
+};
+
+/*
+ * Remove a stale lock. Another process may have taken over the lock since it
+ * was found stale, so the lock is moved aside and put back when it is not the
+ * stale one anymore.
+ */
+var removeStale = function(file, stale) {
+  var asideFile = file + '.stale.' + process.pid;
+  try {
+    fs.renameSync(file, asideFile);
+  } catch (err) {
+    if (err.code === 'ENOENT') {
+      return;
+    }
+    throw err;
+  }
+  try {
+    var holder = readHolder(asideFile);
+    if (holder && !isSameHolder(holder, stale)) {
+      logDebug('LOCK => Lock was taken over by another process.', file,
+        holder);
+      fs.linkSync(asideFile, file);
+    }
+  } catch (err) {
+    // Yet another process took the lock while it was moved aside.
+    if (err.code !== 'EEXIST') {
+      throw err;
+    }
+  } finally {
+    fs.unlinkSync(asideFile);
+  }
+};
+
+/*
+ * Try to take a lock, returns the holder of the lock when it is busy.
+ */
+var tryLock = function(file, operation) {
+  var holder = {
+    pid: process.pid,
+    host: os.hostname(),
+    operation: operation,
+    since: new Date().toISOString()
+  };
+  var tempFile = file + '.' + process.pid;
+  fs.writeFileSync(tempFile, JSON.stringify(holder));
+  try {
+    fs.linkSync(tempFile, file);
+    return null;
+  } catch (err) {
+    if (err.code !== 'EEXIST') {
+      throw err;
+    }
+  } finally {
+    fs.unlinkSync(tempFile);
+  }
+  var current = readHolder(file);
+  if (current && !isStale(current)) {
+    return current;
+  }
+  if (current) {
+    logDebug('LOCK => Taking over stale lock.', file, current);
+    removeStale(file, current);
+  }
+  return tryLock(file, operation);
+};
+
+/*
+ * Get a function that releases a lock held by this process once, the lock
+ * file is left alone when another process has taken the lock over.
+ */
+var getRelease = function(file) {
+  return _.once(function() {
+    held[file] -= 1;
+    if (held[file] === 0) {
+      delete held[file];
+      try {
+        var holder = readHolder(file);
+        if (holder && isOwnHolder(holder)) {
+          fs.unlinkSync(file);
+        }
+      } catch (err) {
+        logDebug('LOCK => Failed to release lock.', file, err);
+      }
+    }
+  });
+};
+
+/**
+ * Takes the lock of an app, or another hold of it when this process already
+ * holds it.
+ * @arg {object} app - App to lock.
+ * @arg {string} operation - Name of the operation taking the lock, ex. start.
+ * @arg {object} [opts] - Object containing the lock options.
+ * @arg {boolean} opts.wait - Wait for a busy lock to be released instead of
+ *   failing, defaults to whether kbox was run with --wait.
+ * @arg {function} callback - Callback called with a function that releases
+ *   the lock.
+ * @arg {error} callback.error - Error saying who holds a busy lock.
+ * @arg {function} callback.release
+ */
+exports.acquire = function(app, operation, opts, callback) {
+  if (typeof opts === 'function' && callback === undefined) {
+    callback = opts;
+    opts = {};
+  }
+  opts = opts || {};
+  var wait = opts.wait === undefined ? core.env.getLockWait() : opts.wait;
+  var file = getLockFile(app);
+
+  if (held[file]) {
+    held[file] += 1;
+    return callback(null, getRelease(file));
+  }
+
+  var waiting = false;
+  var attempt = function() {
+    var holder;
+    try {
+      if (!fs.existsSync(path.dirname(file))) {
+        fs.mkdirSync(path.dirname(file));
+      }
+      holder = tryLock(file, operation);
+    } catch (err) {
+      return callback(err);
+    }
+    if (!holder) {
+      held[file] = 1;
+      return callback(null, getRelease(file));
+    }
+    var msg = 'app busy: ' + holder.operation + ' by pid ' + holder.pid +
+      ' since ' + holder.since;
+    if (!wait) {
+      return callback(new Error(msg));
+    }
+    if (!waiting) {
+      waiting = true;
+      logInfo(msg + ', waiting for it to finish.');
+    }
+    setTimeout(attempt, WAIT_INTERVAL);
+  };
+  attempt();
+};
+
+/**
+ * Wraps an app operation so it holds the app's lock while it runs. The app
+ * has to be the first argument of the operation and its callback the last.
+ * @arg {string} operation - Name of the operation, ex. start.
+ * @arg {function} fn - Function of the operation.
+ * @returns {function} fn - Function holding the lock while it runs.
+ */
+exports.wrap = function(operation, fn) {
+  return function(app) {
+    var args = _.toArray(arguments);
+    var index = _.findLastIndex(args, _.isFunction);
+    if (index === -1) {
+      // Let the operation complain about its arguments.
+      return fn.apply(null, args);
+    }
+    var callback = args[index];
+    exports.acquire(app, operation, function(err, release) {
+      if (err) {
+        return callback(err);
+      }
+      args[index] = function() {
+        release();
+        callback.apply(null, arguments);
+      };
+      try {
+        fn.apply(null, args);
+      } catch (err) {
+        release();
+        throw err;
+      }
+    });
+  };
+};
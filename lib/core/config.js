@@ -11,6 +11,7 @@ var fs = require('fs');
 var env = require('./env.js');
 var deps = require('./deps.js');
 var log = require('./log.js');
+var schema = require('./schema.js');
 var _ = require('lodash');
 
 // Constants
@@ -22,6 +23,7 @@ var DEFAULT_GLOBAL_CONFIG = {
   engine: 'kalabox-engine-docker@0.7.2',
   engineRepo: 'kalabox',
   codeDir: 'code',
+  componentConcurrency: 3,
   services: 'kalabox-services-kalabox@0.7.3',
   apps: [
     'kalabox-app-drupal@0.7.11',
@@ -37,6 +39,11 @@ var DEFAULT_GLOBAL_CONFIG = {
   downloadsRoot: ':sysConfRoot:/downloads',
   appsRoot: ':kboxRoot:/apps',
   appRegistry: ':sysConfRoot:/appRegistry.json',
+  appScanCache: ':sysConfRoot:/appScanCache.json',
+  scanRoots: [
+    ':appsRoot:'
+  ],
+  scanDepth: 2,
   globalPluginRoot: ':kboxRoot:/plugins',
   globalPlugins: [
     'kalabox-core',
@@ -275,8 +282,76 @@ var getGlobalConfigFilepath = function() {
   return path.join(env.getSysConfRoot(), CONFIG_FILENAME);
 };
 
+/*
+ * Validate a loaded config file. Warnings are logged, errors make loading
+ * the file fail.
+ */
+var checkConfigFile = function(configFilepath, problems) {
+  var errors = _.filter(problems, {level: 'error'});
+  _.each(_.filter(problems, {level: 'warning'}), function(problem) {
+    logDebug('CONFIG => ' + configFilepath + ' ' + problem.path + ': ' +
+      problem.message + ' ' + problem.fix);
+  });
+  if (!_.isEmpty(errors)) {
+    throw new Error('Invalid config ' + configFilepath + ':\n' +
+      schema.format(errors));
+  }
+};
+
+/**
+ * Validates a global config file against the versioned config schema.
+ * @arg {object} json - Contents of the config file.
+ * @returns {array} problems - List of problems, each with a level of error
+ *   or warning, the JSON path of the problem, a message and a suggested fix.
+ * @example
+ * var problems = kbox.core.config.validateGlobalConfig(json);
+ * problems.forEach(function(problem) {
+ *   console.log(problem.path + ': ' + problem.message + ' ' + problem.fix);
+ * });
+ */
+var validateGlobalConfig = exports.validateGlobalConfig = function(json) {
+  return schema.validate(schema.getGlobalSchema(), json);
+};
+
+/**
+ * Validates an app config file against the versioned config schema,
+ *   including the schemas plugins registered for their pluginConf keys.
+ * @arg {object} json - Contents of the kalabox.json file of the app.
+ * @returns {array} problems - List of problems, each with a level of error
+ *   or warning, the JSON path of the problem, a message and a suggested fix.
+ * @example
+ * var problems = kbox.core.config.validateAppConfig(json);
+ * var errors = _.filter(problems, {level: 'error'});
+ */
+var validateAppConfig = exports.validateAppConfig = function(json) {
+  return schema.validate(schema.getAppSchema(), json);
+};
+
+/**
+ * Registers the schema of a plugin's config in the pluginConf key of app
+ *   configs, app configs are then validated against it.
+ * @arg {string} plugin - Name of the plugin.
+ * @arg {object} schema - Schema of the plugin's config, see lib/core/schema.js.
+ * @example
+ * kbox.core.config.registerPluginConfSchema('kalabox-plugin-dbenv', {
+ *   type: 'object',
+ *   required: ['dbName'],
+ *   properties: {
+ *     dbName: {type: 'string', example: 'drupal'}
+ *   }
+ * });
+ */
+exports.registerPluginConfSchema = schema.registerPluginConf;
+
+/**
+ * Version of the config schema, configs can require a newer version with the
+ *   configVersion key.
+ */
+exports.SCHEMA_VERSION = schema.VERSION;
+
 var loadConfigFile = function(configFilepath) {
   var loadedConfigFile = require(configFilepath);
+  checkConfigFile(configFilepath, validateGlobalConfig(loadedConfigFile));
   loadedConfigFile.configSources = [configFilepath];
   return loadedConfigFile;
 };
@@ -307,6 +382,95 @@ exports.getGlobalConfig = function() {
   return globalConfig;
 };
 
+/*
+ * Get the path of the overlay file of the current config profile in an app
+ * root, or null when no config profile is set or the app does not have the
+ * file.
+ */
+var getOverlayFilepath = function(appRoot) {
+  var profile = env.getConfigProfile();
+  if (!profile) {
+    return null;
+  }
+  if (!/^[a-zA-Z0-9_\-]+$/.test(profile)) {
+    throw new Error('Invalid config profile name: ' + profile);
+  }
+  var filepath = path.join(appRoot, 'kalabox.' + profile + '.json');
+  if (!fs.existsSync(filepath)) {
+    logDebug('CONFIG => No ' + path.basename(filepath) + ' in ' + appRoot +
+      ', not using an overlay.');
+    return null;
+  }
+  return filepath;
+};
+
+/*
+ * Check whether a value of an overlay is an array directive like
+ * {"$append": [...]} or {"$replace": [...]}.
+ */
+var isArrayDirective = function(value) {
+  return _.isPlainObject(value) && _.size(value) === 1 &&
+    (_.has(value, '$append') || _.has(value, '$replace'));
+};
+
+/*
+ * Deep merge an overlay onto a config. Objects are merged key by key and
+ * everything else overrides, like mixIn does for the top level. Arrays are
+ * replaced unless the overlay appends to them with {"$append": [...]}.
+ */
+var mergeOverlay = function(config, overlay, overlayFilepath) {
+  var rec = function(target, source, prefix) {
+    _.each(source, function(value, key) {
+      var name = _.filter([prefix, key]).join('.');
+      if (isArrayDirective(value)) {
+        var items = _.has(value, '$append') ? value.$append : value.$replace;
+        if (!_.isArray(items)) {
+          throw new Error('Invalid overlay ' + overlayFilepath + ': ' + name +
+            ' has to be a list.');
+        }
+        if (_.has(value, '$replace') || target[key] === undefined) {
+          target[key] = _.cloneDeep(items);
+        } else if (!_.isArray(target[key])) {
+          throw new Error('Invalid overlay ' + overlayFilepath +
+            ': can not append to ' + name + ', it is not a list.');
+        } else {
+          target[key] = target[key].concat(_.cloneDeep(items));
+        }
+      } else if (_.isPlainObject(value) && _.isPlainObject(target[key])) {
+        rec(target[key], value, name);
+      } else {
+        target[key] = _.cloneDeep(value);
+      }
+    });
+  };
+  rec(config, overlay, '');
+  return config;
+};
+
+/**
+ * Reads an app's kalabox.json as it was written, deep merged with the overlay
+ *   of the current config profile when there is one. Unlike getAppConfig the
+ *   result has none of the values kbox adds, so it can be validated.
+ * @arg {string} appRoot - Root directory of the app.
+ * @returns {object} result - Object with the merged config as json and the
+ *   list of files it was read from as files.
+ * @example
+ * var result = kbox.core.config.readAppConfigFiles(app.root);
+ * var problems = kbox.core.config.validateAppConfig(result.json);
+ */
+exports.readAppConfigFiles = function(appRoot) {
+  var appConfigFilepath = path.join(appRoot, CONFIG_FILENAME);
+  var json = JSON.parse(fs.readFileSync(appConfigFilepath, 'utf8'));
+  var files = [appConfigFilepath];
+  var overlayFilepath = getOverlayFilepath(appRoot);
+  if (overlayFilepath) {
+    var overlay = JSON.parse(fs.readFileSync(overlayFilepath, 'utf8'));
+    json = mergeOverlay(json, overlay, overlayFilepath);
+    files.push(overlayFilepath);
+  }
+  return {json: json, files: files};
+};
+
 exports.getAppConfigFilepath = function(app, config) {
   return path.join(config.appsRoot, app.name, CONFIG_FILENAME);
 };
@@ -315,7 +479,12 @@ exports.getAppConfigFilepath = function(app, config) {
  * Gets the app config for an app. The app config is a combination of the
  *   environment config, the default config, any values overriden in the
  *   $HOME/.kalabox/kalabox.json config file, and the kalabox.json config
- *   file in the app's root directory.
+ *   file in the app's root directory. When a config profile is set with
+ *   --config-profile or KALABOX_CONFIG_PROFILE, kalabox.<profile>.json in the
+ *   app's root directory is deep merged on top of the app's kalabox.json.
+ *   Lists in the overlay replace lists in kalabox.json, use
+ *   {"$append": [...]} to append to them instead, or {"$replace": [...]} to
+ *   be explicit.
  * @arg {string} app - The name of the app you'd like to get the config for.
  * @arg {string} appRoot [optional] - Directory to load the
  * app's config file from.
@@ -340,9 +509,79 @@ exports.getAppConfig = function(app, appRoot) {
 
   var appConfigFilepath = path.join(appRoot, CONFIG_FILENAME);
   var appConfigFile = require(appConfigFilepath);
+  checkConfigFile(appConfigFilepath, validateAppConfig(appConfigFile));
   appConfigFile.appRoot = appRoot;
   appConfigFile.appCidsRoot = ':appRoot:/.cids';
+  appConfigFile.configSources = [appConfigFilepath];
+
+  // Deep merge the overlay of the current config profile onto a copy of the
+  // config, the loaded kalabox.json is cached by require.
+  var overlayFilepath = getOverlayFilepath(appRoot);
+  if (overlayFilepath) {
+    var overlay = _.omit(require(overlayFilepath), 'configSources');
+    appConfigFile = mergeOverlay(_.cloneDeep(appConfigFile), overlay,
+      overlayFilepath);
+    checkConfigFile(overlayFilepath, validateAppConfig(appConfigFile));
+    appConfigFile.configSources.push(overlayFilepath);
+  }
+
   var retVal = mixIn(globalConfig, appConfigFile);
   logDebug('CONFIG => App config loaded.', retVal);
   return retVal;
 };
+
+/*
+ * Get the config loaded from one of the sources in configSources.
+ */
+var getSourceConfig = function(source) {
+  if (source === 'ENV_CONFIG') {
+    return exports.getEnvConfig();
+  } else if (source === 'DEFAULT_GLOBAL_CONFIG') {
+    return DEFAULT_GLOBAL_CONFIG;
+  } else if (fs.existsSync(source)) {
+    // Read the file again, loaded app configs are modified by kbox.
+    return JSON.parse(fs.readFileSync(source, 'utf8'));
+  } else {
+    return {};
+  }
+};
+
+/**
+ * Gets the source of each value of a config, the source of a value is the
+ *   last of the config's configSources that sets it, or kbox for values kbox
+ *   sets itself. Objects are walked into, lists are treated as single values.
+ * @arg {object} config - Config returned by getGlobalConfig or getAppConfig.
+ * @returns {array} sources - List of objects with the dotted path of the
+ *   value, the value and its source, sorted by path.
+ * @example
+ * var appConfig = kbox.core.config.getAppConfig('myapp');
+ * kbox.core.config.getConfigSources(appConfig).forEach(function(item) {
+ *   console.log(item.path + ' comes from ' + item.source);
+ * });
+ */
+exports.getConfigSources = function(config) {
+  var layers = _.map(config.configSources, function(source) {
+    return {source: source, config: getSourceConfig(source)};
+  });
+  var sources = [];
+  var rec = function(value, parts) {
+    if (_.isPlainObject(value) && !_.isEmpty(value)) {
+      return _.each(value, function(child, key) {
+        rec(child, parts.concat([key]));
+      });
+    }
+    var layer = _.findLast(layers, function(layer) {
+      var found = _.reduce(parts, function(obj, part) {
+        return _.isPlainObject(obj) ? obj[part] : undefined;
+      }, layer.config);
+      return found !== undefined;
+    });
+    sources.push({
+      path: parts.join('.'),
+      value: value,
+      source: layer ? layer.source : 'kbox'
+    });
+  };
+  rec(_.omit(config, 'configSources'), []);
+  return _.sortBy(sources, 'path');
+};
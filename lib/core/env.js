@@ -62,3 +62,21 @@ exports.getSysProviderRoot = function() {
 exports.getSourceRoot = function() {
   return path.resolve(__dirname, '../../');
 };
+
+/*
+ * Gets the config profile set with the --config-profile option or the
+ * KALABOX_CONFIG_PROFILE environment variable, apps load
+ * kalabox.<profile>.json on top of their kalabox.json. Not to be confused
+ * with the profile of the global config.
+ */
+exports.getConfigProfile = function() {
+  return getEnv('KALABOX_CONFIG_PROFILE') || null;
+};
+
+/*
+ * Gets whether operations on busy apps wait for them instead of failing, set
+ * with the --wait option or the KALABOX_WAIT environment variable.
+ */
+exports.getLockWait = function() {
+  return getEnv('KALABOX_WAIT') === 'true';
+};
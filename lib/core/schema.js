@@ -0,0 +1,363 @@
+'use strict';
+
+/*
+ * Schemas for global and app configs, and a validator for them.
+ *
+ * Schemas are a small subset of JSON schema: type (a type name or a list of
+ * them), properties, required, additionalProperties, items, enum, minimum and
+ * pattern. Properties can have an example that is used to suggest fixes.
+ *
+ * Validating a config returns a list of problems. Problems with a level of
+ * error make the config unusable, problems with a level of warning are keys
+ * kbox doesn't know about, which are often typos.
+ */
+
+var _ = require('lodash');
+
+/**
+ * Version of the config schema, configs can require a version with the
+ * configVersion key.
+ */
+var VERSION = exports.VERSION = 1;
+
+var stringList = {type: 'array', items: {type: 'string'}};
+
+var envMap = {
+  type: 'object',
+  additionalProperties: {type: ['string', 'number', 'boolean']}
+};
+
+var GLOBAL_PROPERTIES = {
+  configVersion: {type: 'integer', minimum: 1, example: VERSION},
+  configSources: stringList,
+  provisioned: {type: 'boolean'},
+  home: {type: 'string'},
+  os: {type: 'object', additionalProperties: true},
+  sysConfRoot: {type: 'string'},
+  sysProviderRoot: {type: 'string'},
+  srcRoot: {type: 'string'},
+  version: {type: 'string'},
+  domain: {type: 'string', example: 'kbox'},
+  engine: {type: 'string', example: 'kalabox-engine-docker'},
+  engineRepo: {type: 'string'},
+  codeDir: {type: 'string', example: 'code'},
+  componentConcurrency: {type: 'integer', minimum: 1, example: 3},
+  services: {type: 'string'},
+  apps: stringList,
+  profile: {type: 'string'},
+  sharing: {type: 'boolean'},
+  kboxRoot: {type: 'string'},
+  kalaboxRoot: {type: 'string'},
+  logLevel: {type: 'string', enum: ['debug', 'info', 'warn', 'error']},
+  logLevelConsole: {type: 'string', enum: ['debug', 'info', 'warn', 'error']},
+  logRoot: {type: 'string'},
+  downloadsRoot: {type: 'string'},
+  appsRoot: {type: 'string'},
+  appRegistry: {type: 'string'},
+  appScanCache: {type: 'string'},
+  scanRoots: stringList,
+  scanDepth: {type: 'integer', minimum: 0, example: 2},
+  globalPluginRoot: {type: 'string'},
+  globalPlugins: stringList,
+  env: envMap
+};
+
+var COMPONENT = {
+  type: 'object',
+  required: ['image'],
+  properties: {
+    image: {
+      type: 'object',
+      required: ['name'],
+      example: {name: 'kalabox/nginx:stable'},
+      properties: {
+        name: {type: 'string', example: 'kalabox/nginx:stable'},
+        build: {type: 'boolean'},
+        srcRoot: {type: 'string'}
+      }
+    },
+    installOptions: {type: 'object', additionalProperties: true},
+    dependsOn: stringList,
+    env: envMap,
+    healthcheck: {
+      type: 'object',
+      properties: {
+        tcp: {type: 'integer', minimum: 1, example: 3306},
+        http: {type: 'string', pattern: '^/', example: '/'},
+        exec: stringList,
+        port: {type: 'integer', minimum: 1, example: 80},
+        interval: {type: 'number', minimum: 0, example: 1000},
+        timeout: {type: 'number', minimum: 0, example: 5000},
+        retries: {type: 'number', minimum: 1, example: 30}
+      }
+    },
+    shell: {
+      type: 'object',
+      properties: {
+        user: {type: 'string'},
+        workingDir: {type: 'string'},
+        cmd: stringList
+      }
+    }
+  }
+};
+
+var HOOK = {
+  type: 'object',
+  properties: {
+    run: {type: 'string', example: 'npm run build'},
+    exec: {type: 'array', items: {type: 'string'}, example: ['drush', 'cc']},
+    component: {type: 'string', example: 'web'},
+    order: {type: 'number'},
+    continueOnError: {type: 'boolean'},
+    timeout: {type: 'number', minimum: 0, example: 60000}
+  }
+};
+
+// Lifecycle events apps can declare hooks for.
+var HOOK_EVENTS = _.flatten(_.map(['install', 'start', 'stop', 'uninstall'],
+  function(action) {
+    return _.map(['pre-', 'post-'], function(prefix) {
+      return [prefix + action, prefix + action + '-component'];
+    });
+  }
+), true);
+
+var APP_PROPERTIES = {
+  appName: {
+    type: 'string',
+    pattern: '^[a-zA-Z0-9][a-zA-Z0-9\\-]*$',
+    example: 'myapp'
+  },
+  appRoot: {type: 'string'},
+  appCidsRoot: {type: 'string'},
+  appPlugins: stringList,
+  pluginConf: {type: 'object', additionalProperties: true},
+  appComponents: {type: 'object', additionalProperties: COMPONENT},
+  shareIgnores: stringList,
+  hooks: {
+    type: 'object',
+    properties: _.zipObject(HOOK_EVENTS, _.map(HOOK_EVENTS, function() {
+      return {type: 'array', items: HOOK};
+    }))
+  }
+};
+
+// Schema fragments for pluginConf keys registered by plugins.
+var pluginConfSchemas = {};
+
+/**
+ * Registers the schema of a plugin's key in the pluginConf of app configs.
+ * @arg {string} plugin - Name of the plugin.
+ * @arg {object} schema - Schema of the plugin's config.
+ */
+exports.registerPluginConf = function(plugin, schema) {
+  if (typeof plugin !== 'string' || !plugin) {
+    throw new TypeError('Invalid plugin name: ' + plugin);
+  }
+  if (!_.isPlainObject(schema)) {
+    throw new TypeError('Invalid schema for plugin [' + plugin + ']: ' +
+      schema);
+  }
+  pluginConfSchemas[plugin] = schema;
+};
+
+/**
+ * Gets the schema for global configs.
+ * @returns {object} schema
+ */
+var getGlobalSchema = exports.getGlobalSchema = function() {
+  return {type: 'object', properties: GLOBAL_PROPERTIES};
+};
+
+/**
+ * Gets the schema for app configs, app configs can also override global
+ * config keys.
+ * @returns {object} schema
+ */
+var getAppSchema = exports.getAppSchema = function() {
+  var properties = _.extend({}, GLOBAL_PROPERTIES, APP_PROPERTIES);
+  properties.pluginConf = _.extend({}, properties.pluginConf, {
+    properties: _.clone(pluginConfSchemas)
+  });
+  return {type: 'object', required: ['appName'], properties: properties};
+};
+
+/*
+ * Get the type of a value as used by schemas.
+ */
+var typeOf = function(value) {
+  if (_.isArray(value)) {
+    return 'array';
+  } else if (value === null) {
+    return 'null';
+  } else if (_.isNumber(value) && value % 1 === 0) {
+    return 'integer';
+  } else {
+    return typeof value;
+  }
+};
+
+/*
+ * Check whether a value has one of the types of a schema.
+ */
+var hasType = function(schema, value) {
+  var types = [].concat(schema.type);
+  var type = typeOf(value);
+  return _.contains(types, type) ||
+    (type === 'integer' && _.contains(types, 'number'));
+};
+
+/*
+ * Add a key to a path, ex. appComponents.web or appPlugins[0].
+ */
+var joinPath = function(path, key) {
+  if (_.isNumber(key)) {
+    return path + '[' + key + ']';
+  } else if (!/^[A-Za-z_$][A-Za-z0-9_$\-]*$/.test(key)) {
+    return path + '[' + JSON.stringify(key) + ']';
+  } else {
+    return path ? path + '.' + key : key;
+  }
+};
+
+/*
+ * Levenshtein distance between two strings.
+ */
+var distance = function(a, b) {
+  var row = _.range(b.length + 1);
+  _.each(a, function(charA, i) {
+    var prev = row[0];
+    row[0] = i + 1;
+    _.each(b, function(charB, j) {
+      var current = row[j + 1];
+      row[j + 1] = Math.min(
+        row[j + 1] + 1,
+        row[j] + 1,
+        prev + (charA === charB ? 0 : 1)
+      );
+      prev = current;
+    });
+  });
+  return row[b.length];
+};
+
+/*
+ * Find a known key that an unknown key is probably a typo of.
+ */
+var findSimilar = function(key, keys) {
+  var scored = _.map(keys, function(other) {
+    var score = other.toLowerCase() === key.toLowerCase() ? 0 :
+      distance(key, other);
+    return {key: other, score: score};
+  });
+  var best = _.min(scored, 'score');
+  var limit = Math.max(1, Math.floor(key.length / 4));
+  return best && best.key && best.score <= limit ? best.key : null;
+};
+
+/*
+ * Describe the expected type of a schema, with an example if it has one.
+ */
+var describeType = function(schema) {
+  var types = [].concat(schema.type);
+  var text = types.length === 1 ? 'a ' + types[0] :
+    'a ' + _.initial(types).join(', ') + ' or ' + _.last(types);
+  text = text.replace(/^a (array|integer|object)/, 'an $1');
+  if (schema.example !== undefined) {
+    text += ', ex. ' + JSON.stringify(schema.example);
+  }
+  return text;
+};
+
+/**
+ * Validates a value against a schema.
+ * @arg {object} schema - Schema to validate against.
+ * @arg value - Value to validate.
+ * @returns {array} problems - List of problems with a level of error or
+ *   warning, the JSON path of the problem, a message and a suggested fix.
+ */
+var validate = exports.validate = function(schema, value) {
+  var problems = [];
+  var report = function(level, path, message, fix) {
+    problems.push({
+      level: level,
+      path: path || '(root)',
+      message: message,
+      fix: fix
+    });
+  };
+
+  var rec = function(schema, value, path) {
+    if (schema.type && !hasType(schema, value)) {
+      return report('error', path, 'Expected ' + [].concat(schema.type)
+        .join(' or ') + ' but found ' + typeOf(value) + '.',
+        'Change it to ' + describeType(schema) + '.');
+    }
+    if (schema.enum && !_.contains(schema.enum, value)) {
+      report('error', path, 'Unsupported value ' + JSON.stringify(value) +
+        '.', 'Use one of ' + schema.enum.join(', ') + '.');
+    }
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      report('error', path, 'Has to be at least ' + schema.minimum + '.',
+        'Change it to ' + describeType(schema) + '.');
+    }
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      report('error', path, 'Does not match ' + schema.pattern + '.',
+        'Change it to ' + describeType(schema) + '.');
+    }
+    if (schema.items && _.isArray(value)) {
+      _.each(value, function(item, index) {
+        rec(schema.items, item, joinPath(path, index));
+      });
+    }
+    if (_.isPlainObject(value)) {
+      var properties = schema.properties || {};
+      _.each(schema.required, function(key) {
+        if (value[key] === undefined) {
+          var property = properties[key] || {};
+          var example = property.example !== undefined ?
+            JSON.stringify(property.example) : '...';
+          report('error', joinPath(path, key), 'Required key is missing.',
+            'Add "' + key + '": ' + example + ' to ' + (path || 'the config') +
+            '.');
+        }
+      });
+      _.each(value, function(child, key) {
+        if (properties[key]) {
+          rec(properties[key], child, joinPath(path, key));
+        } else if (_.isPlainObject(schema.additionalProperties)) {
+          rec(schema.additionalProperties, child, joinPath(path, key));
+        } else if (schema.additionalProperties !== true) {
+          var similar = findSimilar(key, _.keys(properties));
+          report('warning', joinPath(path, key), 'Unknown key.',
+            similar ? 'Did you mean "' + similar + '"?' :
+            'Remove it unless a plugin uses it.');
+        }
+      });
+    }
+  };
+
+  rec(schema, value, '');
+
+  // Refuse configs written for a newer schema.
+  if (_.isPlainObject(value) && value.configVersion > VERSION) {
+    report('error', 'configVersion', 'Config needs schema version ' +
+      value.configVersion + ', this version of kbox supports version ' +
+      VERSION + '.', 'Update kbox.');
+  }
+
+  return problems;
+};
+
+/**
+ * Formats a list of problems, one per line.
+ * @arg {array} problems - Problems returned by validate.
+ * @returns {string} text
+ */
+exports.format = function(problems) {
+  return _.map(problems, function(problem) {
+    return problem.level + ' ' + problem.path + ': ' + problem.message +
+      ' ' + problem.fix;
+  }).join('\n');
+};
@@ -142,7 +142,9 @@ var addChild = function(branch, child) {
 };
 
 /*
- * Add a task to the root of the task tree.
+ * Add a task to the root of the task tree. A task can share its path with a
+ * branch of subtasks, the task is then the branch's default task and runs
+ * when none of the subtasks is given.
  */
 var addTask = function(task) {
 
@@ -174,9 +176,20 @@ var addTask = function(task) {
       return getName(obj) === hd;
     });
 
-    // Conflicting tasks exist in task tree.
     if (cursor && isTask(cursor)) {
-      assert(false);
+
+      // Conflicting tasks exist in task tree.
+      if (tl.length === 0) {
+        assert(false);
+      }
+
+      // Turn the task into the default task of a branch for its subtasks.
+      var branch = createBranch(hd);
+      branch.task = cursor;
+      node.children = _.without(node.children, cursor);
+      addChild(node, branch);
+      cursor = branch;
+
     }
 
     // Continue.
@@ -187,7 +200,12 @@ var addTask = function(task) {
 
       if (cursor) {
 
-        addChild(cursor, task);
+        // Conflicting default tasks exist in task tree.
+        if (cursor.task) {
+          assert(false);
+        }
+
+        cursor.task = task;
 
       } else {
 
@@ -234,6 +252,8 @@ var blueprint = {
   kind: 'argv0',
   options: [],
   func: null,
+  // Whether running the task on an app is recorded in the app's history.
+  history: true,
   __isTask: true
 };
 
@@ -385,6 +405,11 @@ var invariant = function(task) {
     invariantOption(task, option);
   });
 
+  // Validate history.
+  if (typeof task.history !== 'boolean') {
+    throw new TypeError('Invalid task history: ' + pp(task));
+  }
+
   // Validate function.
   if (typeof task.func !== 'function') {
     throw new TypeError('Invalid task function: ' + pp(task));
@@ -569,7 +594,10 @@ var find = exports.find = function(tree, argv) {
 
     if (payload.length === 0) {
 
-      // Reached end of argv path, so return current node.
+      // Reached end of argv path, so return current node or its default task.
+      if (isBranch(node) && node.task) {
+        node = node.task;
+      }
       node.argv = {
         payload: payload,
         options: argv.options,
@@ -601,6 +629,16 @@ var find = exports.find = function(tree, argv) {
         // Update the argv path and then recurse with child that was found.
         return rec(child, tl);
 
+      } else if (node.task) {
+
+        // Let the branch's default task deal with the rest of the argv path.
+        node.task.argv = {
+          payload: payload,
+          options: argv.options,
+          rawOptions: argv.rawOptions
+        };
+        return node.task;
+
       } else {
 
         // No matching child was found, it's a dead search so return null.
@@ -645,6 +683,18 @@ var configureGlobalOptions = function(parser) {
     describe: 'Use verbose output.'
   });
 
+  // Config profile option.
+  parser.option('config-profile', {
+    type: 'string',
+    describe: 'Load kalabox.<config-profile>.json on top of app configs.'
+  });
+
+  // Wait for busy apps option.
+  parser.option('wait', {
+    type: 'boolean',
+    describe: 'Wait for other kbox processes using the app to finish.'
+  });
+
 };
 
 /*
@@ -907,7 +957,8 @@ var getMenu = exports.getMenu = function(branch, appName) {
       lines.push({
         depth: depth,
         name: getName(node),
-        parentName: parentName
+        parentName: parentName,
+        description: node.task ? node.task.description : undefined
       });
       node.children.forEach(function(child) {
         recAdd(child, getName(node), depth + 1);
@@ -102,6 +102,24 @@ var verifyProviderIsReady = function(callback) {
   });
 };
 
+/*
+ * Make sure the engine implements a method, engines written before the
+ * method was added to kbox don't.
+ */
+var verifyEngineSupports = function(method, callback) {
+  verifyProviderIsReady(function(err) {
+    if (err) {
+      callback(err);
+    } else if (typeof engine[method] !== 'function') {
+      var engineName = core.deps.lookup('globalConfig').engine;
+      callback(new Error('Engine ' + engineName + ' does not support ' +
+        method + ', update it to a version that does.'));
+    } else {
+      callback(null);
+    }
+  });
+};
+
 /**
  * Returns the name of the configured provider.
  * @returns {string} - Name of the configured provider.
@@ -396,6 +414,37 @@ exports.create = function(createOptions, callback) {
   });
 };
 
+/**
+ * Starts a container like start does, but calls back as soon as the engine
+ * started it instead of after a short delay. For callers that wait on the
+ * container being ready themselves, like app components with a healthcheck.
+ * @arg {string} containerId - Id of the container to start.
+ * @arg {object} startOptions [optional] - Object containing the start options for the container.
+ * @arg {function} callback - Callback called when the container has been started.
+ * @arg {error} callback.error
+ * @example
+ * engine.startNow(component.containerId, component.opts, function(err) {
+ *   if (err) {
+ *     callback(err);
+ *   } else {
+ *     healthcheck.wait(component, callback);
+ *   }
+ * });
+ */
+var startNow = exports.startNow = function(cid, startOptions, callback) {
+  if (typeof startOptions === 'function' && callback === undefined) {
+    callback = startOptions;
+    startOptions = null;
+  }
+  verifyProviderIsReady(function(err) {
+    if (err) {
+      callback(err);
+    } else {
+      engine.start(cid, startOptions, callback);
+    }
+  });
+};
+
 /**
  * Starts a container.
  * @arg {string} containerId - Id of the container to start.
@@ -423,18 +472,14 @@ exports.start = function(cid, startOptions, callback) {
     callback = startOptions;
     startOptions = null;
   }
-  verifyProviderIsReady(function(err) {
-    if (err) {
+  startNow(cid, startOptions, function(err) {
+    // @todo: This short delay is to give redis a chance to get into a good state.
+    // A better check would be bounded polling of redis until it is in a good state.
+    // Engines whose containers are ready right away can set startDelay.
+    var delay = _.isFinite(engine.startDelay) ? engine.startDelay : 3000;
+    setTimeout(function() {
       callback(err);
-    } else {
-      engine.start(cid, startOptions, function(err) {
-        // @todo: This short delay is to give redis a chance to get into a good state.
-        // A better check would be bounded polling of redis until it is in a good state.
-        setTimeout(function() {
-          callback(err);
-        }, 3000);
-      });
-    }
+    }, delay);
   });
 };
 
@@ -541,6 +586,102 @@ var query = exports.query = function(cid, cmd, stdout, stderr, callback) {
   });
 };
 
+/**
+ * Runs an interactive command in a container, forwarding stdin and keeping
+ * the size of the container's terminal in sync with the local terminal.
+ * @static
+ * @method
+ * @arg {string} containerId - ID of container to run the command in.
+ * @arg {array} cmd - Command to run in the form of an array of strings.
+ * @arg {object} opts [optional] - Object containing the exec options.
+ * @arg {string} opts.user - User to run the command as, defaults to the
+ *   user of the container.
+ * @arg {string} opts.workingDir - Directory to run the command in.
+ * @arg {array} opts.env - Extra environment variables as KEY=VALUE strings.
+ * @arg {boolean} opts.tty - Allocate a tty, defaults to true when both stdin
+ *   and stdout are terminals.
+ * @arg {stream} opts.stdin - Defaults to process.stdin.
+ * @arg {stream} opts.stdout - Defaults to process.stdout.
+ * @arg {stream} opts.stderr - Defaults to process.stderr.
+ * @arg {function} callback - Callback called when the command has exited.
+ * @arg {error} callback.error
+ * @arg {number} callback.code - Exit code of the command.
+ * @example
+ * var opts = {user: 'www-data', workingDir: '/code'};
+ * kbox.engine.execInteractive(containerId, ['bash'], opts,
+ * function(err, code) {
+ *   if (err) {
+ *     throw err;
+ *   } else {
+ *     console.log('Shell exited with code ' + code);
+ *   }
+ * });
+ */
+exports.execInteractive = function(cid, cmd, opts, callback) {
+  if (typeof opts === 'function' && callback === undefined) {
+    callback = opts;
+    opts = {};
+  }
+  if (typeof callback !== 'function') {
+    throw new TypeError('Invalid function callback: ' + callback);
+  }
+  opts = _.extend({
+    stdin: process.stdin,
+    stdout: process.stdout,
+    stderr: process.stderr
+  }, opts);
+  if (opts.tty === undefined) {
+    opts.tty = !!opts.stdin.isTTY && !!opts.stdout.isTTY;
+  }
+
+  var getSize = function() {
+    return {rows: opts.stdout.rows, columns: opts.stdout.columns};
+  };
+  if (opts.tty) {
+    opts.size = getSize();
+  }
+
+  verifyEngineSupports('execInteractive', function(err) {
+    if (err) {
+      return callback(err);
+    }
+    engine.execInteractive(cid, cmd, opts, function(err, exec) {
+      if (err) {
+        return callback(err);
+      }
+
+      // Put the local terminal in raw mode so keystrokes like ctrl-c are
+      // sent to the container instead of being handled locally.
+      var rawMode = opts.tty && typeof opts.stdin.setRawMode === 'function';
+      if (rawMode) {
+        opts.stdin.setRawMode(true);
+      }
+
+      var onResize = function() {
+        exec.resize(getSize(), function(err) {
+          if (err) {
+            core.log.debug('Failed to resize tty: ' + err.message);
+          }
+        });
+      };
+      if (opts.tty) {
+        opts.stdout.on('resize', onResize);
+      }
+
+      exec.wait(function(err, code) {
+        if (rawMode) {
+          opts.stdin.setRawMode(false);
+        }
+        opts.stdout.removeListener('resize', onResize);
+        if (typeof opts.stdin.pause === 'function') {
+          opts.stdin.pause();
+        }
+        callback(err, code);
+      });
+    });
+  });
+};
+
 var consumeStream = function(stream, callback) {
   var buffer = null;
   stream.on('data', function(data) {
@@ -594,6 +735,156 @@ var queryData = exports.queryData = function(cid, cmd, callback) {
   });
 };
 
+/**
+ * Returns a stream of a container's stdout and stderr output.
+ * @static
+ * @method
+ * @arg {string} containerId - ID of container to get the logs of.
+ * @arg {object} opts [optional] - Object containing the log options.
+ * @arg {boolean} opts.follow - Keep the stream open and keep writing new
+ *   output to it until the container stops.
+ * @arg {number} opts.tail - Only return this many lines from the end of
+ *   the logs.
+ * @arg {number} opts.since - Only return output since this unix timestamp.
+ * @arg {boolean} opts.timestamps - Prefix each line with a timestamp.
+ * @arg {function} callback - Callback called with the log stream.
+ * @arg {error} callback.error
+ * @arg {stream} callback.stream - Readable stream of log lines.
+ * @example
+ * kbox.engine.logs(containerId, {tail: 10}, function(err, stream) {
+ *   if (err) {
+ *     throw err;
+ *   } else {
+ *     stream.pipe(process.stdout);
+ *   }
+ * });
+ */
+exports.logs = function(cid, opts, callback) {
+  if (typeof opts === 'function' && callback === undefined) {
+    callback = opts;
+    opts = {};
+  }
+  if (typeof callback !== 'function') {
+    throw new TypeError('Invalid callback function: ' + callback);
+  }
+
+  verifyEngineSupports('logs', function(err) {
+    if (err) {
+      callback(err);
+    } else {
+      engine.logs(cid, opts || {}, callback);
+    }
+  });
+};
+
+/**
+ * Returns a snapshot of a running container's resource usage.
+ * @static
+ * @method
+ * @arg {string} containerId - ID of container to get the stats of.
+ * @arg {function} callback - Callback called with the container's stats.
+ * @arg {error} callback.error
+ * @arg {object} callback.stats - Object containing the container's stats.
+ * @arg {number} callback.stats.cpuPercent - CPU usage in percent.
+ * @arg {object} callback.stats.memory - Memory usage, limit in bytes and
+ *   usage in percent of the limit.
+ * @arg {object} callback.stats.network - Bytes received and sent.
+ * @arg {object} callback.stats.blockIo - Bytes read and written.
+ * @example
+ * kbox.engine.stats(containerId, function(err, stats) {
+ *   if (err) {
+ *     throw err;
+ *   } else {
+ *     console.log(stats.cpuPercent + '% CPU');
+ *     console.log(stats.memory.usage + ' of ' + stats.memory.limit);
+ *     console.log(stats.network.rxBytes + ' received');
+ *     console.log(stats.blockIo.writeBytes + ' written');
+ *   }
+ * });
+ */
+exports.stats = function(cid, callback) {
+  if (typeof callback !== 'function') {
+    throw new TypeError('Invalid callback function: ' + callback);
+  }
+
+  verifyEngineSupports('stats', function(err) {
+    if (err) {
+      callback(err);
+    } else {
+      engine.stats(cid, callback);
+    }
+  });
+};
+
+/**
+ * Extracts a tar stream into a directory of a container. The container does
+ * not need to be running.
+ * @static
+ * @method
+ * @arg {string} containerId - ID of container to copy into.
+ * @arg {string} path - Directory in the container to extract the archive in.
+ * @arg {stream} stream - Readable tar stream.
+ * @arg {function} callback - Callback called when the archive is extracted.
+ * @arg {error} callback.error
+ * @example
+ * var stream = kbox.util.tar.pack('/tmp/settings.php');
+ * kbox.engine.copyTo(containerId, '/code/sites/default', stream,
+ * function(err) {
+ *   if (err) {
+ *     throw err;
+ *   }
+ * });
+ */
+exports.copyTo = function(cid, path, stream, callback) {
+  if (typeof callback !== 'function') {
+    throw new TypeError('Invalid callback function: ' + callback);
+  }
+
+  verifyEngineSupports('copyTo', function(err) {
+    if (err) {
+      callback(err);
+    } else {
+      engine.copyTo(cid, path, stream, callback);
+    }
+  });
+};
+
+/**
+ * Returns a tar stream of a file or directory in a container. The root entry
+ * of the archive is named after the basename of the path. The container does
+ * not need to be running.
+ * @static
+ * @method
+ * @arg {string} containerId - ID of container to copy from.
+ * @arg {string} path - File or directory in the container to copy.
+ * @arg {function} callback - Callback called with the tar stream.
+ * @arg {error} callback.error
+ * @arg {stream} callback.stream - Readable tar stream.
+ * @example
+ * kbox.engine.copyFrom(containerId, '/tmp/dump.sql', function(err, stream) {
+ *   if (err) {
+ *     throw err;
+ *   } else {
+ *     kbox.util.tar.extract(stream, process.cwd(), function(err) {
+ *       ...
+ *     });
+ *   }
+ * });
+ */
+exports.copyFrom = function(cid, path, callback) {
+  if (typeof callback !== 'function') {
+    throw new TypeError('Invalid callback function: ' + callback);
+  }
+
+  verifyEngineSupports('copyFrom', function(err) {
+    if (err) {
+      callback(err);
+    } else {
+      engine.copyFrom(cid, path, callback);
+    }
+  });
+};
+
 /**
  * Stops a container.
  * @arg {string} containerId - Id of the container to stop.
@@ -646,8 +937,15 @@ exports.remove = function(cid, callback) {
   });
 };
 
+/*
+ * Label set on the images kbox builds, so the images they leave behind when
+ * they are built again can be told apart from other dangling images.
+ */
+var IMAGE_LABEL = exports.IMAGE_LABEL = 'io.kalabox.image';
+
 /**
- * Pulls or builds the image for a container.
+ * Pulls or builds the image for a container. Images that are built get the
+ * IMAGE_LABEL label with the name of the image.
  * @arg {object} image - Image object to pull or build.
  * @arg {function} callback - Callback called when the image has been built.
  * @arg {error} callback.error
@@ -684,7 +982,72 @@ exports.build = function(image, callback) {
     if (err) {
       callback(err);
     } else {
-      engine.build(image, callback);
+      var labels = {};
+      labels[IMAGE_LABEL] = image.name;
+      engine.build(_.extend({}, image, {
+        labels: _.extend({}, image.labels, labels)
+      }), callback);
+    }
+  });
+};
+
+/**
+ * Lists the images of the engine, including dangling images which lost their
+ * name to a newer build of the same image.
+ * @static
+ * @method
+ * @arg {function} callback - Callback called with the list of images.
+ * @arg {error} callback.error
+ * @arg {array} callback.images - Images with an id, a name or null for
+ *   dangling images, whether they are dangling and their labels.
+ * @example
+ * kbox.engine.listImages(function(err, images) {
+ *   if (err) {
+ *     throw err;
+ *   } else {
+ *     var dangling = _.filter(images, 'dangling');
+ *     console.log(dangling.length + ' dangling images');
+ *   }
+ * });
+ */
+exports.listImages = function(callback) {
+  if (typeof callback !== 'function') {
+    throw new TypeError('Invalid callback function: ' + callback);
+  }
+
+  verifyEngineSupports('listImages', function(err) {
+    if (err) {
+      callback(err);
+    } else {
+      engine.listImages(callback);
+    }
+  });
+};
+
+/**
+ * Removes an image from the engine, fails when a container uses the image.
+ * @static
+ * @method
+ * @arg {string} image - Id or name of the image to remove.
+ * @arg {function} callback - Callback called when the image has been removed.
+ * @arg {error} callback.error
+ * @example
+ * kbox.engine.removeImage(image.id, function(err) {
+ *   if (err) {
+ *     throw err;
+ *   }
+ * });
+ */
+exports.removeImage = function(image, callback) {
+  if (typeof callback !== 'function') {
+    throw new TypeError('Invalid callback function: ' + callback);
+  }
+
+  verifyEngineSupports('removeImage', function(err) {
+    if (err) {
+      callback(err);
+    } else {
+      engine.removeImage(image, callback);
     }
   });
 };
@@ -1,11 +1,19 @@
 'use strict';
 
+var _ = require('lodash');
+var async = require('async');
+var chalk = require('chalk');
+var crypto = require('crypto');
+var fs = require('fs-extra');
+var os = require('os');
+var path = require('path');
+
 exports.mockFs = {
   config: {
     'kalabox': {
       'apps': {
         'myapp54': {
-          'kalabox.json': '{ "someSetting2": "5.34" }'
+          'kalabox.json': '{ "appName": "myapp54", "someSetting2": "5.34" }'
         }
       }
     },
@@ -40,3 +48,186 @@ exports.mockFs = {
     return mockFs;
   }
 };
+
+/*
+ * Boot kbox on top of the in-memory engine and services, so apps can be
+ * installed, started, stopped and uninstalled in unit tests. Dependencies are
+ * overridden until restore is called.
+ */
+exports.memoryEngine = {
+  config: {
+    engine: 'kalabox-engine-memory',
+    services: 'kalabox-services-memory',
+    globalPlugins: ['kalabox-core'],
+    sharing: false
+  },
+  create: function(kbox, callback) {
+    var self = this;
+    var root = path.join(
+      os.tmpdir(),
+      'kbox-memory-' + crypto.randomBytes(4).toString('hex')
+    );
+    fs.mkdirpSync(root);
+
+    // Keep everything kbox writes inside of root.
+    var globalConfig = kbox.core.config.getGlobalConfig();
+    _.extend(globalConfig, self.config, {
+      appsRoot: path.join(root, 'apps'),
+      appRegistry: path.join(root, 'appRegistry.json'),
+      appScanCache: path.join(root, 'appScanCache.json'),
+      scanRoots: [path.join(root, 'apps')],
+      kboxRoot: root,
+      kalaboxRoot: root,
+      sysConfRoot: root
+    });
+
+    var restoreDeps = null;
+    kbox.core.deps.override({
+      app: undefined,
+      appConfig: undefined,
+      config: globalConfig,
+      events: kbox.core.events,
+      globalConfig: globalConfig,
+      kboxRequire: kbox.require,
+      verbose: false
+    }, function(done) {
+      restoreDeps = done;
+    });
+
+    var env = {
+      root: root,
+      globalConfig: globalConfig,
+      engine: null,
+      createApp: function(name, json, callback) {
+        var appRoot = path.join(globalConfig.appsRoot, name);
+        fs.mkdirpSync(appRoot);
+        json = _.extend({appName: name, appComponents: {}}, json);
+        fs.writeFileSync(
+          path.join(appRoot, kbox.core.config.CONFIG_FILENAME),
+          JSON.stringify(json, null, 2)
+        );
+        var config = kbox.core.config.getAppConfig(name, appRoot);
+        kbox.app.create(name, config, callback);
+      },
+      // Create and install an app.
+      installApp: function(name, json, callback) {
+        env.createApp(name, json, function(err, app) {
+          if (err) {
+            return callback(err);
+          }
+          kbox.app.install(app, function(err) {
+            callback(err, app);
+          });
+        });
+      },
+      // Install and start an app, and register it as the app kbox runs for,
+      // which adds its tasks. Only one app can be registered per env.
+      startApp: function(name, json, callback) {
+        env.installApp(name, json, function(err, app) {
+          if (err) {
+            return callback(err);
+          }
+          async.series([
+            _.partial(kbox.core.deps.register, 'app', app),
+            _.partial(kbox.app.start, app)
+          ], function(err) {
+            callback(err || null, app);
+          });
+        });
+      },
+      // Create an app with a data container that has the given volumes.
+      createDataApp: function(name, json, volumes, callback) {
+        env.createApp(name, json, function(err, app) {
+          if (err) {
+            return callback(err);
+          }
+          kbox.engine.build({name: 'data'}, function() {
+            var opts = {
+              Image: 'data',
+              name: app.dataContainerName,
+              Volumes: {}
+            };
+            _.each(volumes, function(volume) {
+              opts.Volumes[volume] = {};
+            });
+            kbox.engine.create(opts, function(err, container) {
+              callback(err, app, container && container.cid);
+            });
+          });
+        });
+      },
+      // Run a task from command line arguments, like kbox would, and call
+      // back with its error and the output it wrote, without colors.
+      runTask: function(args, callback) {
+        var argv = kbox.tasks.partitionArgv(args);
+        var task = kbox.tasks.find(argv);
+        if (!task || !kbox.tasks.isTask(task)) {
+          throw new Error('No such task: ' + args.join(' '));
+        }
+        var parser = require('yargs');
+        var write = process.stdout.write;
+        var output = '';
+        var finish = _.once(function(err) {
+          process.stdout.write = write;
+          parser.reset();
+          callback(err || null, chalk.stripColor(output));
+        });
+        // Report invalid options as errors instead of exiting.
+        parser.fail(function(msg) {
+          throw new Error(msg);
+        });
+        process.stdout.write = function(data) {
+          output += data;
+          return true;
+        };
+        try {
+          kbox.tasks.run(task, finish);
+        } catch (err) {
+          finish(err);
+        }
+      },
+      restore: function() {
+        restoreDeps();
+        fs.removeSync(root);
+      }
+    };
+
+    async.series([
+      function(next) {
+        kbox.engine.init(globalConfig, next);
+      },
+      function(next) {
+        kbox.services.init(globalConfig, kbox, next);
+      },
+      function(next) {
+        kbox.engine.up(1, next);
+      },
+      function(next) {
+        kbox.require(globalConfig.engine, function(err, engine) {
+          if (!err) {
+            engine.reset();
+            env.engine = engine;
+          }
+          next(err);
+        });
+      },
+      function(next) {
+        async.eachSeries(globalConfig.globalPlugins, kbox.require, next);
+      },
+      function(next) {
+        // Plugins only add their tasks the first time they are loaded, so
+        // put back the ones specs cleared since.
+        var tree = kbox.tasks.getTaskTree();
+        self.pluginTasks = self.pluginTasks || tree.children.slice();
+        _.each(self.pluginTasks, function(child) {
+          if (!_.contains(tree.children, child)) {
+            tree.children.push(child);
+          }
+        });
+        next();
+      }
+    ], function(err) {
+      callback(err, env);
+    });
+  }
+};
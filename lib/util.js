@@ -29,6 +29,9 @@ exports.npm = npm;
 var shell = require('./util/shell.js');
 exports.shell = shell;
 
+var tar = require('./util/tar.js');
+exports.tar = tar;
+
 var validateNameRegex = function(min, max) {
   return new RegExp('^[a-z][a-z0-9\\-]{' + (min - 1) + ',' + (max - 1) + '}$');
 };
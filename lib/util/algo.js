@@ -63,6 +63,84 @@ var eachSeriesContinue = function(arr, iterator, cb) {
 
 };
 
+/*
+ * Apply iterator to each item in arr, running at most limit iterators at the
+ * same time. An item is only started once all of the items getDeps returns
+ * for it are done. Items that depend on an item that reported an error are
+ * skipped, everything else continues. Errors are combined like in
+ * eachSeriesContinue.
+ */
+var eachGraphLimitContinue = function(arr, getDeps, limit, iterator, cb) {
+
+  var pending = arr.slice();
+  var done = [];
+  var failed = [];
+  var errs = [];
+  var running = 0;
+
+  // An item is ready when all of its deps are done, and blocked when one of
+  // its deps failed or was skipped.
+  var isReady = function(elt) {
+    return _.every(getDeps(elt), function(dep) {
+      return _.contains(done, dep);
+    });
+  };
+  var isBlocked = function(elt) {
+    return _.some(getDeps(elt), function(dep) {
+      return _.contains(failed, dep);
+    });
+  };
+
+  var schedule = function() {
+
+    // Skip items that can never run, repeat since skipping an item can
+    // block the items depending on it.
+    var blocked = _.filter(pending, isBlocked);
+    while (blocked.length > 0) {
+      _.pull.apply(_, [pending].concat(blocked));
+      failed = failed.concat(blocked);
+      blocked = _.filter(pending, isBlocked);
+    }
+
+    while (running < limit) {
+      var elt = _.find(pending, isReady);
+      if (elt === undefined) {
+        break;
+      }
+      _.pull(pending, elt);
+      running += 1;
+      run(elt);
+    }
+
+    if (running === 0) {
+      assert(pending.length === 0, 'Items with unmet dependencies.');
+      cb(reduceErrors(errs));
+    }
+
+  };
+
+  var run = function(elt) {
+    iterator(elt, function(err) {
+      // Always reschedule on the next tick so iterators calling back right
+      // away don't re-enter schedule.
+      async.nextTick(function() {
+        running -= 1;
+        if (err) {
+          errs.push(err);
+          failed.push(elt);
+        } else {
+          done.push(elt);
+        }
+        schedule();
+      });
+    });
+  };
+
+  schedule();
+
+};
+
 module.exports = {
+  eachGraphLimitContinue: eachGraphLimitContinue,
   eachSeriesContinue: eachSeriesContinue
 };
@@ -0,0 +1,232 @@
+'use strict';
+
+/*
+ * Kalabox util module for moving files between the host and tar streams.
+ */
+
+var async = require('async');
+var fs = require('fs-extra');
+var path = require('path');
+var tar = require('tar-stream');
+var _ = require('lodash');
+
+/*
+ * Add a file, directory or symlink to a tar pack, directories are added
+ * recursively.
+ */
+var addEntry = function(pack, file, name, callback) {
+  fs.lstat(file, function(err, stats) {
+    if (err) {
+      return callback(err);
+    }
+    var header = {
+      name: name,
+      mode: stats.mode,
+      mtime: stats.mtime
+    };
+    if (stats.isDirectory()) {
+      header.type = 'directory';
+      pack.entry(header, function(err) {
+        if (err) {
+          return callback(err);
+        }
+        fs.readdir(file, function(err, children) {
+          if (err) {
+            return callback(err);
+          }
+          async.eachSeries(children.sort(), function(child, next) {
+            addEntry(pack, path.join(file, child), name + '/' + child, next);
+          }, callback);
+        });
+      });
+    } else if (stats.isSymbolicLink()) {
+      fs.readlink(file, function(err, linkname) {
+        if (err) {
+          return callback(err);
+        }
+        header.type = 'symlink';
+        header.linkname = linkname;
+        pack.entry(header, callback);
+      });
+    } else {
+      header.size = stats.size;
+      var entry = pack.entry(header, callback);
+      fs.createReadStream(file).on('error', callback).pipe(entry);
+    }
+  });
+};
+
+/**
+ * Adds a file or directory on the host to a tar pack stream from tar-stream.
+ * @arg {stream} pack - Pack stream to add to.
+ * @arg {string} src - File or directory to add.
+ * @arg {string} name - Name of the root entry in the archive.
+ * @arg {function} callback - Callback called when everything is added.
+ * @arg {error} callback.error
+ */
+exports.append = addEntry;
+
+/**
+ * Returns a tar stream of a file or directory on the host. The root entry of
+ * the archive is called name, which defaults to the basename of src.
+ * @arg {string} src - File or directory to pack.
+ * @arg {string} name [optional] - Name of the root entry in the archive.
+ * @returns {stream} - Readable tar stream, errors are emitted on it.
+ */
+exports.pack = function(src, name) {
+  var pack = tar.pack();
+  addEntry(pack, src, name || path.basename(src), function(err) {
+    if (err) {
+      pack.emit('error', err);
+    } else {
+      pack.finalize();
+    }
+  });
+  return pack;
+};
+
+/*
+ * Write one tar entry to the host.
+ */
+var writeEntry = function(header, stream, target, callback) {
+  var done = _.once(callback);
+  var mode = header.mode;
+  fs.mkdirp(path.dirname(target), function(err) {
+    if (err) {
+      stream.resume();
+      return done(err);
+    }
+    if (header.type === 'directory') {
+      stream.resume();
+      fs.mkdirp(target, mode, done);
+    } else if (header.type === 'symlink') {
+      stream.resume();
+      fs.remove(target, function(err) {
+        if (err) {
+          return done(err);
+        }
+        fs.symlink(header.linkname, target, done);
+      });
+    } else if (header.type === 'file') {
+      var out = fs.createWriteStream(target, {mode: mode});
+      out.on('error', done);
+      out.on('finish', function() {
+        done(null);
+      });
+      stream.pipe(out);
+    } else {
+      // Devices, fifos and the like are skipped.
+      stream.resume();
+      done(null);
+    }
+  });
+};
+
+/*
+ * Resolve the . and .. names of a path relative to a directory, null when
+ * the path leaves the directory.
+ */
+var resolveParts = function(parts) {
+  var resolved = [];
+  var inside = _.every(parts, function(part) {
+    if (part === '..') {
+      return resolved.pop() !== undefined;
+    } else if (part && part !== '.') {
+      resolved.push(part);
+    }
+    return true;
+  });
+  return inside ? resolved : null;
+};
+
+/**
+ * Creates a guard for extracting an untrusted archive into a directory. The
+ * guard refuses entries that would end up outside of the directory: paths
+ * leaving it with .., symlinks pointing outside of it or to an absolute path,
+ * and entries written through a symlink of the archive, since a symlink can
+ * point outside of the directory through another symlink.
+ * @arg {string} dir - Directory the archive is extracted into, used in error
+ *   messages.
+ * @returns {function} guard - Function to call with the header of each entry
+ *   in order and the names making up the path of the entry inside of the
+ *   directory, returns an error for entries that have to be refused.
+ */
+var createGuard = exports.createGuard = function(dir) {
+  // Symlinks extracted so far, by path.
+  var symlinks = {};
+  return function(header, parts) {
+    var fail = function(reason) {
+      return new Error('Refusing to extract ' + header.name + ', ' + reason +
+        ' ' + dir + '.');
+    };
+    var resolved = resolveParts(parts);
+    if (resolved === null) {
+      return fail('it is outside of');
+    }
+    var throughSymlink = _.some(resolved, function(part, index) {
+      return symlinks[resolved.slice(0, index + 1).join('/')];
+    });
+    if (throughSymlink) {
+      return fail('it is under a symlink extracted into');
+    }
+    if (header.type === 'symlink') {
+      var link = header.linkname || '';
+      var linkParts = _.initial(resolved).concat(link.split('/'));
+      if (link.charAt(0) === '/' || path.isAbsolute(link) ||
+        resolveParts(linkParts) === null) {
+        return fail('it is a symlink pointing outside of');
+      }
+      symlinks[resolved.join('/')] = true;
+    }
+    return null;
+  };
+};
+
+/**
+ * Extracts a tar stream into a directory on the host. Entries that would end
+ * up outside of the directory are refused, see createGuard.
+ * @arg {stream} stream - Readable tar stream.
+ * @arg {string} dest - Directory to extract into, created if needed.
+ * @arg {object} opts [optional] - Object containing the extract options.
+ * @arg {string} opts.root - Rename the root entry of the archive.
+ * @arg {function} callback - Callback called when everything is written.
+ * @arg {error} callback.error
+ */
+exports.extract = function(stream, dest, opts, callback) {
+  if (typeof opts === 'function' && callback === undefined) {
+    callback = opts;
+    opts = {};
+  }
+  var done = _.once(callback);
+  var guard = createGuard(dest);
+  var extract = tar.extract();
+  extract.on('entry', function(header, entryStream, next) {
+    var parts = _.filter(header.name.split('/'), function(part) {
+      return part && part !== '.';
+    });
+    if (opts.root) {
+      parts[0] = opts.root;
+    }
+    var err = guard(header, parts);
+    if (err) {
+      entryStream.resume();
+      extract.destroy();
+      return done(err);
+    }
+    var target = path.resolve(dest, parts.join(path.sep));
+    writeEntry(header, entryStream, target, function(err) {
+      if (err) {
+        extract.destroy();
+        done(err);
+      } else {
+        next();
+      }
+    });
+  });
+  extract.on('error', done);
+  extract.on('finish', function() {
+    done(null);
+  });
+  stream.on('error', done);
+  stream.pipe(extract);
+};
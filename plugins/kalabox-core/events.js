@@ -22,8 +22,14 @@ module.exports = function(kbox) {
     });
 
     if (createOptions.Env) {
+      // Don't override variables that are already set, app components get
+      // these from kalabox.json and .env files.
       envs.forEach(function(env) {
-        if (!_.includes(createOptions.Env, env)) {
+        var name = env.split('=')[0];
+        var isSet = _.find(createOptions.Env, function(other) {
+          return other === name || _.startsWith(other, name + '=');
+        });
+        if (!isSet) {
           createOptions.Env.push(env);
         }
       });
@@ -7,16 +7,30 @@
 module.exports = function(kbox) {
 
   require('./tasks/apps.js')(kbox);
+  require('./tasks/clone.js')(kbox);
   require('./tasks/config.js')(kbox);
   require('./tasks/containers.js')(kbox);
+  require('./tasks/cp.js')(kbox);
+  require('./tasks/doctor.js')(kbox);
+  require('./tasks/env.js')(kbox);
+  require('./tasks/export.js')(kbox);
+  require('./tasks/gc.js')(kbox);
+  require('./tasks/history.js')(kbox);
+  require('./tasks/import.js')(kbox);
   require('./tasks/inspect.js')(kbox);
   require('./tasks/install.js')(kbox);
+  require('./tasks/logs.js')(kbox);
   require('./tasks/provision.js')(kbox);
   require('./tasks/query.js')(kbox);
   require('./tasks/rebuild.js')(kbox);
+  require('./tasks/registry.js')(kbox);
+  require('./tasks/rename.js')(kbox);
   require('./tasks/restart.js')(kbox);
   require('./tasks/shields.js')(kbox);
+  require('./tasks/ssh.js')(kbox);
   require('./tasks/start.js')(kbox);
+  require('./tasks/stats.js')(kbox);
+  require('./tasks/status.js')(kbox);
   require('./tasks/stop.js')(kbox);
   require('./tasks/uninstall.js')(kbox);
   require('./tasks/update.js')(kbox);
@@ -6,13 +6,16 @@
 
 var _ = require('lodash');
 var async = require('async');
+var chalk = require('chalk');
 
 module.exports = function(kbox) {
 
+  var util = require('./../util.js')(kbox);
+
   /*
-   * Return a list of all the names of apps kbox knows about.
+   * Return a list of all the apps kbox knows about, sorted by name.
    */
-  var getAppNames = function(callback) {
+  var getApps = function(callback) {
 
     // Get list of apps kbox knows about.
     kbox.app.list(function(err, apps) {
@@ -23,61 +26,128 @@ module.exports = function(kbox) {
 
       }
 
-      // Map apps to a list of app names and sort.
-      var appNames = _.map(apps, function(app) {
-        return app.name;
-      });
-      appNames.sort();
+      // Return apps sorted by name.
+      callback(null, _.sortBy(apps, 'name'));
+
+    });
+
+  };
+
+  /*
+   * Summarize the status of an app.
+   */
+  var summarize = function(status) {
+
+    // Leave the data container out of the counts, like the app state does.
+    var components = _.reject(status.components, {name: 'data'});
+    var running = _.filter(components, function(component) {
+      return component.state === 'running' ||
+        component.state === 'unhealthy';
+    });
+
+    return {
+      state: status.state,
+      url: status.url,
+      running: running.length,
+      total: components.length
+    };
 
-      // Return app names.
-      callback(null, appNames);
+  };
 
+  /*
+   * Turn a comma separated list of name globs into a regular expression,
+   * globs can use * and ?.
+   */
+  var globsToRegExp = function(globs) {
+
+    var sources = _.map(globs.split(','), function(glob) {
+      return _.map(_.trim(glob).split(''), function(char) {
+        if (char === '*') {
+          return '.*';
+        } else if (char === '?') {
+          return '.';
+        } else {
+          return _.escapeRegExp(char);
+        }
+      }).join('');
     });
+    return new RegExp('^(' + sources.join('|') + ')$');
 
   };
 
   /*
-   * Return a list of containers for a given app name.
+   * Get the apps a batch operation runs on.
    */
-  var getAppContainers = function(appName, callback) {
+  var selectApps = function(options, callback) {
 
-    // Get list of containers for this app name.
-    kbox.engine.list(appName, function(err, containers) {
+    getApps(function(err, apps) {
 
       if (err) {
 
-        // Report any errors from getting list of containers.
         return callback(err);
 
       }
 
-      // Map containers to container ids.
-      var containerIds = _.map(containers, function(container) {
-        return container.id;
-      });
+      // Filter apps by name.
+      if (options.name) {
+        var regex = globsToRegExp(options.name);
+        apps = _.filter(apps, function(app) {
+          return regex.test(app.name);
+        });
+      }
 
-      // Map container ids to get more info from the container engine.
-      async.map(containerIds, kbox.engine.info, function(err, containerInfos) {
+      if (!options.state) {
 
-        if (err) {
+        return callback(null, apps);
 
-          // Report errors.
-          return callback(err);
+      }
 
-        }
+      // Filter apps by state.
+      async.filterSeries(apps, function(app, next) {
+        kbox.app.status(app, function(err, status) {
+          // Apps whose status can't be read will fail the operation anyway.
+          next(!!err || status.state === options.state);
+        });
+      }, function(apps) {
+        callback(null, apps);
+      });
 
-        // Build info object to return.
-        var info = {
-          appName: appName,
-          containerInfos: containerInfos
-        };
+    });
 
-        // Return info.
-        callback(null, info);
+  };
 
-      });
+  /*
+   * Make an app the one kbox runs for, the way kbox does when it is run for
+   * an app: register the app and its config, which runs the whenApp
+   * handlers of plugins for the app, then load the app's plugins.
+   */
+  var registerApp = function(app, callback) {
+
+    kbox.core.deps.remove('appConfig');
+    kbox.core.deps.remove('app');
+    async.series([
+      _.partial(kbox.core.deps.register, 'appConfig', app.config),
+      _.partial(kbox.core.deps.register, 'app', app),
+      _.partial(kbox.app.loadPlugins, app)
+    ], callback);
+
+  };
 
+  /*
+   * Format the results of a batch operation as a table.
+   */
+  var formatResults = function(results) {
+
+    var rows = [['APP', 'RESULT', 'TIME', 'ERROR']];
+    _.each(results, function(result) {
+      rows.push([
+        result.name,
+        result.result,
+        result.time === null ? '' : (result.time / 1000).toFixed(1) + 's',
+        result.error || ''
+      ]);
     });
+    return util.formatTable(rows);
 
   };
 
@@ -90,17 +160,21 @@ module.exports = function(kbox) {
       alias: 'n',
       description: 'Only display app names.'
     });
+    task.options.push({
+      name: 'table',
+      description: 'Display the list of apps as a table instead of json.'
+    });
     task.func = function(done) {
 
       // Keep reference to this.
       var self = this;
 
-      // Get sorted list of app names.
-      getAppNames(function(err, appNames) {
+      // Get sorted list of apps.
+      getApps(function(err, apps) {
 
         if (err) {
 
-          // Report errors from getting app names.
+          // Report errors from getting apps.
           return done(err);
 
         }
@@ -108,8 +182,8 @@ module.exports = function(kbox) {
         if (self.options.names) {
 
           // Only print out the app names.
-          _.each(appNames, function(appName) {
-            console.log(appName);
+          _.each(apps, function(app) {
+            console.log(app.name);
           });
 
           // Return.
@@ -117,9 +191,8 @@ module.exports = function(kbox) {
 
         }
 
-        // Map app names to info about each apps containers.
-        async.map(appNames, getAppContainers,
-        function(err, appInfos) {
+        // Map apps to the status of each app.
+        async.mapSeries(apps, kbox.app.status, function(err, statuses) {
 
           if (err) {
 
@@ -128,47 +201,188 @@ module.exports = function(kbox) {
 
           }
 
-          // Reduce list of app infos to a json object.
-          var obj = {};
-          _.each(appInfos, function(appInfo) {
+          if (self.options.table) {
+
+            // Output a table of apps.
+            var rows = [['APP', 'STATE', 'RUNNING', 'URL']];
+            _.each(statuses, function(status) {
+              var summary = summarize(status);
+              rows.push([
+                status.name,
+                summary.state,
+                summary.running + '/' + summary.total,
+                summary.url
+              ]);
+            });
+            console.log(util.formatTable(rows));
 
-            // Init app property.
-            var key = appInfo.appName;
-            obj[key] = {
-              running: 0,
-              total: 0
-            };
+          } else {
 
-            // Loop through each container info and update object.
-            _.each(appInfo.containerInfos, function(containerInfo) {
+            // Reduce list of statuses to a json object.
+            var obj = {};
+            _.each(statuses, function(status) {
+              obj[status.name] = summarize(status);
+            });
+            console.log(JSON.stringify(obj, null, '  '));
 
-              // Find out if this container is a data container.
-              var split = containerInfo.name.split('_');
-              var isDataContainer = split[2] === 'data';
+          }
 
-              // Increment running counter.
-              if (!isDataContainer && containerInfo.running) {
-                obj[key].running += 1;
-              }
+          // Task is done.
+          done();
 
-              // Increment total counter.
-              obj[key].total += 1;
+        });
 
-            });
+      });
+
+    };
+  });
 
+  // Run lifecycle operations on many apps at once.
+  _.each([
+    {name: 'start', doing: 'Starting', done: 'Started'},
+    {name: 'stop', doing: 'Stopping', done: 'Stopped'},
+    {name: 'restart', doing: 'Restarting', done: 'Restarted'}
+  ], function(op) {
+
+    kbox.tasks.add(function(task) {
+      task.path = ['apps', op.name];
+      task.description = _.capitalize(op.name) + ' all apps, or the apps ' +
+        'matching a name or state.';
+      task.options.push({
+        name: 'all',
+        alias: 'a',
+        description: _.capitalize(op.name) + ' all apps.'
+      });
+      task.options.push({
+        name: 'name',
+        kind: 'string',
+        description: 'Only ' + op.name + ' apps matching comma separated ' +
+          'globs, ex. drupal-*.'
+      });
+      task.options.push({
+        name: 'state',
+        kind: 'string',
+        description: 'Only ' + op.name + ' apps in a state, ex. running.'
+      });
+      task.options.push({
+        name: 'concurrency',
+        kind: 'string',
+        description: 'Number of apps to ' + op.name + ' at the same time, ' +
+          'defaults to 1.'
+      });
+      task.options.push({
+        name: 'fail-fast',
+        description: 'Don\'t ' + op.name + ' more apps after one fails.'
+      });
+      task.func = function(done) {
+
+        var options = this.options;
+
+        // Make sure apps were selected on purpose.
+        if (!options.all && !options.name && !options.state) {
+
+          return done(new Error('Use --all to ' + op.name + ' every app, ' +
+            'or select apps with --name or --state.'));
+
+        }
+
+        var concurrency = _.parseInt(options.concurrency || 1);
+        if (_.isNaN(concurrency) || concurrency < 1) {
+
+          return done(new Error('Invalid concurrency: ' +
+            options.concurrency));
+
+        }
+
+        selectApps(options, function(err, apps) {
+
+          if (err) {
+
+            return done(err);
+
+          }
+
+          if (_.isEmpty(apps)) {
+
+            console.log('No apps to ' + op.name + '.');
+            return done();
+
+          }
+
+          // Run the operation on each app, remembering how it went. Apps
+          // are registered one after the other, so with a concurrency above
+          // 1 the app dependency is the app whose operation started last.
+          var failed = false;
+          var results = [];
+          var restoreDeps = null;
+          kbox.core.deps.override({app: undefined, appConfig: undefined},
+          function(restore) {
+            restoreDeps = restore;
           });
+          async.eachLimit(apps, concurrency, function(app, next) {
 
-          // Output result.
-          console.log(JSON.stringify(obj, null, '  '));
+            var result = {name: app.name, result: 'skipped', time: null};
+            results.push(result);
 
-          // Task is done.
-          done();
+            // Don't start anything new once an app failed with --fail-fast.
+            if (failed && options.failFast) {
+
+              return next();
+
+            }
+
+            console.log(op.doing + ' ' + app.name + '...');
+            var start = Date.now();
+            async.series([
+              _.partial(registerApp, app),
+              _.partial(kbox.app[op.name], app)
+            ], function(err) {
+
+              result.time = Date.now() - start;
+              if (err) {
+
+                failed = true;
+                result.result = 'failed';
+                result.error = err.message;
+                console.log(chalk.red('Failed to ' + op.name + ' ' +
+                  app.name + ': ' + err.message));
+
+              } else {
+
+                result.result = 'ok';
+                console.log(chalk.green(op.done + ' ' + app.name + '.'));
+
+              }
+              next();
+
+            });
+
+          }, function() {
+
+            restoreDeps();
+
+            // Output a summary in the order of the apps.
+            console.log(formatResults(_.sortBy(results, 'name')));
+
+            var failures = _.filter(results, {result: 'failed'});
+            if (!_.isEmpty(failures)) {
+
+              done(new Error('Failed to ' + op.name + ' ' + failures.length +
+                ' of ' + apps.length + ' app(s).'));
+
+            } else {
+
+              done();
+
+            }
+
+          });
 
         });
 
-      });
+      };
+    });
 
-    };
   });
 
 };
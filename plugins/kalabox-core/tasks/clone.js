@@ -0,0 +1,54 @@
+'use strict';
+
+/**
+ * This contains all the core commands that kalabox can run on every machine
+ */
+
+module.exports = function(kbox) {
+
+  kbox.whenApp(function(app) {
+    kbox.tasks.add(function(task) {
+      task.path = [app.name, 'clone'];
+      task.description = 'Clone the app and its data under a new name.';
+      task.kind = 'argv*';
+      task.options.push({
+        name: 'dir',
+        kind: 'string',
+        description: 'Creates the clone in this directory. Defaults to the ' +
+          'directory the app is in.'
+      });
+      task.options.push({
+        name: 'install',
+        alias: 'i',
+        kind: 'boolean',
+        description: 'Install the clone.'
+      });
+      task.options.push({
+        name: 'start',
+        alias: 's',
+        kind: 'boolean',
+        description: 'Install and start the clone.'
+      });
+      task.func = function(done) {
+        if (this.payload.length !== 1) {
+          return done(new Error('Usage: kbox ' + app.name + ' clone ' +
+            '<newname>'));
+        }
+        var opts = {
+          dir: this.options.dir,
+          install: this.options.install,
+          start: this.options.start
+        };
+        kbox.app.clone(app, this.payload[0], opts, function(err, clone) {
+          if (err) {
+            return done(err);
+          }
+          console.log('Cloned ' + app.name + ' to ' + clone.name + ' in ' +
+            clone.root);
+          done();
+        });
+      };
+    });
+  });
+
+};
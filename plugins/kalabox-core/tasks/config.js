@@ -4,8 +4,67 @@
  * This contains all the core commands that kalabox can run on every machine
  */
 
+var chalk = require('chalk');
+var _ = require('lodash');
+
 module.exports = function(kbox) {
 
+  var util = require('./../util.js')(kbox);
+
+  /*
+   * Display each value of an app's config with the file it comes from.
+   */
+  var showSources = function(app, options, done) {
+    var sources = kbox.core.config.getConfigSources(app.config);
+    if (options.json) {
+      console.log(JSON.stringify(sources, null, '  '));
+    } else {
+      var rows = [['KEY', 'VALUE', 'SOURCE']];
+      _.each(sources, function(item) {
+        rows.push([item.path, JSON.stringify(item.value), item.source]);
+      });
+      console.log(util.formatTable(rows));
+    }
+    done();
+  };
+
+  /*
+   * Validate an app's kalabox.json merged with the overlay of the current
+   * config profile, fails when the config has errors, or warnings when strict is
+   * set.
+   */
+  var validate = function(app, options, done) {
+    var file;
+    var problems;
+    try {
+      // Read the files again, the loaded config has been modified.
+      var result = kbox.core.config.readAppConfigFiles(app.root);
+      file = result.files.join(' with ');
+      problems = kbox.core.config.validateAppConfig(result.json);
+    } catch (err) {
+      return done(err);
+    }
+    var errors = _.filter(problems, {level: 'error'});
+    if (options.json) {
+      console.log(JSON.stringify(problems, null, '  '));
+    } else if (_.isEmpty(problems)) {
+      console.log(file + ' is valid.');
+    } else {
+      _.each(problems, function(problem) {
+        var color = problem.level === 'error' ? 'red' : 'yellow';
+        console.log(chalk[color](problem.level) + ' ' + problem.path + ': ' +
+          problem.message + ' ' + problem.fix);
+      });
+    }
+    if (!_.isEmpty(errors)) {
+      done(new Error(file + ' has ' + errors.length + ' error(s).'));
+    } else if (options.strict && !_.isEmpty(problems)) {
+      done(new Error(file + ' has ' + problems.length + ' warning(s).'));
+    } else {
+      done();
+    }
+  };
+
   // Prints out the config.
   kbox.tasks.add(function(task) {
     task.path = ['config'];
@@ -19,9 +78,34 @@ module.exports = function(kbox) {
   kbox.whenApp(function(app) {
     kbox.tasks.add(function(task) {
       task.path = [app.name, 'config'];
-      task.description = 'Display the kbox application\'s configuration.';
-      task.func = function() {
-        console.log(JSON.stringify(app.config, null, '  '));
+      task.description = 'Display the kbox application\'s configuration, ' +
+        'or check it for problems with config validate.';
+      task.history = false;
+      task.kind = 'argv*';
+      task.options.push({
+        name: 'strict',
+        description: 'Validate: also fail on warnings like unknown keys.'
+      });
+      task.options.push({
+        name: 'sources',
+        description: 'Display each value with the config file it comes from.'
+      });
+      task.options.push({
+        name: 'json',
+        description: 'Display sources or validation problems as json.'
+      });
+      task.func = function(done) {
+        if (_.isEmpty(this.payload) && this.options.sources) {
+          showSources(app, this.options, done);
+        } else if (_.isEmpty(this.payload)) {
+          console.log(JSON.stringify(app.config, null, '  '));
+          done();
+        } else if (this.payload.length === 1 &&
+          this.payload[0] === 'validate') {
+          validate(app, this.options, done);
+        } else {
+          done(new Error('Usage: kbox ' + app.name + ' config [validate]'));
+        }
       };
     });
   });
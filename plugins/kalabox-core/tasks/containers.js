@@ -23,6 +23,7 @@ module.exports = function(kbox) {
       task.path = [app.name, 'containers'];
       task.description =
         'Display list of application\'s installed containers.';
+      task.history = false;
       task.func = function(done) {
         util.outputContainers(app, done);
       };
@@ -0,0 +1,127 @@
+'use strict';
+
+/**
+ * This contains all the core commands that kalabox can run on every machine
+ */
+
+var fs = require('fs');
+var path = require('path');
+var _ = require('lodash');
+
+module.exports = function(kbox) {
+
+  var util = require('./../util.js')(kbox);
+
+  /*
+   * Parse a cp argument, component:/path arguments are container paths and
+   * everything else is a host path. Relative container paths are relative to
+   * the code directory.
+   */
+  var parseLocation = function(app, arg) {
+    var index = arg.indexOf(':');
+    var name = arg.slice(0, index);
+    if (index < 1 || !app.components[name]) {
+      return {host: path.resolve(arg)};
+    }
+    var containerPath = arg.slice(index + 1);
+    if (!_.startsWith(containerPath, '/')) {
+      var codeDir = kbox.core.deps.lookup('globalConfig').codeDir;
+      containerPath = '/' + codeDir + '/' + containerPath;
+    }
+    return {
+      component: _.head(util.getAppComponents(app, [name])),
+      path: containerPath
+    };
+  };
+
+  /*
+   * Split a container path into its directory and basename.
+   */
+  var splitContainerPath = function(containerPath) {
+    var trimmed = containerPath.replace(/\/+$/, '');
+    var index = trimmed.lastIndexOf('/');
+    return {
+      dir: trimmed.slice(0, index) || '/',
+      base: trimmed.slice(index + 1)
+    };
+  };
+
+  /*
+   * Copy a file or directory from a container to the host. Like cp, copying
+   * into an existing directory keeps the name, otherwise dest is the name of
+   * the copy.
+   */
+  var copyFromContainer = function(src, dest, callback) {
+    var cid = src.component.containerId;
+    kbox.engine.copyFrom(cid, src.path, function(err, stream) {
+      if (err) {
+        return callback(err);
+      }
+      var isDir = fs.existsSync(dest.host) &&
+        fs.statSync(dest.host).isDirectory();
+      if (isDir) {
+        kbox.util.tar.extract(stream, dest.host, callback);
+      } else {
+        var opts = {root: path.basename(dest.host)};
+        kbox.util.tar.extract(stream, path.dirname(dest.host), opts, callback);
+      }
+    });
+  };
+
+  /*
+   * Copy a file or directory from the host to a container. A container path
+   * ending in a slash is a directory to copy into, otherwise it is the name
+   * of the copy.
+   */
+  var copyToContainer = function(src, dest, callback) {
+    if (!fs.existsSync(src.host)) {
+      return callback(new Error('No such file or directory: ' + src.host));
+    }
+    var cid = dest.component.containerId;
+    var stream;
+    var dir;
+    if (_.endsWith(dest.path, '/')) {
+      dir = dest.path;
+      stream = kbox.util.tar.pack(src.host);
+    } else {
+      var parts = splitContainerPath(dest.path);
+      dir = parts.dir;
+      stream = kbox.util.tar.pack(src.host, parts.base);
+    }
+    kbox.engine.copyTo(cid, dir, stream, callback);
+  };
+
+  kbox.whenApp(function(app) {
+    kbox.tasks.add(function(task) {
+      task.path = [app.name, 'cp'];
+      task.description = 'Copy files between the host and a component, ' +
+        'use component:/path for paths in a component.';
+      task.kind = 'argv*';
+      task.func = function(done) {
+        if (this.payload.length !== 2) {
+          return done(new Error('Usage: kbox ' + app.name + ' cp <src> ' +
+            '<dest>, one of them being a component:/path.'));
+        }
+        var src;
+        var dest;
+        try {
+          src = parseLocation(app, this.payload[0]);
+          dest = parseLocation(app, this.payload[1]);
+        } catch (err) {
+          return done(err);
+        }
+        if (src.component && dest.component) {
+          done(new Error('Copying between two components is not supported.'));
+        } else if (src.component) {
+          copyFromContainer(src, dest, done);
+        } else if (dest.component) {
+          copyToContainer(src, dest, done);
+        } else {
+          done(new Error('Either the source or the destination has to be ' +
+            'a component:/path.'));
+        }
+      };
+    });
+  });
+
+};
@@ -0,0 +1,73 @@
+'use strict';
+
+/**
+ * This contains all the core commands that kalabox can run on every machine
+ */
+
+var chalk = require('chalk');
+var _ = require('lodash');
+
+module.exports = function(kbox) {
+
+  /*
+   * Format a problem as a line of output.
+   */
+  var formatProblem = function(problem) {
+    var line = chalk.yellow(problem.code) + ' ' +
+      (problem.component ? '[' + problem.component + '] ' : '') +
+      problem.message;
+    if (problem.fixed) {
+      line += chalk.green(' Fixed.');
+    } else if (problem.error) {
+      line += chalk.red(' Fix failed: ' + problem.error);
+    } else if (problem.hint) {
+      line += ' ' + problem.hint;
+    } else if (problem.fixable) {
+      line += ' Run doctor with --fix to repair it.';
+    }
+    return line;
+  };
+
+  kbox.whenApp(function(app) {
+    kbox.tasks.add(function(task) {
+      task.path = [app.name, 'doctor'];
+      task.description = 'Check the app\'s containers, container id files ' +
+        'and registry entry for problems.';
+      task.options.push({
+        name: 'fix',
+        description: 'Repair the problems kbox knows how to repair.'
+      });
+      task.options.push({
+        name: 'json',
+        description: 'Display the problems as json.'
+      });
+      task.func = function(done) {
+        var options = this.options;
+        kbox.app.doctor(app, {fix: options.fix}, function(err, problems) {
+          if (err) {
+            return done(err);
+          }
+          if (options.json) {
+            console.log(JSON.stringify(_.map(problems, function(problem) {
+              return _.omit(problem, 'fix');
+            }), null, '  '));
+          } else if (_.isEmpty(problems)) {
+            console.log('No problems found.');
+          } else {
+            _.each(problems, function(problem) {
+              console.log(formatProblem(problem));
+            });
+          }
+          var left = _.reject(problems, 'fixed');
+          if (!_.isEmpty(left)) {
+            done(new Error('App [' + app.name + '] has ' + left.length +
+              ' problem(s).'));
+          } else {
+            done();
+          }
+        });
+      };
+    });
+  });
+
+};
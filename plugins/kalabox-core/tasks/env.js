@@ -0,0 +1,75 @@
+'use strict';
+
+/**
+ * This contains all the core commands that kalabox can run on every machine
+ */
+
+var async = require('async');
+var _ = require('lodash');
+
+module.exports = function(kbox) {
+
+  kbox.whenApp(function(app) {
+    kbox.tasks.add(function(task) {
+      task.path = [app.name, 'env'];
+      task.description = 'Display the environment variables of an app\'s ' +
+        'components.';
+      task.history = false;
+      task.kind = 'argv*';
+      task.options.push({
+        name: 'json',
+        description: 'Display the environment variables as json.'
+      });
+      task.func = function(done) {
+        var options = this.options;
+        // Components don't have to be installed to have an environment.
+        var components = _.values(app.components);
+        if (!_.isEmpty(this.payload)) {
+          var missing = _.find(this.payload, function(name) {
+            return !app.components[name];
+          });
+          if (missing) {
+            return done(new Error('Component [' + missing + '] does not ' +
+              'exist.'));
+          }
+          components = _.map(this.payload, function(name) {
+            return app.components[name];
+          });
+        }
+        async.mapSeries(components, function(component, next) {
+          kbox.app.getEnv(app, component, next);
+        }, function(err, envs) {
+          if (err) {
+            return done(err);
+          }
+          // Display variables sorted by name.
+          envs = _.map(envs, function(env) {
+            var sorted = {};
+            _.each(_.keys(env).sort(), function(name) {
+              sorted[name] = env[name];
+            });
+            return sorted;
+          });
+          if (options.json) {
+            var obj = _.zipObject(_.pluck(components, 'name'), envs);
+            console.log(JSON.stringify(obj, null, '  '));
+          } else {
+            var lines = [];
+            _.each(components, function(component, index) {
+              if (index > 0) {
+                lines.push('');
+              }
+              lines.push(component.name);
+              _.each(envs[index], function(value, name) {
+                lines.push('  ' + name + '=' + value);
+              });
+            });
+            console.log(lines.join('\n'));
+          }
+          done();
+        });
+      };
+    });
+  });
+
+};
@@ -0,0 +1,55 @@
+'use strict';
+
+/**
+ * This contains all the core commands that kalabox can run on every machine
+ */
+
+var path = require('path');
+var _ = require('lodash');
+
+module.exports = function(kbox) {
+
+  /*
+   * Default archive filename, ex. myapp-20150401-134501.tar.gz.
+   */
+  var getDefaultFile = function(app) {
+    var pad = function(value) {
+      return _.padLeft(value, 2, '0');
+    };
+    var now = new Date();
+    var date = [now.getFullYear(), pad(now.getMonth() + 1),
+      pad(now.getDate())].join('');
+    var time = [pad(now.getHours()), pad(now.getMinutes()),
+      pad(now.getSeconds())].join('');
+    return app.name + '-' + date + '-' + time + '.tar.gz';
+  };
+
+  kbox.whenApp(function(app) {
+    kbox.tasks.add(function(task) {
+      task.path = [app.name, 'export'];
+      task.description = 'Export the app\'s data into a tar.gz file.';
+      task.history = false;
+      task.kind = 'argv*';
+      task.options.push({
+        name: 'code',
+        alias: 'c',
+        description: 'Also export the app\'s code directory.'
+      });
+      task.func = function(done) {
+        if (this.payload.length > 1) {
+          return done(new Error('Usage: kbox ' + app.name + ' export [file]'));
+        }
+        var file = path.resolve(_.head(this.payload) || getDefaultFile(app));
+        var opts = {code: !!this.options.code};
+        kbox.app.exportArchive(app, file, opts, function(err) {
+          if (err) {
+            return done(err);
+          }
+          console.log('Exported ' + app.name + ' to ' + file);
+          done();
+        });
+      };
+    });
+  });
+
+};
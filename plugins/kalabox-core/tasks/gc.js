@@ -0,0 +1,115 @@
+'use strict';
+
+/**
+ * This contains all the core commands that kalabox can run on every machine
+ */
+
+var chalk = require('chalk');
+var inquirer = require('inquirer');
+var _ = require('lodash');
+
+module.exports = function(kbox) {
+
+  var util = require('./../util.js')(kbox);
+
+  /*
+   * Format garbage as a table.
+   */
+  var formatItems = function(items) {
+    var rows = [['TYPE', 'NAME', 'ID', 'APP', 'RESULT']];
+    _.each(items, function(item) {
+      var result = '';
+      if (item.skipped) {
+        result = 'skipped, use --include-data';
+      } else if (item.removed) {
+        result = 'removed';
+      } else if (item.error) {
+        result = 'failed: ' + item.error;
+      }
+      rows.push([
+        item.type,
+        item.name || '<none>',
+        item.id.slice(0, 12),
+        item.app || '',
+        result
+      ]);
+    });
+    return util.formatTable(rows);
+  };
+
+  // Remove what unregistered apps left behind.
+  kbox.tasks.add(function(task) {
+    task.path = ['gc'];
+    task.description = 'Remove containers of apps that are no longer ' +
+      'registered and dangling images.';
+    task.options.push({
+      name: 'dry-run',
+      description: 'Only display what would be removed.'
+    });
+    task.options.push({
+      name: 'include-data',
+      description: 'Also remove data containers, their data is lost for good.'
+    });
+    task.options.push({
+      name: 'yes',
+      alias: 'y',
+      description: 'Don\'t ask for confirmation.'
+    });
+    task.func = function(done) {
+      var options = this.options;
+      var opts = {includeData: options.includeData, dryRun: true};
+      kbox.app.collectGarbage(opts, function(err, items) {
+        if (err) {
+          return done(err);
+        }
+        if (_.isEmpty(items)) {
+          console.log('No garbage found.');
+          return done();
+        }
+        console.log(formatItems(items));
+        if (options.dryRun || _.every(items, 'skipped')) {
+          return done();
+        }
+
+        // Remove what was displayed, not what a new search finds.
+        var remove = function() {
+          kbox.app.removeGarbage(items, function(err, items) {
+            if (err) {
+              return done(err);
+            }
+            console.log(formatItems(items));
+            var failed = _.filter(items, 'error');
+            if (!_.isEmpty(failed)) {
+              done(new Error('Failed to remove ' + failed.length +
+                ' item(s).'));
+            } else {
+              done();
+            }
+          });
+        };
+
+        if (options.yes) {
+          return remove();
+        }
+        var count = _.reject(items, 'skipped').length;
+        var questions = [
+          {
+            type: 'confirm',
+            name: 'doit',
+            message: 'Remove ' + count + ' item(s)?',
+            default: false
+          }
+        ];
+        inquirer.prompt(questions, function(answers) {
+          if (answers.doit) {
+            remove();
+          } else {
+            console.log(chalk.yellow('Nothing removed.'));
+            done();
+          }
+        });
+      });
+    };
+  });
+
+};
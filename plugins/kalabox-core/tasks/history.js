@@ -0,0 +1,132 @@
+'use strict';
+
+/**
+ * This contains all the core commands that kalabox can run on every machine
+ */
+
+var chalk = require('chalk');
+var _ = require('lodash');
+
+module.exports = function(kbox) {
+
+  var util = require('./../util.js')(kbox);
+
+  // Milliseconds in each unit of a relative since option, like 2d.
+  var units = {s: 1000, m: 60000, h: 3600000, d: 86400000};
+
+  /*
+   * Parse a since option, either a date or a duration like 12h or 2d.
+   */
+  var parseSince = function(since) {
+    var match = /^(\d+)([smhd])$/.exec(since);
+    if (match) {
+      return new Date(Date.now() - match[1] * units[match[2]]);
+    }
+    var date = new Date(since);
+    if (_.isNaN(date.getTime())) {
+      throw new Error('Invalid since: ' + since + ', use a date like ' +
+        '2015-06-01 or a duration like 12h or 2d.');
+    }
+    return date;
+  };
+
+  /*
+   * Format a number of milliseconds as a short duration, like 1m 5s.
+   */
+  var formatDuration = function(ms) {
+    var seconds = Math.round(ms / 1000);
+    if (seconds < 60) {
+      return (ms / 1000).toFixed(1) + 's';
+    }
+    return Math.floor(seconds / 60) + 'm ' + (seconds % 60) + 's';
+  };
+
+  /*
+   * Format history entries as a table.
+   */
+  var formatEntries = function(entries) {
+    var rows = [['TIME', 'OPERATION', 'USER', 'VERSION', 'DURATION', 'OUTCOME',
+      'ERROR']];
+    _.each(entries, function(entry) {
+      var outcome = entry.outcome === 'success' ? entry.outcome :
+        chalk.red(entry.outcome);
+      rows.push([
+        new Date(entry.timestamp).toLocaleString(),
+        entry.operation,
+        entry.user || '-',
+        entry.version || '-',
+        formatDuration(entry.duration),
+        outcome,
+        entry.error || ''
+      ]);
+    });
+    return util.formatTable(rows);
+  };
+
+  kbox.whenApp(function(app) {
+    kbox.tasks.add(function(task) {
+      task.path = [app.name, 'history'];
+      task.description = 'Display the operations run on an app, who ran ' +
+        'them and how they went.';
+      task.history = false;
+      task.options.push({
+        name: 'operation',
+        kind: 'string',
+        description: 'Only display this operation, ex. rebuild.'
+      });
+      task.options.push({
+        name: 'failed',
+        description: 'Only display operations that failed.'
+      });
+      task.options.push({
+        name: 'since',
+        kind: 'string',
+        description: 'Only display operations since a date or for a ' +
+          'duration, ex. 2015-06-01 or 2d.'
+      });
+      task.options.push({
+        name: 'limit',
+        kind: 'string',
+        description: 'Only display this many of the latest operations.'
+      });
+      task.options.push({
+        name: 'json',
+        description: 'Display the history as json.'
+      });
+      task.func = function(done) {
+        var options = this.options;
+        var opts = {
+          operation: options.operation,
+          outcome: options.failed ? 'failure' : undefined
+        };
+        try {
+          if (options.since) {
+            opts.since = parseSince(options.since);
+          }
+        } catch (err) {
+          return done(err);
+        }
+        if (options.limit) {
+          opts.limit = _.parseInt(options.limit);
+          if (_.isNaN(opts.limit) || opts.limit < 1) {
+            return done(new Error('Invalid limit: ' + options.limit));
+          }
+        }
+        kbox.app.getHistory(app, opts, function(err, entries) {
+          if (err) {
+            return done(err);
+          }
+          if (options.json) {
+            console.log(JSON.stringify(entries, null, '  '));
+          } else if (_.isEmpty(entries)) {
+            console.log('No operations found.');
+          } else {
+            console.log(formatEntries(entries));
+          }
+          done();
+        });
+      };
+    });
+  });
+
+};
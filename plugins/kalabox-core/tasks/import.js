@@ -0,0 +1,67 @@
+'use strict';
+
+/**
+ * This contains all the core commands that kalabox can run on every machine
+ */
+
+var path = require('path');
+
+module.exports = function(kbox) {
+
+  /*
+   * Install an app that was created but never installed, so it has a data
+   * container to import into.
+   */
+  var installFresh = function(app, callback) {
+    kbox.engine.exists(app.dataContainerName, function(err, exists) {
+      if (err || exists) {
+        return callback(err);
+      }
+      console.log('Installing ' + app.name + ' to import into it.');
+      kbox.app.install(app, callback);
+    });
+  };
+
+  kbox.whenApp(function(app) {
+    kbox.tasks.add(function(task) {
+      task.path = [app.name, 'import'];
+      // Importing needs the app's directory and plugins, so there is no
+      // import into a directory without an app, create the app first.
+      task.description = 'Import app data from a file made by export, ' +
+        'installing the app first if needed.';
+      task.kind = 'argv*';
+      task.options.push({
+        name: 'config',
+        description: 'Replace the app\'s kalabox.json with the exported one.'
+      });
+      task.options.push({
+        name: 'skip-code',
+        description: 'Do not import the code directory.'
+      });
+      task.func = function(done) {
+        if (this.payload.length !== 1) {
+          return done(new Error('Usage: kbox ' + app.name + ' import <file>'));
+        }
+        var file = path.resolve(this.payload[0]);
+        var opts = {
+          code: !this.options.skipCode,
+          config: !!this.options.config
+        };
+        installFresh(app, function(err) {
+          if (err) {
+            return done(err);
+          }
+          kbox.app.importArchive(app, file, opts, function(err, manifest) {
+            if (err) {
+              return done(err);
+            }
+            console.log('Imported ' + manifest.appName + ' export from ' +
+              manifest.createdAt + ' into ' + app.name);
+            done();
+          });
+        });
+      };
+    });
+  });
+
+};
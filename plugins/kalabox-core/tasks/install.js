@@ -21,8 +21,15 @@ module.exports = function(kbox) {
         kind: 'boolean',
         description: 'Build images locally instead of pulling them remotely.'
       });
+      task.options.push({
+        name: 'keep-partial',
+        kind: 'boolean',
+        description: 'Keep containers created by a failed install for ' +
+          'debugging.'
+      });
       task.func = function(done) {
-        kbox.app.install(app, done);
+        var opts = {keepPartial: this.options.keepPartial};
+        kbox.app.install(app, null, opts, done);
       };
     });
   });
@@ -0,0 +1,130 @@
+'use strict';
+
+/**
+ * This contains all the core commands that kalabox can run on every machine
+ */
+
+var _ = require('lodash');
+var async = require('async');
+var chalk = require('chalk');
+
+module.exports = function(kbox) {
+
+  var util = require('./../util.js')(kbox);
+
+  // Colors used to tell components apart, in order of use.
+  var colors = ['cyan', 'magenta', 'yellow', 'green', 'blue', 'red'];
+
+  /*
+   * Parse the since option into a unix timestamp.
+   */
+  var parseSince = function(since) {
+    if (!since) {
+      return undefined;
+    } else if (/^\d+$/.test(since)) {
+      return _.parseInt(since);
+    }
+    var time = Date.parse(since);
+    if (isNaN(time)) {
+      throw new Error('Invalid since timestamp: ' + since);
+    }
+    return Math.floor(time / 1000);
+  };
+
+  /*
+   * Parse the tail option into a number of lines.
+   */
+  var parseTail = function(tail) {
+    if (!tail || tail === 'all') {
+      return undefined;
+    } else if (!/^\d+$/.test(tail)) {
+      throw new Error('Invalid number of lines to tail: ' + tail);
+    }
+    return _.parseInt(tail);
+  };
+
+  /*
+   * Write a stream to stdout one line at a time, with each line prefixed.
+   */
+  var pipePrefixed = function(stream, prefix, callback) {
+    var buffer = '';
+    stream.on('data', function(data) {
+      var lines = (buffer + data.toString()).split('\n');
+      buffer = lines.pop();
+      _.each(lines, function(line) {
+        console.log(prefix + line);
+      });
+    });
+    stream.on('error', callback);
+    stream.on('end', function() {
+      if (buffer) {
+        console.log(prefix + buffer);
+      }
+      callback();
+    });
+  };
+
+  kbox.whenApp(function(app) {
+    kbox.tasks.add(function(task) {
+      task.path = [app.name, 'logs'];
+      task.description = 'Display logs of an app\'s components.';
+      task.history = false;
+      task.kind = 'argv*';
+      task.options.push({
+        name: 'follow',
+        alias: 'f',
+        description: 'Keep following the log output.'
+      });
+      task.options.push({
+        name: 'tail',
+        kind: 'string',
+        description: 'Number of lines to show from the end of the logs.'
+      });
+      task.options.push({
+        name: 'since',
+        kind: 'string',
+        description: 'Only show logs since a unix timestamp or date.'
+      });
+      task.options.push({
+        name: 'timestamps',
+        alias: 't',
+        description: 'Show timestamps.'
+      });
+      task.func = function(done) {
+        var components;
+        var opts;
+        try {
+          components = util.getAppComponents(app, this.payload);
+          opts = {
+            follow: !!this.options.follow,
+            tail: parseTail(this.options.tail),
+            since: parseSince(this.options.since),
+            timestamps: !!this.options.timestamps
+          };
+        } catch (err) {
+          return done(err);
+        }
+
+        // Pad prefixes so the log lines line up.
+        var width = _.max(_.map(components, function(component) {
+          return component.name.length;
+        }));
+
+        async.each(components, function(component, next) {
+          var index = _.indexOf(components, component);
+          var color = chalk[colors[index % colors.length]];
+          var prefix = color(_.padRight(component.name, width) + ' | ');
+          kbox.engine.logs(component.containerId, opts,
+          function(err, stream) {
+            if (err) {
+              next(err);
+            } else {
+              pipePrefixed(stream, prefix, next);
+            }
+          });
+        }, done);
+      };
+    });
+  });
+
+};
@@ -9,14 +9,16 @@ module.exports = function(kbox) {
   kbox.whenApp(function(app) {
     kbox.tasks.add(function(task) {
       task.path = [app.name, 'rebuild'];
-      task.description = 'Rebuilds your app while maintaining your app data.';
+      task.description = 'Rebuilds your app while maintaining your app ' +
+        'data, or only the given components.';
+      task.kind = 'argv*';
       task.options.push({
         name: 'build-local',
         kind: 'boolean',
         description: 'Build images locally instead of pulling them remotely.'
       });
       task.func = function(done) {
-        kbox.app.rebuild(app, done);
+        kbox.app.rebuild(app, this.payload, done);
       };
     });
   });
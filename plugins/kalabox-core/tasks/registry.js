@@ -0,0 +1,138 @@
+'use strict';
+
+/**
+ * This contains all the core commands that kalabox can run on every machine
+ */
+
+var async = require('async');
+var chalk = require('chalk');
+var _ = require('lodash');
+
+module.exports = function(kbox) {
+
+  var util = require('./../util.js')(kbox);
+
+  // Display the app registry.
+  kbox.tasks.add(function(task) {
+    task.path = ['apps', 'registry', 'list'];
+    task.description = 'Display the directories in the app registry and ' +
+      'whether they are valid.';
+    task.options.push({
+      name: 'json',
+      description: 'Display the app registry as json.'
+    });
+    task.func = function(done) {
+      var options = this.options;
+      kbox.app.listAppDirs(function(err, appDirs) {
+        if (err) {
+          return done(err);
+        }
+        if (options.json) {
+          console.log(JSON.stringify(appDirs, null, '  '));
+        } else if (_.isEmpty(appDirs)) {
+          console.log('The app registry is empty.');
+        } else {
+          var rows = [['DIR', 'APP', 'STATE']];
+          _.each(appDirs, function(appDir) {
+            var state = appDir.state === 'ok' ? appDir.state :
+              chalk.yellow(appDir.state);
+            rows.push([appDir.dir, appDir.appName || '', state]);
+          });
+          console.log(util.formatTable(rows));
+        }
+        done();
+      });
+    };
+  });
+
+  // Register the apps found in the scan roots.
+  kbox.tasks.add(function(task) {
+    task.path = ['apps', 'scan'];
+    task.description = 'Look for apps in the scan roots and add them to the ' +
+      'app registry.';
+    task.options.push({
+      name: 'dry-run',
+      description: 'Only display the apps that would be added.'
+    });
+    task.func = function(done) {
+      var options = this.options;
+      var opts = {dryRun: options.dryRun};
+      kbox.app.scanAppDirs(opts, function(err, appDirs) {
+        if (err) {
+          return done(err);
+        }
+        var found = _.reject(appDirs, 'registered');
+        if (_.isEmpty(found)) {
+          console.log('No new apps found.');
+        }
+        _.each(found, function(appDir) {
+          console.log((options.dryRun ? 'Found ' : 'Added ') +
+            appDir.appName + ' in ' + appDir.dir);
+        });
+        done();
+      });
+    };
+  });
+
+  // Remove apps from the app registry.
+  kbox.tasks.add(function(task) {
+    task.path = ['apps', 'registry', 'forget'];
+    task.description = 'Remove apps from the app registry by name or ' +
+      'directory, their files and containers are left alone. Scanning ' +
+      'skips them until they are installed again.';
+    task.kind = 'argv*';
+    task.func = function(done) {
+      if (_.isEmpty(this.payload)) {
+        return done(new Error('Name the apps or directories to forget.'));
+      }
+      async.eachSeries(this.payload, function(target, next) {
+        kbox.app.forgetAppDir(target, function(err, dir) {
+          if (!err) {
+            console.log('Forgot ' + dir);
+          }
+          next(err);
+        });
+      }, done);
+    };
+  });
+
+  // Remove directories that are gone from the app registry.
+  kbox.tasks.add(function(task) {
+    task.path = ['apps', 'registry', 'prune'];
+    task.description = 'Remove directories that no longer exist from the ' +
+      'app registry.';
+    task.func = function(done) {
+      kbox.app.pruneAppDirs(function(err, dirs) {
+        if (err) {
+          return done(err);
+        }
+        if (_.isEmpty(dirs)) {
+          console.log('Nothing to prune.');
+        }
+        _.each(dirs, function(dir) {
+          console.log('Removed ' + dir);
+        });
+        done();
+      });
+    };
+  });
+
+  // Point the app registry at an app's new location.
+  kbox.tasks.add(function(task) {
+    task.path = ['apps', 'registry', 'move'];
+    task.description = 'Point the app registry at the new directory of an ' +
+      'app, ex. kbox apps registry move myapp ~/code/myapp.';
+    task.kind = 'argv2';
+    task.func = function(done) {
+      var target = this.payload[0];
+      var dir = this.payload[1];
+      kbox.app.moveAppDir(target, dir, function(err) {
+        if (!err) {
+          console.log('Moved ' + target + ' to ' + dir);
+        }
+        done(err);
+      });
+    };
+  });
+
+};
@@ -0,0 +1,31 @@
+'use strict';
+
+/**
+ * This contains all the core commands that kalabox can run on every machine
+ */
+
+module.exports = function(kbox) {
+
+  kbox.whenApp(function(app) {
+    kbox.tasks.add(function(task) {
+      task.path = [app.name, 'rename'];
+      task.description = 'Rename the app, its containers and its data.';
+      task.kind = 'argv*';
+      task.func = function(done) {
+        if (this.payload.length !== 1) {
+          return done(new Error('Usage: kbox ' + app.name + ' rename ' +
+            '<newname>'));
+        }
+        kbox.app.rename(app, this.payload[0], function(err, renamed) {
+          if (err) {
+            return done(err);
+          }
+          console.log('Renamed ' + app.name + ' to ' + renamed.name + ' in ' +
+            renamed.root);
+          done();
+        });
+      };
+    });
+  });
+
+};
@@ -9,9 +9,11 @@ module.exports = function(kbox) {
   kbox.whenApp(function(app) {
     kbox.tasks.add(function(task) {
       task.path = [app.name, 'restart'];
-      task.description = 'Stop and then start a running kbox application.';
+      task.description = 'Stop and then start a running kbox application, ' +
+        'or only the given components.';
+      task.kind = 'argv*';
       task.func = function(done) {
-        kbox.app.restart(app, done);
+        kbox.app.restart(app, this.payload, done);
       };
     });
   });
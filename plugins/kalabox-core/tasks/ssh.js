@@ -0,0 +1,91 @@
+'use strict';
+
+/**
+ * This contains all the core commands that kalabox can run on every machine
+ */
+
+var _ = require('lodash');
+
+module.exports = function(kbox) {
+
+  var util = require('./../util.js')(kbox);
+
+  // Use bash when the container has it, otherwise fall back to sh.
+  var DEFAULT_SHELL = [
+    'sh',
+    '-c',
+    'if command -v bash > /dev/null; then exec bash; else exec sh; fi'
+  ];
+
+  /*
+   * Build the exec options for a component. Components can set the user,
+   * working directory and shell to use in the shell block of their config,
+   * the working directory defaults to the code directory.
+   */
+  var getExecOptions = function(component, options) {
+    var shell = component.shell || {};
+    var codeDir = kbox.core.deps.lookup('globalConfig').codeDir;
+    return {
+      user: options.user || shell.user,
+      workingDir: shell.workingDir || '/' + codeDir
+    };
+  };
+
+  kbox.whenApp(function(app) {
+    kbox.tasks.add(function(task) {
+      task.path = [app.name, 'ssh'];
+      task.description = 'Open a shell or run a command in a component.';
+      task.kind = 'argv*';
+      task.history = false;
+      task.options.push({
+        name: 'user',
+        alias: 'u',
+        kind: 'string',
+        description: 'User to run as instead of the component\'s user.'
+      });
+      task.func = function(done) {
+        var name = _.head(this.payload);
+        var cmd = _.tail(this.payload);
+        var options = this.options;
+        if (!name) {
+          return done(new Error('Specify a component to open a shell in.'));
+        }
+
+        var component;
+        try {
+          component = _.head(util.getAppComponents(app, [name]));
+        } catch (err) {
+          return done(err);
+        }
+
+        kbox.engine.info(component.containerId, function(err, info) {
+          if (err) {
+            return done(err);
+          } else if (!info || !info.running) {
+            return done(new Error('Component [' + name + '] is not ' +
+              'running.'));
+          }
+          var shell = component.shell || {};
+          var interactive = _.isEmpty(cmd);
+          if (interactive) {
+            cmd = shell.cmd || DEFAULT_SHELL;
+          }
+          var opts = getExecOptions(component, options);
+          kbox.engine.execInteractive(component.containerId, cmd, opts,
+          function(err, code) {
+            if (err) {
+              done(err);
+            } else if (!interactive && code !== 0) {
+              // The exit code of a shell is whatever was run last, so only
+              // fail when running a single command.
+              done(new Error('Command exited with code ' + code + '.'));
+            } else {
+              done();
+            }
+          });
+        });
+      };
+    });
+  });
+
+};
@@ -9,9 +9,11 @@ module.exports = function(kbox) {
   kbox.whenApp(function(app) {
     kbox.tasks.add(function(task) {
       task.path = [app.name, 'start'];
-      task.description = 'Start an installed kbox application.';
+      task.description = 'Start an installed kbox application, or only the ' +
+        'given components.';
+      task.kind = 'argv*';
       task.func = function(done) {
-        kbox.app.start(app, done);
+        kbox.app.start(app, this.payload, done);
       };
     });
   });
@@ -0,0 +1,165 @@
+'use strict';
+
+/**
+ * This contains all the core commands that kalabox can run on every machine
+ */
+
+var _ = require('lodash');
+var async = require('async');
+
+module.exports = function(kbox) {
+
+  var util = require('./../util.js')(kbox);
+
+  // Milliseconds between refreshes in watch mode.
+  var WATCH_INTERVAL = 2 * 1000;
+
+  // Clears the terminal and moves the cursor to the top left.
+  var CLEAR_SCREEN = '\u001b[2J\u001b[0;0H';
+
+  /*
+   * Format a number of bytes in a human readable way.
+   */
+  var formatBytes = function(bytes) {
+    var units = ['B', 'kB', 'MB', 'GB', 'TB'];
+    var index = 0;
+    while (bytes >= 1000 && index < units.length - 1) {
+      bytes = bytes / 1000;
+      index += 1;
+    }
+    var value = index === 0 ? String(bytes) : bytes.toFixed(1);
+    return value + ' ' + units[index];
+  };
+
+  /*
+   * Format a percentage.
+   */
+  var formatPercent = function(percent) {
+    return percent.toFixed(2) + '%';
+  };
+
+  /*
+   * Get the stats of each component, components that are not running have
+   * null stats.
+   */
+  var getStats = function(components, callback) {
+    async.mapSeries(components, function(component, next) {
+      kbox.engine.info(component.containerId, function(err, info) {
+        if (err) {
+          next(err);
+        } else if (!info || !info.running) {
+          next(null, {name: component.name, stats: null});
+        } else {
+          kbox.engine.stats(component.containerId, function(err, stats) {
+            next(err, {name: component.name, stats: stats});
+          });
+        }
+      });
+    }, callback);
+  };
+
+  /*
+   * Reduce a list of component stats to a json object.
+   */
+  var toJson = function(results) {
+    var obj = {};
+    _.each(results, function(result) {
+      obj[result.name] = _.extend({running: !!result.stats}, result.stats);
+    });
+    return obj;
+  };
+
+  /*
+   * Build a table of component stats as a string.
+   */
+  var toTable = function(results) {
+    var rows = [[
+      'COMPONENT',
+      'CPU %',
+      'MEM USAGE / LIMIT',
+      'MEM %',
+      'NET I/O',
+      'BLOCK I/O'
+    ]];
+    _.each(results, function(result) {
+      var stats = result.stats;
+      if (!stats) {
+        rows.push([result.name, '-', '-', '-', '-', '-']);
+      } else {
+        rows.push([
+          result.name,
+          formatPercent(stats.cpuPercent),
+          formatBytes(stats.memory.usage) + ' / ' +
+            formatBytes(stats.memory.limit),
+          formatPercent(stats.memory.percent),
+          formatBytes(stats.network.rxBytes) + ' / ' +
+            formatBytes(stats.network.txBytes),
+          formatBytes(stats.blockIo.readBytes) + ' / ' +
+            formatBytes(stats.blockIo.writeBytes)
+        ]);
+      }
+    });
+    return util.formatTable(rows);
+  };
+
+  kbox.whenApp(function(app) {
+    kbox.tasks.add(function(task) {
+      task.path = [app.name, 'stats'];
+      task.description = 'Display resource usage of an app\'s components.';
+      task.history = false;
+      task.kind = 'argv*';
+      task.options.push({
+        name: 'watch',
+        alias: 'w',
+        description: 'Keep refreshing the stats until interrupted.'
+      });
+      task.options.push({
+        name: 'json',
+        description: 'Display the stats once as json.'
+      });
+      task.func = function(done) {
+        var options = this.options;
+        var components;
+        try {
+          components = util.getAppComponents(app, this.payload);
+        } catch (err) {
+          return done(err);
+        }
+
+        if (options.json && options.watch) {
+          return done(new Error('The json and watch options can not be ' +
+            'used together.'));
+        }
+
+        if (options.json) {
+          return getStats(components, function(err, results) {
+            if (err) {
+              return done(err);
+            }
+            console.log(JSON.stringify(toJson(results), null, '  '));
+            done();
+          });
+        }
+
+        var refresh = function() {
+          getStats(components, function(err, results) {
+            if (err) {
+              return done(err);
+            }
+            if (options.watch) {
+              process.stdout.write(CLEAR_SCREEN);
+            }
+            console.log(toTable(results));
+            if (options.watch) {
+              setTimeout(refresh, WATCH_INTERVAL);
+            } else {
+              done();
+            }
+          });
+        };
+        refresh();
+      };
+    });
+  });
+
+};
@@ -0,0 +1,111 @@
+'use strict';
+
+/**
+ * This contains all the core commands that kalabox can run on every machine
+ */
+
+var chalk = require('chalk');
+var _ = require('lodash');
+
+module.exports = function(kbox) {
+
+  var util = require('./../util.js')(kbox);
+
+  // Colors used for each state.
+  var colors = {
+    'not installed': 'grey',
+    stopped: 'yellow',
+    running: 'green',
+    unhealthy: 'red',
+    partial: 'yellow'
+  };
+
+  /*
+   * Format a number of seconds as a short duration, like 2h 5m.
+   */
+  var formatUptime = function(seconds) {
+    if (seconds === null) {
+      return '-';
+    }
+    var units = [['d', 86400], ['h', 3600], ['m', 60], ['s', 1]];
+    var parts = [];
+    _.each(units, function(unit) {
+      var value = Math.floor(seconds / unit[1]);
+      if (value > 0 || (unit[0] === 's' && parts.length === 0)) {
+        parts.push(value + unit[0]);
+      }
+      seconds = seconds % unit[1];
+    });
+    return _.take(parts, 2).join(' ');
+  };
+
+  /*
+   * Format an app's status as a string.
+   */
+  var formatStatus = function(status) {
+    var rows = [[
+      'COMPONENT',
+      'STATE',
+      'CONTAINER',
+      'IMAGE',
+      'UPTIME',
+      'URL',
+      'PORTS'
+    ]];
+    _.each(status.components, function(component) {
+      var ports = _.map(component.ports, function(port) {
+        return port.container + '->' + port.host;
+      });
+      rows.push([
+        component.name,
+        component.state,
+        component.containerId ? component.containerId.slice(0, 12) : '-',
+        component.image,
+        formatUptime(component.uptime),
+        component.url || '-',
+        ports.join(', ') || '-'
+      ]);
+    });
+    var lines = [
+      status.name + ' is ' + chalk[colors[status.state]](status.state) +
+        ' at ' + status.url,
+      '',
+      util.formatTable(rows)
+    ];
+    _.each(status.components, function(component) {
+      if (component.reason) {
+        lines.push('');
+        lines.push(chalk.red(component.name + ' is unhealthy: ' +
+          component.reason));
+      }
+    });
+    return lines.join('\n');
+  };
+
+  kbox.whenApp(function(app) {
+    kbox.tasks.add(function(task) {
+      task.path = [app.name, 'status'];
+      task.description = 'Display the status of an app and its components.';
+      task.history = false;
+      task.options.push({
+        name: 'json',
+        description: 'Display the status as json.'
+      });
+      task.func = function(done) {
+        var options = this.options;
+        kbox.app.status(app, function(err, status) {
+          if (err) {
+            return done(err);
+          }
+          if (options.json) {
+            console.log(JSON.stringify(status, null, '  '));
+          } else {
+            console.log(formatStatus(status));
+          }
+          done();
+        });
+      };
+    });
+  });
+
+};
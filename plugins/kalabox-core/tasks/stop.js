@@ -9,9 +9,11 @@ module.exports = function(kbox) {
   kbox.whenApp(function(app) {
     kbox.tasks.add(function(task) {
       task.path = [app.name, 'stop'];
-      task.description = 'Stop a running kbox application.';
+      task.description = 'Stop a running kbox application, or only the ' +
+        'given components.';
+      task.kind = 'argv*';
       task.func = function(done) {
-        kbox.app.stop(app, done);
+        kbox.app.stop(app, this.payload, done);
       };
     });
   });
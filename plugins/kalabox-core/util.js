@@ -51,6 +51,44 @@ module.exports = function(kbox) {
     });
   };
 
+  /*
+   * Map component names to an app's components, defaulting to every
+   * installed component of the app.
+   */
+  var getAppComponents = function(app, names) {
+    if (_.isEmpty(names)) {
+      return _.filter(_.values(app.components), function(component) {
+        return !!component.containerId;
+      });
+    }
+    return _.map(names, function(name) {
+      var component = app.components[name];
+      if (!component) {
+        throw new Error('Component [' + name + '] does not exist.');
+      } else if (!component.containerId) {
+        throw new Error('Component [' + name + '] is not installed.');
+      }
+      return component;
+    });
+  };
+
+  /*
+   * Format rows of cells as a table with aligned columns, the first row is
+   * the header.
+   */
+  var formatTable = function(rows) {
+    var widths = _.map(rows[0], function(heading, index) {
+      return _.max(_.map(rows, function(row) {
+        return String(row[index]).length;
+      }));
+    });
+    return _.map(rows, function(row) {
+      return _.trimRight(_.map(row, function(cell, index) {
+        return _.padRight(String(cell), widths[index]);
+      }).join('   '));
+    }).join('\n');
+  };
+
   var createFrameworkFunc = function(task, frameworkModule) {
     if (typeof task !== 'object') {
       throw new TypeError('Invalid task object: ' + task);
@@ -276,6 +314,8 @@ module.exports = function(kbox) {
 
   return {
     outputContainers: outputContainers,
+    getAppComponents: getAppComponents,
+    formatTable: formatTable,
     createFrameworkFunc: createFrameworkFunc,
     runAdminCmds: runAdminCmds,
     prepareImages: prepareImages
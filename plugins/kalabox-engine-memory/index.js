@@ -0,0 +1,805 @@
+'use strict';
+
+/**
+ * In-memory reference implementation of the kalabox engine interface.
+ *
+ * Containers and images only ever live in process memory, so apps can be
+ * installed, started, stopped and uninstalled without docker or a VM. This is
+ * mostly meant for unit testing, set the engine key of the global config to
+ * kalabox-engine-memory to use it.
+ */
+
+var crypto = require('crypto');
+var fs = require('fs');
+var PassThrough = require('stream').PassThrough;
+var tar = require('tar-stream');
+var _ = require('lodash');
+
+module.exports = function(kbox) {
+
+  var provider = require('./provider.js');
+
+  // Container states.
+  var STATE_CREATED = 'created';
+  var STATE_RUNNING = 'running';
+  var STATE_EXITED = 'exited';
+
+  // First host port handed out when publishing container ports.
+  var FIRST_HOST_PORT = 32768;
+
+  // Memory limit reported for every container, 2 GB.
+  var MEMORY_LIMIT = 2 * 1024 * 1024 * 1024;
+
+  // Containers by id.
+  var containers = {};
+
+  // Images by name.
+  var images = {};
+
+  // Images that lost their name to a newer build, by id.
+  var danglingImages = {};
+
+  // Next host port to hand out.
+  var nextHostPort = FIRST_HOST_PORT;
+
+  // Optional function for faking the output of exec commands.
+  var execHandler = null;
+
+  /*
+   * Call callback on the next tick so the engine is always asynchronous.
+   */
+  var reply = function(callback, err, result) {
+    process.nextTick(function() {
+      callback(err || null, result);
+    });
+  };
+
+  /*
+   * Generate a docker style container id.
+   */
+  var generateId = function() {
+    return crypto.randomBytes(32).toString('hex');
+  };
+
+  /*
+   * Parse a kb_<app>_<component> container name, returns null for containers
+   * not owned by kalabox.
+   */
+  var parseName = function(name) {
+    var parts = name.split('_');
+    if (parts.length < 3 || parts[0] !== 'kb') {
+      return null;
+    }
+    return {
+      app: parts[1],
+      component: parts.slice(2).join('_')
+    };
+  };
+
+  /*
+   * Find a container by id or name.
+   */
+  var findContainer = function(cid) {
+    return _.find(containers, function(container) {
+      return container.id === cid || container.name === cid;
+    }) || null;
+  };
+
+  /*
+   * Find a container by id or name and report an error if it does not exist.
+   */
+  var getEnsure = function(cid, action, callback) {
+    var container = findContainer(cid);
+    if (!container) {
+      reply(callback, new Error('Cannot ' + action +
+        ' non existent container: ' + cid));
+    } else {
+      reply(callback, null, container);
+    }
+  };
+
+  /*
+   * Map a container to the object returned by list.
+   */
+  var toListItem = function(container) {
+    var parsed = parseName(container.name);
+    return {
+      id: container.id,
+      name: container.name,
+      app: parsed ? parsed.app : null
+    };
+  };
+
+  /*
+   * Map a container's published ports to a list of strings.
+   */
+  var toPortList = function(container) {
+    return _.map(container.ports, function(hostPort, port) {
+      return [port, hostPort].join('=>');
+    });
+  };
+
+  /*
+   * Publish a container's exposed ports to host ports.
+   */
+  var publishPorts = function(container) {
+    container.ports = {};
+    if (container.hostConfig.PublishAllPorts) {
+      _.each(_.keys(container.config.ExposedPorts), function(port) {
+        container.ports[port] = nextHostPort;
+        nextHostPort += 1;
+      });
+    }
+  };
+
+  /*
+   * Built in commands understood by containers.
+   */
+  var builtins = {
+    cat: function(container, args, opts) {
+      return {stdout: opts.input || ''};
+    },
+    echo: function(container, args) {
+      return {stdout: args.join(' ') + '\n'};
+    },
+    env: function(container, args) {
+      return {stdout: (container.config.Env || []).join('\n') + '\n'};
+    },
+    hostname: function(container, args) {
+      return {stdout: container.config.Hostname + '\n'};
+    },
+    pwd: function(container, args, opts) {
+      return {stdout: (opts.workingDir || container.config.WorkingDir || '/') +
+        '\n'};
+    },
+    whoami: function(container, args, opts) {
+      return {stdout: (opts.user || container.config.User || 'root') + '\n'};
+    },
+    true: function(container, args) {
+      return {};
+    },
+    false: function(container, args) {
+      return {code: 1};
+    }
+  };
+
+  /*
+   * Fake running a command inside of a container. Options can hold the user,
+   * working directory, tty size and input of the command.
+   */
+  var runCmd = function(container, cmd, opts) {
+    opts = opts || {};
+    container.execs.push(cmd);
+    var result = execHandler ? execHandler(container, cmd, opts) : undefined;
+    if (!result) {
+      var builtin = builtins[_.head(cmd)];
+      if (builtin) {
+        result = builtin(container, _.tail(cmd), opts);
+      } else {
+        result = {
+          stderr: _.head(cmd) + ': command not found\n',
+          code: 127
+        };
+      }
+    }
+    return {
+      stdout: result.stdout || '',
+      stderr: result.stderr || '',
+      code: result.code || 0
+    };
+  };
+
+  /*
+   * Format a log entry as a line of output.
+   */
+  var formatLog = function(entry, opts) {
+    var line = entry.text + '\n';
+    if (opts.timestamps) {
+      line = entry.time.toISOString() + ' ' + line;
+    }
+    return line;
+  };
+
+  /*
+   * End all of the streams following a container's logs.
+   */
+  var endFollowers = function(container) {
+    _.each(container.followers, function(follower) {
+      follower.stream.end();
+    });
+    container.followers = [];
+  };
+
+  /*
+   * Make sure a container is running before running a command in it.
+   */
+  var getRunning = function(cid, callback) {
+    var container = findContainer(cid);
+    if (!container) {
+      reply(callback, new Error('No such container: ' + cid));
+    } else if (container.state !== STATE_RUNNING) {
+      reply(callback, new Error('Container ' + cid + ' is not running'));
+    } else {
+      reply(callback, null, container);
+    }
+  };
+
+  var init = function(config) {
+    // Nothing to connect to.
+  };
+
+  var getProviderModule = function() {
+    return provider;
+  };
+
+  var list = function(appName, callback) {
+    var result = _.filter(_.map(containers, toListItem), function(item) {
+      if (!item.app) {
+        return false;
+      }
+      return !appName || item.app === appName;
+    });
+    reply(callback, null, result);
+  };
+
+  var inspect = function(container, callback) {
+    var ports = {};
+    _.each(container.ports, function(hostPort, port) {
+      ports[port] = [{HostIp: '0.0.0.0', HostPort: String(hostPort)}];
+    });
+    var volumes = {};
+    _.each(_.keys(container.config.Volumes), function(volume) {
+      volumes[volume] = '/var/lib/docker/vfs/dir/' + container.id +
+        volume.replace(/\//g, '_');
+    });
+    reply(callback, null, {
+      Id: container.id,
+      Name: '/' + container.name,
+      Created: container.created.toISOString(),
+      Image: container.config.Image,
+      Config: _.cloneDeep(container.config),
+      HostConfig: _.cloneDeep(container.hostConfig),
+      State: {
+        Running: container.state === STATE_RUNNING,
+        StartedAt: container.startedAt ? container.startedAt.toISOString() :
+          null,
+        FinishedAt: container.finishedAt ? container.finishedAt.toISOString() :
+          null
+      },
+      NetworkSettings: {
+        Ports: ports
+      },
+      Volumes: volumes
+    });
+  };
+
+  var info = function(cid, callback) {
+    var container = findContainer(cid);
+    if (!container) {
+      return reply(callback, null, null);
+    }
+    var item = toListItem(container);
+    item.image = container.config.Image;
+    item.running = container.state === STATE_RUNNING;
+    item.ports = toPortList(container);
+    reply(callback, null, item);
+  };
+
+  var create = function(createOptions, callback) {
+    var opts = _.cloneDeep(createOptions || {});
+    var name = opts.name || 'memory_' + generateId().slice(0, 12);
+    if (!opts.Image) {
+      return reply(callback, new Error('No image specified.'));
+    }
+    if (!images[opts.Image]) {
+      return reply(callback, new Error('No such image: ' + opts.Image));
+    }
+    if (findContainer(name)) {
+      return reply(callback, new Error('Conflict. The name "' + name +
+        '" is already in use.'));
+    }
+    var hostConfig = opts.HostConfig || {};
+    delete opts.name;
+    delete opts.HostConfig;
+    var container = {
+      id: generateId(),
+      name: name,
+      config: opts,
+      hostConfig: hostConfig,
+      imageId: images[opts.Image].id,
+      state: STATE_CREATED,
+      created: new Date(),
+      startedAt: null,
+      finishedAt: null,
+      ports: {},
+      execs: [],
+      files: {},
+      logs: [],
+      followers: [],
+      stats: {
+        cpuPercent: 0,
+        memory: {usage: 0, limit: MEMORY_LIMIT},
+        network: {rxBytes: 0, txBytes: 0},
+        blockIo: {readBytes: 0, writeBytes: 0}
+      }
+    };
+    _.each(_.keys(opts.Volumes), function(volume) {
+      addFile(container, normalizePath(volume), {type: 'directory', mode: 493});
+    });
+    containers[container.id] = container;
+    reply(callback, null, {
+      cid: container.id,
+      name: container.name
+    });
+  };
+
+  var start = function(cid, startOptions, callback) {
+    var container = findContainer(cid);
+    if (!container) {
+      return reply(callback, new Error('No such container: ' + cid));
+    }
+    if (container.state !== STATE_RUNNING) {
+      _.extend(container.hostConfig, startOptions || {});
+      container.state = STATE_RUNNING;
+      container.startedAt = new Date();
+      container.finishedAt = null;
+      publishPorts(container);
+    }
+    reply(callback, null);
+  };
+
+  var stop = function(cid, callback) {
+    var container = findContainer(cid);
+    if (!container) {
+      return reply(callback, new Error('No such container: ' + cid));
+    }
+    if (container.state === STATE_RUNNING) {
+      container.state = STATE_EXITED;
+      container.finishedAt = new Date();
+      container.ports = {};
+      endFollowers(container);
+    }
+    reply(callback, null);
+  };
+
+  var remove = function(cid, callback) {
+    var container = findContainer(cid);
+    if (!container) {
+      return reply(callback, new Error('No such container: ' + cid));
+    }
+    if (container.state === STATE_RUNNING) {
+      return reply(callback, new Error('Conflict, You cannot remove a ' +
+        'running container. Stop the container before attempting removal.'));
+    }
+    endFollowers(container);
+    delete containers[container.id];
+    reply(callback, null);
+  };
+
+  var logs = function(cid, opts, callback) {
+    var container = findContainer(cid);
+    if (!container) {
+      return reply(callback, new Error('No such container: ' + cid));
+    }
+    var entries = container.logs;
+    if (opts.since) {
+      entries = _.filter(entries, function(entry) {
+        return entry.time.getTime() >= opts.since * 1000;
+      });
+    }
+    if (opts.tail !== undefined && opts.tail !== null) {
+      entries = opts.tail > 0 ? _.takeRight(entries, opts.tail) : [];
+    }
+    var stream = new PassThrough();
+    _.each(entries, function(entry) {
+      stream.write(formatLog(entry, opts));
+    });
+    if (opts.follow && container.state === STATE_RUNNING) {
+      container.followers.push({stream: stream, opts: opts});
+    } else {
+      stream.end();
+    }
+    reply(callback, null, stream);
+  };
+
+  var stats = function(cid, callback) {
+    getRunning(cid, function(err, container) {
+      if (err) {
+        return callback(err);
+      }
+      var result = _.cloneDeep(container.stats);
+      result.memory.percent = result.memory.usage / result.memory.limit * 100;
+      callback(null, result);
+    });
+  };
+
+  /*
+   * Set the resource usage reported for a container, any stats that are
+   * left out keep their current values.
+   */
+  var setStats = function(cid, values) {
+    var container = findContainer(cid);
+    if (!container) {
+      throw new Error('No such container: ' + cid);
+    }
+    _.merge(container.stats, values);
+  };
+
+  /*
+   * Normalize paths inside of a container, relative paths are resolved from
+   * the root of the container.
+   */
+  var normalizePath = function() {
+    var parts = [];
+    _.each(_.flatten(_.toArray(arguments)), function(arg) {
+      _.each(arg.split('/'), function(part) {
+        if (part === '..') {
+          parts.pop();
+        } else if (part && part !== '.') {
+          parts.push(part);
+        }
+      });
+    });
+    return '/' + parts.join('/');
+  };
+
+  /*
+   * Add a file to a container's file system, creating parent directories as
+   * needed.
+   */
+  var addFile = function(container, file, entry) {
+    var parent = normalizePath(file, '..');
+    if (parent !== file && !container.files[parent]) {
+      addFile(container, parent, {type: 'directory', mode: 493});
+    }
+    container.files[file] = _.extend({mtime: new Date()}, entry);
+  };
+
+  var copyTo = function(cid, dir, stream, callback) {
+    var container = findContainer(cid);
+    if (!container) {
+      return reply(callback, new Error('No such container: ' + cid));
+    }
+    dir = normalizePath(dir);
+    var existing = container.files[dir];
+    if (existing && existing.type !== 'directory') {
+      return reply(callback, new Error('Not a directory: ' + dir));
+    }
+    var done = _.once(callback);
+    var extract = tar.extract();
+    extract.on('entry', function(header, entryStream, next) {
+      var chunks = [];
+      entryStream.on('data', function(chunk) {
+        chunks.push(chunk);
+      });
+      entryStream.on('end', function() {
+        addFile(container, normalizePath(dir, header.name), {
+          type: header.type,
+          mode: header.mode,
+          mtime: header.mtime,
+          linkname: header.linkname,
+          data: Buffer.concat(chunks)
+        });
+        next();
+      });
+    });
+    extract.on('error', done);
+    extract.on('finish', function() {
+      done(null);
+    });
+    stream.on('error', done);
+    stream.pipe(extract);
+  };
+
+  var copyFrom = function(cid, file, callback) {
+    var container = findContainer(cid);
+    if (!container) {
+      return reply(callback, new Error('No such container: ' + cid));
+    }
+    file = normalizePath(file);
+    var prefix = file === '/' ? '/' : file + '/';
+    var paths = _.filter(_.keys(container.files), function(key) {
+      return key === file || _.startsWith(key, prefix);
+    }).sort();
+    if (_.isEmpty(paths)) {
+      return reply(callback, new Error('Could not find the file ' + file +
+        ' in container ' + cid));
+    }
+    var root = _.last(file.split('/')) || '.';
+    var pack = tar.pack();
+    _.each(paths, function(key) {
+      var entry = container.files[key];
+      var header = {
+        name: root + key.slice(file.length),
+        type: entry.type,
+        mode: entry.mode,
+        mtime: entry.mtime,
+        linkname: entry.linkname
+      };
+      pack.entry(header, entry.type === 'file' ? entry.data : undefined);
+    });
+    pack.finalize();
+    reply(callback, null, pack);
+  };
+
+  /*
+   * Write a line of output to a container's logs, as if the container's
+   * process had written it.
+   */
+  var writeLog = function(cid, text) {
+    var container = findContainer(cid);
+    if (!container) {
+      throw new Error('No such container: ' + cid);
+    }
+    var entry = {
+      time: new Date(),
+      text: text
+    };
+    container.logs.push(entry);
+    _.each(container.followers, function(follower) {
+      follower.stream.write(formatLog(entry, follower.opts));
+    });
+  };
+
+  var build = function(image, callback) {
+    if (!image || !image.name) {
+      return reply(callback, new TypeError('Invalid image: ' + image));
+    }
+    if (image.build && !fs.existsSync(image.srcRoot)) {
+      return reply(callback, new Error('Cannot build image ' + image.name +
+        ', Dockerfile does not exist: ' + image.srcRoot));
+    }
+    // Like docker, rebuilding an image leaves the old one without a name.
+    var old = images[image.name];
+    if (old && image.build) {
+      danglingImages[old.id] = _.extend({}, old, {name: null});
+    }
+    images[image.name] = {
+      id: old && !image.build ? old.id : generateId(),
+      name: image.name,
+      built: !!image.build,
+      srcRoot: image.build ? image.srcRoot : null,
+      // Like docker, only builds get the labels they are given.
+      labels: image.build ? _.clone(image.labels || {}) :
+        (old ? old.labels : {})
+    };
+    reply(callback, null);
+  };
+
+  var exec = function(cid, cmd, callback) {
+    getRunning(cid, function(err, container) {
+      if (err) {
+        return callback(err);
+      }
+      var result = runCmd(container, cmd);
+      var stream = new PassThrough();
+      callback(null, stream);
+      stream.end(result.stdout + result.stderr);
+    });
+  };
+
+  var exec2 = function(cid, cmd, stdout, stderr, callback) {
+    getRunning(cid, function(err, container) {
+      if (err) {
+        return callback(err);
+      }
+      var result = runCmd(container, cmd);
+      stdout.write(result.stdout);
+      stderr.write(result.stderr);
+      callback(null);
+    });
+  };
+
+  /*
+   * Interactive sessions read all of stdin before faking the command, which
+   * is like a shell that runs whatever it was fed until stdin is closed.
+   */
+  var execInteractive = function(cid, cmd, opts, callback) {
+    getRunning(cid, function(err, container) {
+      if (err) {
+        return callback(err);
+      }
+      var session = {
+        user: opts.user,
+        workingDir: opts.workingDir,
+        env: opts.env,
+        tty: !!opts.tty,
+        size: opts.size,
+        input: ''
+      };
+      var result = null;
+      var waiting = [];
+      var finish = function() {
+        result = runCmd(container, cmd, session);
+        opts.stdout.write(result.stdout);
+        // With a tty stderr is merged into stdout like a real terminal.
+        (session.tty ? opts.stdout : opts.stderr).write(result.stderr);
+        _.each(waiting, function(next) {
+          next(null, result.code);
+        });
+      };
+      var state = opts.stdin._readableState;
+      if (state && state.endEmitted) {
+        // Stdin was already closed by an earlier session.
+        process.nextTick(finish);
+      } else {
+        opts.stdin.on('data', function(data) {
+          session.input += data.toString();
+        });
+        opts.stdin.once('end', finish);
+      }
+      callback(null, {
+        resize: function(size, next) {
+          session.size = size;
+          reply(next, null);
+        },
+        wait: function(next) {
+          if (result) {
+            reply(next, null, result.code);
+          } else {
+            waiting.push(next);
+          }
+        }
+      });
+    });
+  };
+
+  /*
+   * Create and start a throw away container from an image, pulling the image
+   * first if it does not exist yet.
+   */
+  var createTemp = function(image, cmd, createOptions, startOptions,
+    callback) {
+    var opts = _.extend({}, createOptions, {Image: image, Cmd: cmd});
+    var pull = function(next) {
+      if (images[image]) {
+        next(null);
+      } else {
+        build({name: image}, next);
+      }
+    };
+    pull(function(err) {
+      if (err) {
+        return callback(err);
+      }
+      create(opts, function(err, container) {
+        if (err) {
+          return callback(err);
+        }
+        start(container.cid, startOptions, function(err) {
+          callback(err, {
+            id: container.cid,
+            name: container.name
+          });
+        });
+      });
+    });
+  };
+
+  /*
+   * Stop and remove a throw away container.
+   */
+  var removeTemp = function(container, callback) {
+    stop(container.id, function(err) {
+      if (err) {
+        return callback(err);
+      }
+      remove(container.id, callback);
+    });
+  };
+
+  var run = function(image, cmd, stdin, stdout, createOptions, startOptions,
+    callback) {
+    createTemp(image, cmd, createOptions, startOptions,
+    function(err, container) {
+      if (err) {
+        return callback(err);
+      }
+      exec2(container.id, cmd, stdout, stdout, function(err) {
+        removeTemp(container, function(removeErr) {
+          callback(err || removeErr);
+        });
+      });
+    });
+  };
+
+  var once = function(image, cmd, createOptions, startOptions, callback,
+    done) {
+    createTemp(image, cmd, createOptions, startOptions,
+    function(err, container) {
+      if (err) {
+        return done(err);
+      }
+      callback(container, function(err) {
+        removeTemp(container, function(removeErr) {
+          done(err || removeErr);
+        });
+      });
+    });
+  };
+
+  var listImages = function(callback) {
+    var all = _.values(images).concat(_.values(danglingImages));
+    reply(callback, null, _.map(all, function(image) {
+      return {
+        id: image.id,
+        name: image.name,
+        dangling: !image.name,
+        labels: image.labels
+      };
+    }));
+  };
+
+  var removeImage = function(id, callback) {
+    var image = danglingImages[id] || _.find(images, function(image) {
+      return image.id === id || image.name === id;
+    });
+    if (!image) {
+      return reply(callback, new Error('No such image: ' + id));
+    }
+    var user = _.find(containers, {imageId: image.id});
+    if (user) {
+      return reply(callback, new Error('Conflict, cannot delete ' + id +
+        ' because the container ' + user.name + ' is using it.'));
+    }
+    delete danglingImages[image.id];
+    if (image.name) {
+      delete images[image.name];
+    }
+    reply(callback, null);
+  };
+
+  /*
+   * Set a function used to fake the output of commands run in containers. The
+   * function is called with the container, the command and the exec options
+   * (user, workingDir, tty, size and input), and should return an object with
+   * stdout, stderr and code properties, or nothing to fall back to the built
+   * in commands.
+   */
+  var setExecHandler = function(handler) {
+    execHandler = handler || null;
+  };
+
+  /*
+   * Throw away all containers and images.
+   */
+  var reset = function() {
+    containers = {};
+    images = {};
+    danglingImages = {};
+    nextHostPort = FIRST_HOST_PORT;
+    execHandler = null;
+  };
+
+  return {
+    // Containers are ready as soon as they start.
+    startDelay: 0,
+    build: build,
+    copyFrom: copyFrom,
+    copyTo: copyTo,
+    create: create,
+    exec: exec,
+    exec2: exec2,
+    execInteractive: execInteractive,
+    getEnsure: getEnsure,
+    getProviderModule: getProviderModule,
+    info: info,
+    init: init,
+    inspect: inspect,
+    list: list,
+    listImages: listImages,
+    logs: logs,
+    once: once,
+    remove: remove,
+    removeImage: removeImage,
+    reset: reset,
+    run: run,
+    setExecHandler: setExecHandler,
+    setStats: setStats,
+    start: start,
+    stats: stats,
+    stop: stop,
+    writeLog: writeLog
+  };
+
+};
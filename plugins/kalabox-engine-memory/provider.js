@@ -0,0 +1,64 @@
+'use strict';
+
+/**
+ * Provider for the in-memory engine. There is nothing to install and no VM
+ * to boot, so this just keeps track of whether the engine has been brought
+ * up or not.
+ */
+
+module.exports = {
+
+  name: 'memory',
+
+  init: function(intf) {
+
+    // Whether the provider has been brought up.
+    var isUp = false;
+
+    intf.up = function(opts, callback) {
+      isUp = true;
+      callback(null, 'Memory engine is up.');
+    };
+
+    intf.down = function(callback) {
+      isUp = false;
+      callback(null, 'Memory engine is down.');
+    };
+
+    intf.isInstalled = function(callback) {
+      callback(null, true);
+    };
+
+    intf.isUp = function(callback) {
+      callback(null, isUp);
+    };
+
+    intf.isDown = function(callback) {
+      callback(null, !isUp);
+    };
+
+    intf.hasTasks = function(callback) {
+      callback(null, false);
+    };
+
+    intf.engineConfig = function(callback) {
+      callback(null, {});
+    };
+
+    intf.getIp = function(callback) {
+      callback(null, '127.0.0.1');
+    };
+
+    intf.getServerIps = function(callback) {
+      callback(['127.0.0.1']);
+    };
+
+    intf.path2Bind4U = function(path) {
+      return path;
+    };
+
+    return intf;
+
+  }
+
+};
@@ -0,0 +1,24 @@
+'use strict';
+
+/**
+ * Services to pair with the in-memory engine. The in-memory engine has no
+ * proxy or dns to run, so there are no service containers to verify or
+ * install.
+ */
+
+module.exports = function(kbox) {
+
+  var verify = function(callback) {
+    callback(null);
+  };
+
+  var install = function(callback) {
+    callback(null);
+  };
+
+  return {
+    verify: verify,
+    install: install
+  };
+
+};
@@ -0,0 +1,122 @@
+'use strict';
+
+var chai = require('chai');
+var expect = chai.expect;
+var fs = require('fs');
+var kbox = require('../../lib/kbox.js');
+var path = require('path');
+var tar = require('tar-stream');
+var testUtil = require('../../lib/testUtil.js');
+var zlib = require('zlib');
+
+describe('archive module', function() {
+
+  var env = null;
+
+  this.timeout(30 * 1000);
+
+  before(function(done) {
+    testUtil.memoryEngine.create(kbox, function(err, result) {
+      env = result;
+      done(err);
+    });
+  });
+
+  after(function() {
+    env.restore();
+  });
+
+  beforeEach(function() {
+    env.engine.reset();
+  });
+
+  it('should export an app and import it into another app.',
+    function(done) {
+    var src = path.join(env.root, 'dump');
+    fs.mkdirSync(src);
+    fs.writeFileSync(path.join(src, 'ibdata1'), 'rows');
+    var file = path.join(env.root, 'tupelo.tar.gz');
+    env.createDataApp('tupelo', {}, ['/var/lib/mysql'],
+    function(err, app, cid) {
+      fs.mkdirSync(app.config.codeRoot);
+      fs.writeFileSync(path.join(app.config.codeRoot, 'index.php'), '<?php');
+      var stream = kbox.util.tar.pack(src, 'mysql');
+      kbox.engine.copyTo(cid, '/var/lib', stream, function() {
+        kbox.app.exportArchive(app, file, {code: true},
+        function(err, manifest) {
+          expect(err).to.equal(null);
+          expect(manifest.format).to.equal(1);
+          expect(manifest.volumes).to.deep.equal(['/var/lib/mysql']);
+          expect(manifest.code).to.equal(true);
+          env.createDataApp('tunica', {}, ['/var/lib/mysql'],
+          function(err, target, targetCid) {
+            kbox.app.importArchive(target, file, function(err, manifest) {
+              expect(err).to.equal(null);
+              expect(manifest.appName).to.equal('tupelo');
+              var code = path.join(target.config.codeRoot, 'index.php');
+              expect(fs.readFileSync(code, 'utf8')).to.equal('<?php');
+              kbox.engine.copyFrom(targetCid, '/var/lib/mysql/ibdata1',
+              function(err, stream) {
+                expect(err).to.equal(null);
+                var copy = path.join(env.root, 'ibdata1');
+                kbox.util.tar.extract(stream, env.root, {}, function(err) {
+                  expect(err).to.equal(null);
+                  expect(fs.readFileSync(copy, 'utf8')).to.equal('rows');
+                  done();
+                });
+              });
+            });
+          });
+        });
+      });
+    });
+  });
+
+  it('should refuse archives writing outside of their volumes.',
+    function(done) {
+    var file = path.join(env.root, 'star.tar.gz');
+    var pack = tar.pack();
+    pack.entry({name: 'manifest.json'}, JSON.stringify({
+      format: 1,
+      appName: 'star',
+      volumes: ['/var/lib/mysql'],
+      code: false
+    }));
+    pack.entry({name: 'volumes/var/lib/mysql/../../../etc/passwd'}, 'x');
+    pack.finalize();
+    var out = fs.createWriteStream(file);
+    pack.pipe(zlib.createGzip()).pipe(out);
+    out.on('finish', function() {
+      env.createDataApp('star', {}, ['/var/lib/mysql'],
+      function(err, app, cid) {
+        kbox.app.importArchive(app, file, function(err) {
+          expect(err.message).to.match(/^Refusing to extract .*etc/);
+          expect(err.message).to.match(/outside of volume \/var\/lib\//);
+          kbox.engine.copyFrom(cid, '/etc/passwd', function(err) {
+            expect(err.message).to.match(/Could not find the file/);
+            done();
+          });
+        });
+      });
+    });
+  });
+
+  it('should refuse to import into an app missing volumes.',
+    function(done) {
+    var file = path.join(env.root, 'sun.tar.gz');
+    env.createDataApp('sun', {}, ['/var/lib/mysql', '/data'],
+    function(err, app) {
+      kbox.app.exportArchive(app, file, function(err) {
+        expect(err).to.equal(null);
+        env.createDataApp('moon', {}, ['/data'], function(err, target) {
+          kbox.app.importArchive(target, file, function(err) {
+            expect(err.message).to.match(/does not have volumes/);
+            expect(err.message).to.match(/\/var\/lib\/mysql/);
+            done();
+          });
+        });
+      });
+    });
+  });
+
+});
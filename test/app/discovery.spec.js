@@ -0,0 +1,155 @@
+'use strict';
+
+var async = require('async');
+var chai = require('chai');
+var expect = chai.expect;
+var fs = require('fs');
+var disco = require('../../lib/app/discovery.js');
+var kbox = require('../../lib/kbox.js');
+var mkdirp = require('mkdirp');
+var path = require('path');
+var testUtil = require('../../lib/testUtil.js');
+var _ = require('lodash');
+
+describe('discovery module', function() {
+
+  var env = null;
+
+  this.timeout(30 * 1000);
+
+  before(function(done) {
+    testUtil.memoryEngine.create(kbox, function(err, result) {
+      env = result;
+      done(err);
+    });
+  });
+
+  after(function() {
+    env.restore();
+  });
+
+  beforeEach(function() {
+    env.engine.reset();
+  });
+
+  it('should list, prune, forget and move app registry entries.',
+    function(done) {
+    var gone = path.join(env.globalConfig.appsRoot, 'gone');
+    var moved = path.join(env.globalConfig.appsRoot, 'moved');
+    var find = function(appDirs, dir) {
+      return _.find(appDirs, {dir: dir}) || null;
+    };
+    async.map(['gene', 'glen'], function(name, next) {
+      env.createApp(name, {}, next);
+    }, function(err, apps) {
+      var gene = apps[0];
+      var glen = apps[1];
+      async.eachSeries([gene.root, glen.root, gone], disco.registerAppDir,
+      function(err) {
+        expect(err || null).to.equal(null);
+        kbox.app.listAppDirs(function(err, appDirs) {
+          expect(err).to.equal(null);
+          expect(find(appDirs, gene.root).state).to.equal('ok');
+          expect(find(appDirs, glen.root).appName).to.equal('glen');
+          expect(find(appDirs, gone).state).to.equal('missing');
+          kbox.app.pruneAppDirs(function(err, dirs) {
+            expect(err).to.equal(null);
+            expect(dirs).to.contain(gone);
+            fs.mkdirSync(moved);
+            fs.writeFileSync(path.join(moved, 'kalabox.json'),
+              fs.readFileSync(path.join(gene.root, 'kalabox.json')));
+            kbox.app.moveAppDir('glen', moved, function(err) {
+              expect(err.message).to.equal(moved + ' contains app ' +
+                '[gene] instead of [glen].');
+              kbox.app.moveAppDir('gene', moved, function(err) {
+                expect(err || null).to.equal(null);
+                kbox.app.forgetAppDir(glen.root, function(err, dir) {
+                  expect(dir).to.equal(glen.root);
+                  kbox.app.forgetAppDir('glen', function(err) {
+                    expect(err.message).to.equal('[glen] is not in the ' +
+                      'app registry.');
+                    kbox.app.listAppDirs(function(err, appDirs) {
+                      expect(find(appDirs, gene.root)).to.equal(null);
+                      expect(find(appDirs, moved).appName).to.equal('gene');
+                      expect(find(appDirs, glen.root)).to.equal(null);
+                      expect(find(appDirs, gone)).to.equal(null);
+                      done();
+                    });
+                  });
+                });
+              });
+            });
+          });
+        });
+      });
+    });
+  });
+
+  it('should find apps in the scan roots and register them.',
+    function(done) {
+    var root = env.globalConfig.appsRoot;
+    var nested = path.join(root, 'group', 'nested');
+    var deep = path.join(root, 'a', 'b', 'deep');
+    var broken = path.join(root, 'broken');
+    var write = function(dir, data) {
+      mkdirp.sync(dir);
+      fs.writeFileSync(path.join(dir, 'kalabox.json'), data);
+    };
+    write(nested, JSON.stringify({appName: 'bobbie'}));
+    write(deep, JSON.stringify({appName: 'deep'}));
+    write(broken, '{');
+    disco.list(function(err, appNames) {
+      expect(err).to.equal(null);
+      expect(appNames).to.contain('bobbie');
+      expect(appNames).to.not.contain('deep');
+      expect(fs.existsSync(env.globalConfig.appScanCache)).to.equal(true);
+
+      // Changing kalabox.json invalidates the cached app name.
+      var file = path.join(nested, 'kalabox.json');
+      fs.writeFileSync(file, JSON.stringify({appName: 'bobby'}));
+      var later = new Date(Date.now() + 60000);
+      fs.utimesSync(file, later, later);
+      disco.list(function(err, appNames) {
+        expect(appNames).to.contain('bobby');
+        expect(appNames).to.not.contain('bobbie');
+        kbox.app.scanAppDirs({dryRun: true}, function(err, appDirs) {
+          expect(err).to.equal(null);
+          var appDir = _.find(appDirs, {dir: nested});
+          expect(appDir.registered).to.equal(false);
+          kbox.app.scanAppDirs(function(err, appDirs) {
+            expect(err).to.equal(null);
+            expect(_.find(appDirs, {dir: nested}).added).to.equal(true);
+            kbox.app.listAppDirs(function(err, appDirs) {
+              expect(_.find(appDirs, {dir: nested}).appName)
+                .to.equal('bobby');
+              done();
+            });
+          });
+        });
+      });
+    });
+  });
+
+  it('should skip apps with an invalid kalabox.json.', function(done) {
+    var dir = path.join(env.globalConfig.appsRoot, 'merle');
+    mkdirp.sync(dir);
+    fs.writeFileSync(path.join(dir, 'kalabox.json'), JSON.stringify({
+      appName: 'merle',
+      appComponents: 'nope'
+    }));
+    disco.registerAppDir(dir, function(err) {
+      expect(err || null).to.equal(null);
+      kbox.app.list(function(err, apps) {
+        expect(err).to.equal(null);
+        expect(_.pluck(apps, 'name')).to.not.contain('merle');
+        disco.unregisterAppDir(dir, function(err) {
+          expect(err || null).to.equal(null);
+          fs.unlinkSync(path.join(dir, 'kalabox.json'));
+          fs.rmdirSync(dir);
+          done();
+        });
+      });
+    });
+  });
+
+});
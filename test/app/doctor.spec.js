@@ -0,0 +1,102 @@
+'use strict';
+
+var async = require('async');
+var chai = require('chai');
+var expect = chai.expect;
+var fs = require('fs');
+var disco = require('../../lib/app/discovery.js');
+var kbox = require('../../lib/kbox.js');
+var testUtil = require('../../lib/testUtil.js');
+var _ = require('lodash');
+
+describe('doctor module', function() {
+
+  var env = null;
+
+  this.timeout(30 * 1000);
+
+  before(function(done) {
+    testUtil.memoryEngine.create(kbox, function(err, result) {
+      env = result;
+      done(err);
+    });
+  });
+
+  after(function() {
+    env.restore();
+  });
+
+  beforeEach(function() {
+    env.engine.reset();
+  });
+
+  it('should find and fix inconsistent containers.', function(done) {
+    env.createApp('otis', {
+      appComponents: {
+        web: {image: {name: 'kalabox/nginx:stable'}},
+        db: {image: {name: 'kalabox/mariadb:stable'}},
+        php: {image: {name: 'kalabox/php', build: true, srcRoot: 'php'}}
+      }
+    }, function(err, app) {
+      var web = app.components.web;
+      var db = app.components.db;
+      var codes = function(problems) {
+        return _.map(problems, function(problem) {
+          return problem.code + ' ' + problem.component;
+        });
+      };
+      kbox.app.install(app, function(err) {
+        expect(err).to.equal(null);
+        async.series([
+          function(next) {
+            kbox.engine.remove(web.containerId, next);
+          },
+          function(next) {
+            fs.unlinkSync(db.containerIdFile);
+            var opts = {name: 'kb_otis_old', Image: 'kalabox/nginx:stable'};
+            kbox.engine.create(opts, next);
+          },
+          function(next) {
+            disco.unregisterAppDir(app.config.appRoot, next);
+          }
+        ], function(err) {
+          expect(err || null).to.equal(null);
+          kbox.app.doctor(app, function(err, problems) {
+            expect(err).to.equal(null);
+            expect(codes(problems)).to.deep.equal([
+              'missing-dockerfile php',
+              'stale-cid web',
+              'missing-container web',
+              'missing-cid db',
+              'unknown-container null',
+              'unregistered null'
+            ]);
+            kbox.app.doctor(app, {fix: true}, function(err, problems) {
+              expect(err).to.equal(null);
+              expect(_.pluck(problems, 'fixed')).to.deep.equal([
+                undefined, true, true, true, true, true
+              ]);
+              kbox.app.doctor(app, function(err, problems) {
+                expect(codes(problems)).to.deep.equal([
+                  'missing-dockerfile php'
+                ]);
+                expect(fs.readFileSync(db.containerIdFile, 'utf8'))
+                  .to.equal(db.containerId);
+                kbox.engine.list('otis', function(err, containers) {
+                  expect(_.pluck(containers, 'name').sort()).to.deep.equal([
+                    'kb_otis_data',
+                    'kb_otis_db',
+                    'kb_otis_php',
+                    'kb_otis_web'
+                  ]);
+                  done();
+                });
+              });
+            });
+          });
+        });
+      });
+    });
+  });
+
+});
@@ -0,0 +1,112 @@
+'use strict';
+
+var chai = require('chai');
+var expect = chai.expect;
+var fs = require('fs');
+var kbox = require('../../lib/kbox.js');
+var path = require('path');
+var testUtil = require('../../lib/testUtil.js');
+
+describe('env module', function() {
+
+  var env = null;
+
+  this.timeout(30 * 1000);
+
+  before(function(done) {
+    testUtil.memoryEngine.create(kbox, function(err, result) {
+      env = result;
+      done(err);
+    });
+  });
+
+  after(function() {
+    env.restore();
+  });
+
+  beforeEach(function() {
+    env.engine.reset();
+  });
+
+  it('should merge kalabox.json and .env into container environments.',
+    function(done) {
+    env.createApp('lowell', {
+      env: {DEBUG: true, TIER: 'dev', PORT: 80},
+      appComponents: {
+        web: {
+          image: {name: 'kalabox/nginx:stable'},
+          env: {TIER: 'web'},
+          installOptions: {Env: ['PORT=8080', 'APPNAME=site']}
+        }
+      }
+    }, function(err, app) {
+      fs.writeFileSync(path.join(app.root, '.env'), [
+        '# Local settings',
+        'export DEBUG=false',
+        'SECRET="a b\\nc"  ',
+        'TOKEN=abc # not committed',
+        ''
+      ].join('\n'));
+      kbox.app.install(app, function(err) {
+        expect(err).to.equal(null);
+        var web = app.components.web;
+        kbox.engine.inspect(web.containerId, function(err, data) {
+          expect(data.Config.Env).to.deep.equal([
+            'APPDOMAIN=lowell.kbox',
+            'APPNAME=site',
+            'DEBUG=false',
+            'KALABOX=true',
+            'KBOX_CODEDIR=code',
+            'PORT=8080',
+            'SECRET=a b\nc',
+            'TIER=web',
+            'TOKEN=abc'
+          ]);
+          expect(web.installOptions).to.deep.equal({
+            Env: ['PORT=8080', 'APPNAME=site']
+          });
+          web.env.TIER = 'api';
+          kbox.app.getEnv(app, web, function(err, vars) {
+            expect(vars.TIER).to.equal('api');
+            fs.writeFileSync(path.join(app.root, '.env'), 'NOPE');
+            kbox.app.getEnv(app, web, function(err) {
+              expect(err.message).to.match(/Invalid line 1 in .*\.env/);
+              done();
+            });
+          });
+        });
+      });
+    });
+  });
+
+  it('should create components with the options listeners changed.',
+    function(done) {
+    kbox.core.events.on('pre-install-component', function(component, next) {
+      if (component.appDomain === 'sonny.kbox') {
+        component.installOptions.WorkingDir = '/srv';
+        component.installOptions.Env.push('TIER=listener');
+      }
+      next();
+    });
+    env.createApp('sonny', {
+      appComponents: {
+        web: {
+          image: {name: 'kalabox/nginx:stable'},
+          installOptions: {Env: ['PORT=8080']}
+        }
+      }
+    }, function(err, app) {
+      kbox.app.install(app, function(err) {
+        expect(err).to.equal(null);
+        var web = app.components.web;
+        kbox.engine.inspect(web.containerId, function(err, data) {
+          expect(data.Config.WorkingDir).to.equal('/srv');
+          expect(data.Config.Env).to.contain('TIER=listener');
+          expect(web.installOptions).to.deep.equal({Env: ['PORT=8080']});
+          done();
+        });
+      });
+    });
+  });
+
+});
@@ -0,0 +1,176 @@
+'use strict';
+
+var async = require('async');
+var chai = require('chai');
+var expect = chai.expect;
+var fs = require('fs');
+var kbox = require('../../lib/kbox.js');
+var mkdirp = require('mkdirp');
+var path = require('path');
+var testUtil = require('../../lib/testUtil.js');
+var _ = require('lodash');
+
+describe('gc module', function() {
+
+  var env = null;
+
+  this.timeout(30 * 1000);
+
+  before(function(done) {
+    testUtil.memoryEngine.create(kbox, function(err, result) {
+      env = result;
+      done(err);
+    });
+  });
+
+  after(function() {
+    env.restore();
+  });
+
+  beforeEach(function() {
+    env.engine.reset();
+  });
+
+  it('should collect what unregistered apps left behind.', function(done) {
+    var image = {name: 'kalabox/php', build: true, srcRoot: __dirname};
+    var summary = function(items) {
+      return _.map(items, function(item) {
+        return [item.type, item.name, item.skipped, item.removed].join(' ');
+      });
+    };
+    env.createApp('sherrill', {
+      appComponents: {
+        web: {image: {name: 'kalabox/nginx:stable'}}
+      }
+    }, function(err, app) {
+      async.series([
+        _.partial(kbox.app.install, app),
+        _.partial(kbox.engine.build, image),
+        _.partial(kbox.engine.build, image),
+        function(next) {
+          var opts = {name: 'kb_ghost_web', Image: 'kalabox/nginx:stable'};
+          kbox.engine.create(opts, function(err, container) {
+            if (err) {
+              return next(err);
+            }
+            kbox.engine.start(container.cid, {}, next);
+          });
+        },
+        function(next) {
+          var opts = {name: 'kb_ghost_data', Image: 'kalabox/nginx:stable'};
+          kbox.engine.create(opts, next);
+        }
+      ], function(err) {
+        expect(err || null).to.equal(null);
+        kbox.app.collectGarbage({dryRun: true}, function(err, items) {
+          expect(err).to.equal(null);
+          expect(summary(items)).to.deep.equal([
+            'container kb_ghost_web false ',
+            'data kb_ghost_data true ',
+            'image  false '
+          ]);
+          kbox.app.collectGarbage(function(err, items) {
+            expect(err).to.equal(null);
+            expect(summary(items)).to.deep.equal([
+              'container kb_ghost_web false true',
+              'data kb_ghost_data true ',
+              'image  false true'
+            ]);
+            kbox.app.collectGarbage({includeData: true},
+            function(err, items) {
+              expect(summary(items)).to.deep.equal([
+                'data kb_ghost_data false true'
+              ]);
+              kbox.engine.list(function(err, containers) {
+                expect(_.pluck(containers, 'name').sort()).to.deep.equal([
+                  'kb_sherrill_data',
+                  'kb_sherrill_web'
+                ]);
+                done();
+              });
+            });
+          });
+        });
+      });
+    });
+  });
+
+  it('should leave dangling images kbox did not build alone.',
+    function(done) {
+    // Built by something other than kbox, so without the kbox label.
+    var image = {name: 'other/php', build: true, srcRoot: __dirname};
+    async.series([
+      _.partial(env.engine.build, image),
+      _.partial(env.engine.build, image)
+    ], function(err) {
+      expect(err || null).to.equal(null);
+      kbox.engine.listImages(function(err, images) {
+        expect(_.filter(images, 'dangling').length).to.equal(1);
+        kbox.app.collectGarbage({dryRun: true}, function(err, items) {
+          expect(err).to.equal(null);
+          expect(items).to.deep.equal([]);
+          done();
+        });
+      });
+    });
+  });
+
+  it('should only remove the garbage it was given.', function(done) {
+    var create = function(name, next) {
+      kbox.engine.create({name: name, Image: 'kalabox/nginx:stable'}, next);
+    };
+    async.series([
+      _.partial(kbox.engine.build, {name: 'kalabox/nginx:stable'}),
+      _.partial(create, 'kb_spook_web')
+    ], function(err) {
+      expect(err || null).to.equal(null);
+      kbox.app.collectGarbage({dryRun: true}, function(err, items) {
+        expect(_.pluck(items, 'name')).to.deep.equal(['kb_spook_web']);
+        // Showed up after the garbage was displayed.
+        create('kb_spook_db', function(err) {
+          expect(err).to.equal(null);
+          kbox.app.removeGarbage(items, function(err, items) {
+            expect(err).to.equal(null);
+            expect(_.pluck(items, 'removed')).to.deep.equal([true]);
+            kbox.engine.list(function(err, containers) {
+              expect(_.pluck(containers, 'name')).to.deep.equal([
+                'kb_spook_db'
+              ]);
+              done();
+            });
+          });
+        });
+      });
+    });
+  });
+
+  it('should not collect garbage while app configs are invalid.',
+    function(done) {
+    var dir = path.join(env.globalConfig.appsRoot, 'porter');
+    mkdirp.sync(dir);
+    fs.writeFileSync(path.join(dir, 'kalabox.json'), '{');
+    var opts = {name: 'kb_porter_web', Image: 'kalabox/nginx:stable'};
+    async.series([
+      _.partial(kbox.engine.build, {name: 'kalabox/nginx:stable'}),
+      _.partial(kbox.engine.create, opts)
+    ], function(err, results) {
+      var container = results[1];
+      kbox.app.collectGarbage(function(err) {
+        expect(err.message).to.equal('Can\'t tell which apps the ' +
+          'containers belong to, fix or remove the kalabox.json in ' +
+          dir + ' first.');
+        kbox.engine.exists(container.cid, function(err, exists) {
+          expect(exists).to.equal(true);
+          fs.unlinkSync(path.join(dir, 'kalabox.json'));
+          fs.rmdirSync(dir);
+          kbox.app.collectGarbage({dryRun: true}, function(err, items) {
+            expect(err).to.equal(null);
+            expect(_.pluck(items, 'name')).to.contain('kb_porter_web');
+            kbox.engine.remove(container.cid, done);
+          });
+        });
+      });
+    });
+  });
+
+});
@@ -0,0 +1,172 @@
+'use strict';
+
+var chai = require('chai');
+var expect = chai.expect;
+var kbox = require('../../lib/kbox.js');
+var net = require('net');
+var testUtil = require('../../lib/testUtil.js');
+var _ = require('lodash');
+
+describe('healthcheck module', function() {
+
+  var env = null;
+
+  this.timeout(30 * 1000);
+
+  before(function(done) {
+    testUtil.memoryEngine.create(kbox, function(err, result) {
+      env = result;
+      done(err);
+    });
+  });
+
+  after(function() {
+    env.restore();
+  });
+
+  beforeEach(function() {
+    env.engine.reset();
+  });
+
+  it('should wait for a component to pass its healthcheck.',
+    function(done) {
+    var attempts = 0;
+    env.engine.setExecHandler(function(container, cmd) {
+      if (cmd[0] === 'mysqladmin') {
+        attempts += 1;
+        return {code: attempts < 3 ? 1 : 0};
+      }
+    });
+    env.createApp('priscilla', {
+      appComponents: {
+        db: {
+          image: {name: 'kalabox/mariadb:stable'},
+          healthcheck: {exec: ['mysqladmin', 'ping'], interval: 10}
+        }
+      }
+    }, function(err, app) {
+      kbox.app.install(app, function(err) {
+        expect(err).to.equal(null);
+        kbox.app.start(app, function(err) {
+          expect(err).to.equal(null);
+          expect(attempts).to.equal(3);
+          done();
+        });
+      });
+    });
+  });
+
+  it('should name the component that never gets healthy.', function(done) {
+    env.createApp('lisa', {
+      appComponents: {
+        db: {
+          image: {name: 'kalabox/mariadb:stable'},
+          healthcheck: {tcp: 3306, interval: 10, retries: 2}
+        }
+      }
+    }, function(err, app) {
+      kbox.app.install(app, function(err) {
+        expect(err).to.equal(null);
+        kbox.app.start(app, function(err) {
+          expect(err.message).to.equal('Component [db] is unhealthy ' +
+            'after 2 attempts: Port 3306 is not published.');
+          done();
+        });
+      });
+    });
+  });
+
+  it('should close the connection of a timed out healthcheck.',
+    function(done) {
+    env.createApp('beale', {
+      appComponents: {
+        web: {
+          image: {name: 'kalabox/nginx:stable'},
+          installOptions: {ExposedPorts: {'80/tcp': {}}},
+          healthcheck: {http: '/', timeout: 50, retries: 1}
+        }
+      }
+    }, function(err, app) {
+      kbox.app.install(app, function(err) {
+        var web = app.components.web.containerId;
+        kbox.engine.start(web, {PublishAllPorts: true}, function() {
+          kbox.engine.info(web, function(err, info) {
+            // Accept connections and never answer them.
+            var closed = false;
+            var server = net.createServer(function(socket) {
+              socket.resume();
+              socket.on('close', function() {
+                closed = true;
+              });
+            });
+            server.listen(_.parseInt(info.ports[0].split('=>')[1]),
+              '127.0.0.1', function() {
+              kbox.app.status(app, function(err, status) {
+                var byName = _.indexBy(status.components, 'name');
+                expect(byName.web.state).to.equal('unhealthy');
+                expect(byName.web.reason).to.equal('Timed out after 50ms.');
+                setTimeout(function() {
+                  expect(closed).to.equal(true);
+                  server.close(done);
+                }, 50);
+              });
+            });
+          });
+        });
+      });
+    });
+  });
+
+  it('should only wait the start delay without a healthcheck.',
+    function(done) {
+    var startDelay = env.engine.startDelay;
+    env.engine.startDelay = 500;
+    var timeStart = function(name, component, callback) {
+      env.installApp(name, {appComponents: {web: component}},
+        function(err, app) {
+        expect(err).to.equal(null);
+        var started = Date.now();
+        // Leave the data component out, it doesn't have a healthcheck.
+        kbox.app.start(app, ['web'], function(err) {
+          callback(err, Date.now() - started);
+        });
+      });
+    };
+    var image = {name: 'kalabox/nginx:stable'};
+    timeStart('etta', {image: image}, function(err, waited) {
+      expect(err).to.equal(null);
+      expect(waited).to.be.at.least(500);
+      timeStart('mavis', {
+        image: image,
+        healthcheck: {exec: ['true'], interval: 10}
+      }, function(err, waited) {
+        env.engine.startDelay = startDelay;
+        expect(err).to.equal(null);
+        expect(waited).to.be.below(500);
+        done();
+      });
+    });
+  });
+
+  it('should refuse healthchecks without attempts.', function(done) {
+    env.createApp('tutwiler', {
+      appComponents: {
+        db: {
+          image: {name: 'kalabox/mariadb:stable'},
+          healthcheck: {tcp: 3306}
+        }
+      }
+    }, function(err, app) {
+      // The config schema refuses it too, plugins can still set it.
+      app.components.db.healthcheck.retries = 0;
+      kbox.app.install(app, function(err) {
+        kbox.app.start(app, function(err) {
+          expect(err.message).to.equal('Invalid healthcheck for component ' +
+            '[db]: retries has to be at least 1.');
+          done();
+        });
+      });
+    });
+  });
+
+});
@@ -0,0 +1,111 @@
+'use strict';
+
+var async = require('async');
+var chai = require('chai');
+var expect = chai.expect;
+var fs = require('fs');
+var kbox = require('../../lib/kbox.js');
+var mkdirp = require('mkdirp');
+var os = require('os');
+var path = require('path');
+var testUtil = require('../../lib/testUtil.js');
+var _ = require('lodash');
+
+describe('history module', function() {
+
+  var env = null;
+
+  this.timeout(30 * 1000);
+
+  before(function(done) {
+    testUtil.memoryEngine.create(kbox, function(err, result) {
+      env = result;
+      done(err);
+    });
+  });
+
+  after(function() {
+    env.restore();
+  });
+
+  beforeEach(function() {
+    env.engine.reset();
+  });
+
+  it('should record the operations run on an app.', function(done) {
+    var lockFile = path.join(env.globalConfig.sysConfRoot, 'locks',
+      'colonel.lock');
+    env.createApp('colonel', {
+      appComponents: {
+        web: {image: {name: 'kalabox/nginx:stable'}}
+      }
+    }, function(err, app) {
+      async.series([
+        _.partial(kbox.app.install, app),
+        _.partial(kbox.app.start, app),
+        _.partial(kbox.app.restart, app),
+        function(next) {
+          // Failing to get the lock is recorded too.
+          mkdirp.sync(path.dirname(lockFile));
+          fs.writeFileSync(lockFile, JSON.stringify({
+            pid: process.pid,
+            host: os.hostname(),
+            operation: 'rebuild',
+            since: '2015-05-01T12:00:00.000Z'
+          }));
+          kbox.app.stop(app, function(err) {
+            fs.unlinkSync(lockFile);
+            expect(err.message).to.match(/^app busy/);
+            next();
+          });
+        },
+        function(next) {
+          kbox.app.recordOperation(app, 'drush', function(done) {
+            done(new Error('Drush failed.'));
+          }, function(err) {
+            expect(err.message).to.equal('Drush failed.');
+            next();
+          });
+        }
+      ], function(err) {
+        expect(err || null).to.equal(null);
+        kbox.app.getHistory(app, function(err, entries) {
+          expect(err).to.equal(null);
+          expect(_.pluck(entries, 'operation')).to.eql(['install', 'start',
+            'restart', 'stop', 'drush']);
+          expect(entries[2].outcome).to.equal('success');
+          expect(entries[2].error).to.equal(null);
+          expect(entries[2].version).to.equal(env.globalConfig.version);
+          expect(entries[2].user).to.equal(
+            process.env.USER || process.env.USERNAME || null);
+          expect(entries[2].duration).to.be.a('number');
+          expect(entries[3].outcome).to.equal('failure');
+          expect(entries[3].error).to.match(/^app busy: rebuild by pid/);
+          var opts = {outcome: 'failure', limit: 1};
+          kbox.app.getHistory(app, opts, function(err, entries) {
+            expect(err).to.equal(null);
+            expect(_.pluck(entries, 'operation')).to.eql(['drush']);
+            var opts = {since: new Date(Date.now() + 60000)};
+            kbox.app.getHistory(app, opts, function(err, entries) {
+              expect(entries).to.eql([]);
+              // The history follows the app when it is renamed.
+              kbox.app.rename(app, 'parker', function(err, renamed) {
+                expect(err).to.equal(null);
+                var opts = {operation: 'rename'};
+                kbox.app.getHistory(renamed, opts, function(err, entries) {
+                  expect(err).to.equal(null);
+                  expect(entries.length).to.equal(1);
+                  kbox.app.getHistory(app, function(err, entries) {
+                    expect(entries).to.eql([]);
+                    done();
+                  });
+                });
+              });
+            });
+          });
+        });
+      });
+    });
+  });
+
+});
@@ -0,0 +1,69 @@
+'use strict';
+
+var chai = require('chai');
+var expect = chai.expect;
+var fs = require('fs');
+var kbox = require('../../lib/kbox.js');
+var path = require('path');
+var testUtil = require('../../lib/testUtil.js');
+
+describe('hooks module', function() {
+
+  var env = null;
+
+  this.timeout(30 * 1000);
+
+  before(function(done) {
+    testUtil.memoryEngine.create(kbox, function(err, result) {
+      env = result;
+      done(err);
+    });
+  });
+
+  after(function() {
+    env.restore();
+  });
+
+  beforeEach(function() {
+    env.engine.reset();
+  });
+
+  it('should run the hooks declared in kalabox.json.', function(done) {
+    env.createApp('wanda', {
+      appComponents: {
+        db: {image: {name: 'kalabox/mariadb:stable'}},
+        web: {image: {name: 'kalabox/nginx:stable'}}
+      },
+      hooks: {
+        'post-start-component': [{exec: ['warm'], component: 'web'}],
+        'post-start': [
+          {run: 'echo "host $APPNAME" >> hooks.log', order: 1},
+          {exec: ['migrate'], component: 'web'},
+          {run: 'exit 2', continueOnError: true}
+        ],
+        'pre-stop': [{run: 'sleep 5', timeout: 100}]
+      }
+    }, function(err, app) {
+      var log = path.join(app.root, 'hooks.log');
+      env.engine.setExecHandler(function(container, cmd) {
+        fs.appendFileSync(log, cmd[0] + '\n');
+        return {code: 0};
+      });
+      kbox.app.install(app, function(err) {
+        expect(err).to.equal(null);
+        kbox.app.start(app, function(err) {
+          expect(err).to.equal(null);
+          expect(fs.readFileSync(log, 'utf8')).to.equal(
+            'warm\nmigrate\nhost wanda\n'
+          );
+          kbox.app.stop(app, function(err) {
+            expect(err.message).to.equal('Hook 1 of pre-stop (sleep 5) ' +
+              'timed out after 100ms.');
+            done();
+          });
+        });
+      });
+    });
+  });
+
+});
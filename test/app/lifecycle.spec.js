@@ -0,0 +1,286 @@
+'use strict';
+
+var chai = require('chai');
+var expect = chai.expect;
+var fs = require('fs');
+var kbox = require('../../lib/kbox.js');
+var testUtil = require('../../lib/testUtil.js');
+var _ = require('lodash');
+
+describe('app lifecycle', function() {
+
+  var env = null;
+
+  this.timeout(30 * 1000);
+
+  before(function(done) {
+    testUtil.memoryEngine.create(kbox, function(err, result) {
+      env = result;
+      done(err);
+    });
+  });
+
+  after(function() {
+    env.restore();
+  });
+
+  beforeEach(function() {
+    env.engine.reset();
+  });
+
+  it('should install, start, stop and uninstall an app.', function(done) {
+    env.createApp('elvis', {
+      appComponents: {
+        web: {image: {name: 'kalabox/nginx:stable'}}
+      }
+    }, function(err, app) {
+      expect(err).to.equal(null);
+      var web = app.components.web;
+      kbox.app.install(app, function(err) {
+        expect(err).to.equal(null);
+        expect(fs.readFileSync(web.containerIdFile, 'utf8'))
+          .to.equal(web.containerId);
+        kbox.app.start(app, function(err) {
+          expect(err).to.equal(null);
+          kbox.engine.info(web.containerId, function(err, info) {
+            expect(info.running).to.equal(true);
+            kbox.app.stop(app, function(err) {
+              expect(err).to.equal(null);
+              kbox.app.uninstall(app, function(err) {
+                expect(err).to.equal(null);
+                expect(fs.existsSync(web.containerIdFile)).to.equal(false);
+                kbox.engine.list('elvis', function(err, containers) {
+                  expect(containers).to.have.length(0);
+                  done();
+                });
+              });
+            });
+          });
+        });
+      });
+    });
+  });
+
+  it('should start components after the components they depend on.',
+    function(done) {
+    var started = [];
+    env.engine.setExecHandler(function(container, cmd) {
+      if (cmd[0] === 'ready') {
+        started.push(container.name);
+        return {};
+      }
+    });
+    var component = function(dependsOn) {
+      return {
+        image: {name: 'busybox'},
+        healthcheck: {exec: ['ready']},
+        dependsOn: dependsOn
+      };
+    };
+    env.createApp('graceland', {
+      appComponents: {
+        web: component(['php']),
+        php: component(['db']),
+        db: component(),
+        mail: component()
+      }
+    }, function(err, app) {
+      kbox.app.install(app, function(err) {
+        expect(err).to.equal(null);
+        kbox.app.start(app, function(err) {
+          expect(err).to.equal(null);
+          // Independent components start side by side.
+          expect(started).to.deep.equal([
+            'kb_graceland_db',
+            'kb_graceland_mail',
+            'kb_graceland_php',
+            'kb_graceland_web'
+          ]);
+          done();
+        });
+      });
+    });
+  });
+
+  it('should refuse to start components with bad dependencies.',
+    function(done) {
+    env.createApp('memphis', {
+      appComponents: {
+        web: {image: {name: 'busybox'}, dependsOn: ['db']},
+        db: {image: {name: 'busybox'}, dependsOn: ['web']}
+      }
+    }, function(err, app) {
+      kbox.app.start(app, function(err) {
+        expect(err.message).to.match(/circular dependsOn/);
+        app.components.db.dependsOn = ['cache'];
+        kbox.app.stop(app, function(err) {
+          expect(err.message).to.equal('Component [db] depends on ' +
+            'unknown component [cache].');
+          done();
+        });
+      });
+    });
+  });
+
+  it('should rebuild, stop and start only the given components.',
+    function(done) {
+    env.createApp('dewey', {
+      appComponents: {
+        db: {image: {name: 'kalabox/mariadb:stable'}},
+        web: {image: {name: 'kalabox/nginx:stable'}, dependsOn: ['db']}
+      }
+    }, function(err, app) {
+      var db = app.components.db;
+      var web = app.components.web;
+      var isRunning = function(component, callback) {
+        kbox.engine.info(component.containerId, function(err, info) {
+          callback(info.running);
+        });
+      };
+      kbox.app.install(app, function(err) {
+        expect(err).to.equal(null);
+        kbox.app.start(app, function(err) {
+          expect(err).to.equal(null);
+          var dbId = db.containerId;
+          var webId = web.containerId;
+          kbox.app.rebuild(app, ['web'], function(err) {
+            expect(err).to.equal(undefined);
+            expect(db.containerId).to.equal(dbId);
+            expect(web.containerId).to.not.equal(webId);
+            isRunning(db, function(running) {
+              expect(running).to.equal(true);
+              kbox.app.startComponent(app, 'web', function(err) {
+                expect(err).to.equal(null);
+                kbox.app.stopComponent(app, db, function(err) {
+                  expect(err).to.equal(null);
+                  isRunning(db, function(running) {
+                    expect(running).to.equal(false);
+                    kbox.app.stop(app, ['nope'], function(err) {
+                      expect(err.message).to.equal('Component [nope] ' +
+                        'does not exist.');
+                      done();
+                    });
+                  });
+                });
+              });
+            });
+          });
+        });
+      });
+    });
+  });
+
+  it('should report the status of each component.', function(done) {
+    env.createApp('vernon', {
+      appComponents: {
+        web: {
+          image: {name: 'kalabox/nginx:stable'},
+          installOptions: {ExposedPorts: {'80/tcp': {}}}
+        },
+        db: {
+          image: {name: 'kalabox/mariadb:stable'},
+          healthcheck: {exec: ['mysqladmin', 'ping'], retries: 1}
+        },
+        cache: {image: {name: 'kalabox/redis:stable'}}
+      }
+    }, function(err, app) {
+      kbox.app.status(app, function(err, status) {
+        expect(err).to.equal(null);
+        expect(status.state).to.equal('not installed');
+        kbox.app.install(app, function(err) {
+          var web = app.components.web.containerId;
+          var db = app.components.db.containerId;
+          kbox.engine.start(web, {PublishAllPorts: true}, function() {
+            kbox.engine.start(db, function() {
+              kbox.app.status(app, function(err, status) {
+                expect(err).to.equal(null);
+                expect(status.state).to.equal('partial');
+                var byName = _.indexBy(status.components, 'name');
+                expect(byName.web.state).to.equal('running');
+                expect(byName.web.containerId).to.equal(web);
+                expect(byName.web.image).to.equal('kalabox/nginx:stable');
+                expect(byName.web.uptime).to.be.at.least(0);
+                expect(byName.web.url).to.equal('http://web.vernon.kbox');
+                expect(byName.web.ports).to.deep.equal([
+                  {container: '80/tcp', host: 32768}
+                ]);
+                expect(byName.db.state).to.equal('unhealthy');
+                expect(byName.db.reason).to.match(/exited with code 127/);
+                expect(byName.cache.state).to.equal('stopped');
+                expect(byName.cache.uptime).to.equal(null);
+                done();
+              });
+            });
+          });
+        });
+      });
+    });
+  });
+
+  it('should leave the data component out of the state of the app.',
+    function(done) {
+    env.createApp('vegas', {
+      appComponents: {
+        data: {image: {name: 'data'}},
+        web: {image: {name: 'kalabox/nginx:stable'}}
+      }
+    }, function(err, app) {
+      kbox.app.install(app, function(err) {
+        expect(err).to.equal(null);
+        kbox.app.start(app, function(err) {
+          expect(err).to.equal(null);
+          // A data component from kalabox.json isn't set up like the other
+          // components, so it has no name.
+          app.components.data = {image: {name: 'data'}};
+          kbox.app.status(app, function(err, status) {
+            expect(err).to.equal(null);
+            expect(status.state).to.equal('running');
+            expect(_.pluck(status.components, 'name')).to.deep.equal([
+              'data',
+              'web'
+            ]);
+            done();
+          });
+        });
+      });
+    });
+  });
+
+  it('should remove what a failed install created.', function(done) {
+    env.createApp('tammy', {
+      appComponents: {
+        web: {image: {name: 'kalabox/nginx:stable'}},
+        db: {image: {name: 'kalabox/mariadb:stable'}, dependsOn: ['web']}
+      },
+      hooks: {
+        'post-install-component': [{run: 'exit 1', component: 'db'}]
+      }
+    }, function(err, app) {
+      var getAppDirs = function() {
+        return JSON.parse(fs.readFileSync(env.globalConfig.appRegistry))
+          .appDirs;
+      };
+      kbox.app.install(app, function(err) {
+        expect(err.message).to.match(/Hook 1 of post-install-component/);
+        expect(fs.readdirSync(app.config.appCidsRoot)).to.have.length(0);
+        expect(getAppDirs()).to.not.contain(app.config.appRoot);
+        kbox.engine.list('tammy', function(err, containers) {
+          expect(containers).to.have.length(0);
+          kbox.app.install(app, null, {keepPartial: true}, function(err) {
+            expect(err.message).to.match(/exited with code 1/);
+            expect(getAppDirs()).to.contain(app.config.appRoot);
+            kbox.engine.list('tammy', function(err, containers) {
+              expect(_.pluck(containers, 'name').sort()).to.deep.equal([
+                'kb_tammy_data',
+                'kb_tammy_db',
+                'kb_tammy_web'
+              ]);
+              done();
+            });
+          });
+        });
+      });
+    });
+  });
+
+});
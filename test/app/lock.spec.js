@@ -0,0 +1,148 @@
+'use strict';
+
+var chai = require('chai');
+var expect = chai.expect;
+var fs = require('fs');
+var kbox = require('../../lib/kbox.js');
+var mkdirp = require('mkdirp');
+var os = require('os');
+var path = require('path');
+var testUtil = require('../../lib/testUtil.js');
+
+describe('lock module', function() {
+
+  var env = null;
+
+  this.timeout(30 * 1000);
+
+  before(function(done) {
+    testUtil.memoryEngine.create(kbox, function(err, result) {
+      env = result;
+      done(err);
+    });
+  });
+
+  after(function() {
+    env.restore();
+  });
+
+  beforeEach(function() {
+    env.engine.reset();
+  });
+
+  it('should refuse to run operations on a busy app.', function(done) {
+    var lockFile = path.join(env.globalConfig.sysConfRoot, 'locks',
+      'ricky.lock');
+    var writeLock = function(pid) {
+      mkdirp.sync(path.dirname(lockFile));
+      fs.writeFileSync(lockFile, JSON.stringify({
+        pid: pid,
+        host: os.hostname(),
+        operation: 'rebuild',
+        since: '2015-05-01T12:00:00.000Z'
+      }));
+    };
+    env.createApp('ricky', {
+      appComponents: {
+        web: {image: {name: 'kalabox/nginx:stable'}}
+      }
+    }, function(err, app) {
+      // This process is alive but doesn't hold the lock, like another kbox.
+      writeLock(process.pid);
+      kbox.app.install(app, function(err) {
+        expect(err.message).to.equal('app busy: rebuild by pid ' +
+          process.pid + ' since 2015-05-01T12:00:00.000Z');
+        process.env.KALABOX_WAIT = 'true';
+        setTimeout(function() {
+          fs.unlinkSync(lockFile);
+        }, 100);
+        kbox.app.install(app, function(err) {
+          delete process.env.KALABOX_WAIT;
+          expect(err).to.equal(null);
+          expect(fs.existsSync(lockFile)).to.equal(false);
+          // Locks of processes that are gone are taken over.
+          writeLock(999999);
+          kbox.app.start(app, function(err) {
+            expect(err).to.equal(null);
+            expect(fs.existsSync(lockFile)).to.equal(false);
+            done();
+          });
+        });
+      });
+    });
+  });
+
+  it('should not take over a lock another process just took over.',
+    function(done) {
+    var lockFile = path.join(env.globalConfig.sysConfRoot, 'locks',
+      'rusty.lock');
+    var writeLock = function(pid, since) {
+      mkdirp.sync(path.dirname(lockFile));
+      fs.writeFileSync(lockFile, JSON.stringify({
+        pid: pid,
+        host: os.hostname(),
+        operation: 'rebuild',
+        since: since
+      }));
+    };
+    env.createApp('rusty', {
+      appComponents: {
+        web: {image: {name: 'kalabox/nginx:stable'}}
+      }
+    }, function(err, app) {
+      writeLock(999999, '2015-05-01T12:00:00.000Z');
+      // Another process takes over the stale lock right after it was read.
+      var renameSync = fs.renameSync;
+      fs.renameSync = function(src) {
+        fs.renameSync = renameSync;
+        if (src === lockFile) {
+          writeLock(process.pid, '2015-05-02T12:00:00.000Z');
+        }
+        return renameSync.apply(fs, arguments);
+      };
+      kbox.app.start(app, function(err) {
+        fs.renameSync = renameSync;
+        expect(err.message).to.equal('app busy: rebuild by pid ' +
+          process.pid + ' since 2015-05-02T12:00:00.000Z');
+        expect(fs.existsSync(lockFile)).to.equal(true);
+        fs.unlinkSync(lockFile);
+        done();
+      });
+    });
+  });
+
+  it('should refuse to rename or clone an app to a busy name.',
+    function(done) {
+    var lockFile = path.join(env.globalConfig.sysConfRoot, 'locks',
+      'jerry.lock');
+    mkdirp.sync(path.dirname(lockFile));
+    fs.writeFileSync(lockFile, JSON.stringify({
+      pid: process.pid,
+      host: os.hostname(),
+      operation: 'install',
+      since: '2015-05-01T12:00:00.000Z'
+    }));
+    var busy = 'app busy: install by pid ' + process.pid +
+      ' since 2015-05-01T12:00:00.000Z';
+    env.createApp('lee', {}, function(err, app) {
+      var dest = path.join(path.dirname(app.root), 'jerry');
+      kbox.app.clone(app, 'jerry', function(err) {
+        expect(err.message).to.equal(busy);
+        expect(fs.existsSync(dest)).to.equal(false);
+        kbox.app.rename(app, 'jerry', function(err) {
+          expect(err.message).to.equal(busy);
+          expect(fs.existsSync(app.root)).to.equal(true);
+          fs.unlinkSync(lockFile);
+          kbox.app.rename(app, 'jerry', function(err, renamed) {
+            expect(err).to.equal(null);
+            expect(renamed.root).to.equal(dest);
+            // Both names are released again.
+            expect(fs.readdirSync(path.dirname(lockFile))).to.deep.equal([]);
+            done();
+          });
+        });
+      });
+    });
+  });
+
+});
@@ -0,0 +1,241 @@
+'use strict';
+
+var chai = require('chai');
+var expect = chai.expect;
+var fs = require('fs');
+var kbox = require('../../lib/kbox.js');
+var path = require('path');
+var testUtil = require('../../lib/testUtil.js');
+var _ = require('lodash');
+
+describe('app clone and rename', function() {
+
+  var env = null;
+
+  this.timeout(30 * 1000);
+
+  before(function(done) {
+    testUtil.memoryEngine.create(kbox, function(err, result) {
+      env = result;
+      done(err);
+    });
+  });
+
+  after(function() {
+    env.restore();
+  });
+
+  beforeEach(function() {
+    env.engine.reset();
+  });
+
+  it('should clone an app and its data under a new name.', function(done) {
+    var src = path.join(env.root, 'uploads');
+    fs.mkdirSync(src);
+    fs.writeFileSync(path.join(src, 'cat.jpg'), 'meow');
+    env.createDataApp('jesse', {}, ['/files'], function(err, app, cid) {
+      fs.writeFileSync(path.join(app.root, 'package.json'),
+        JSON.stringify({name: 'jesse', version: '0.1.0'}));
+      fs.writeFileSync(path.join(app.config.appCidsRoot, 'web'), 'stale');
+      var stream = kbox.util.tar.pack(src, 'files');
+      kbox.engine.copyTo(cid, '/', stream, function() {
+        kbox.app.clone(app, 'jesse-2', function(err, clone) {
+          expect(err).to.equal(null);
+          expect(clone.name).to.equal('jesse-2');
+          expect(clone.root).to.equal(path.join(path.dirname(app.root),
+            'jesse-2'));
+          var pkg = JSON.parse(fs.readFileSync(path.join(clone.root,
+            'package.json')));
+          expect(pkg.name).to.equal('jesse-2');
+          expect(pkg.version).to.equal('0.1.0');
+          expect(clone.config.appName).to.equal('jesse-2');
+          var cidsRoot = clone.config.appCidsRoot;
+          expect(fs.readdirSync(cidsRoot)).to.deep.equal(['data']);
+          kbox.engine.copyFrom('kb_jesse-2_data', '/files/cat.jpg',
+          function(err) {
+            expect(err).to.equal(null);
+            kbox.app.list(function(err, apps) {
+              expect(_.pluck(apps, 'name')).to.contain('jesse-2');
+              kbox.app.clone(app, 'jesse-2', function(err) {
+                expect(err.message).to.match(/already exists/);
+                done();
+              });
+            });
+          });
+        });
+      });
+    });
+  });
+
+  it('should load the plugins of a clone it installs.', function(done) {
+    env.createApp('kenny', {
+      appComponents: {web: {image: {name: 'kalabox/nginx:stable'}}},
+      appPlugins: ['kenny-plugin']
+    }, function(err, app) {
+      var dir = path.join(app.root, 'plugins', 'kenny-plugin');
+      fs.mkdirSync(path.dirname(dir));
+      fs.mkdirSync(dir);
+      fs.writeFileSync(path.join(dir, 'index.js'), [
+        'module.exports = function(kbox) {',
+        '  kbox.core.events.on(\'pre-install\', function(app, done) {',
+        '    app.installedBy = \'kenny-plugin\';',
+        '    done();',
+        '  });',
+        '};'
+      ].join('\n'));
+      kbox.app.clone(app, 'kenny-2', {install: true}, function(err, clone) {
+        expect(err).to.equal(null);
+        expect(clone.installedBy).to.equal('kenny-plugin');
+        done();
+      });
+    });
+  });
+
+  it('should undo a clone that fails.', function(done) {
+    env.createDataApp('dolly', {
+      appComponents: {web: {image: {name: 'kalabox/nginx:stable'}}},
+      hooks: {
+        'pre-start': [{run: 'test "$APPNAME" != parton'}]
+      }
+    }, ['/files'], function(err, app) {
+      var dest = path.join(path.dirname(app.root), 'parton');
+      kbox.app.clone(app, 'parton', {start: true}, function(err) {
+        expect(err.message).to.match(/Hook 1 of pre-start/);
+        expect(fs.existsSync(dest)).to.equal(false);
+        kbox.engine.list(null, function(err, containers) {
+          var names = _.pluck(containers, 'name');
+          expect(names).to.contain('kb_dolly_data');
+          expect(names).not.to.contain('kb_parton_web');
+          expect(names).not.to.contain('kb_parton_data');
+          kbox.app.list(function(err, apps) {
+            expect(_.pluck(apps, 'name')).not.to.contain('parton');
+            done();
+          });
+        });
+      });
+    });
+  });
+
+  it('should rename an app, its containers and its data.', function(done) {
+    var src = path.join(env.root, 'db');
+    fs.mkdirSync(src);
+    fs.writeFileSync(path.join(src, 'ibdata1'), 'rows');
+    var json = {
+      appComponents: {web: {image: {name: 'kalabox/nginx:stable'}}}
+    };
+    env.createDataApp('gladys', json, ['/var/lib/mysql'],
+    function(err, app, cid) {
+      var stream = kbox.util.tar.pack(src, 'mysql');
+      kbox.engine.copyTo(cid, '/var/lib', stream, function() {
+        kbox.app.install(app, function(err) {
+          expect(err).to.equal(null);
+          kbox.app.start(app, function(err) {
+            expect(err).to.equal(null);
+            kbox.app.rename(app, 'minnie', function(err, renamed) {
+              expect(err).to.equal(null);
+              expect(renamed.root).to.equal(path.join(
+                path.dirname(app.root), 'minnie'));
+              expect(fs.existsSync(app.root)).to.equal(false);
+              expect(renamed.config.appName).to.equal('minnie');
+              kbox.app.status(renamed, function(err, status) {
+                expect(status.state).to.equal('running');
+                kbox.engine.list(null, function(err, containers) {
+                  var names = _.pluck(containers, 'name');
+                  expect(names).to.contain('kb_minnie_web');
+                  expect(names).to.contain('kb_minnie_data');
+                  expect(names).not.to.contain('kb_gladys_web');
+                  expect(names).not.to.contain('kb_gladys_data');
+                  kbox.engine.copyFrom('kb_minnie_data',
+                    '/var/lib/mysql/ibdata1', function(err) {
+                    expect(err).to.equal(null);
+                    kbox.app.list(function(err, apps) {
+                      var names = _.pluck(apps, 'name');
+                      expect(names).to.contain('minnie');
+                      expect(names).not.to.contain('gladys');
+                      done();
+                    });
+                  });
+                });
+              });
+            });
+          });
+        });
+      });
+    });
+  });
+
+  it('should keep the data container of an installed app when renaming it.',
+    function(done) {
+    env.createApp('hank', {
+      appComponents: {
+        web: {image: {name: 'kalabox/nginx:stable'}}
+      }
+    }, function(err, app) {
+      // Installing adds the data component to the app.
+      kbox.app.install(app, function(err) {
+        expect(err).to.equal(null);
+        expect(app.components.data).to.be.an('object');
+        var cid = fs.readFileSync(app.components.data.containerIdFile,
+          'utf8');
+        kbox.app.rename(app, 'cash', function(err, renamed) {
+          expect(err).to.equal(null);
+          kbox.engine.list(null, function(err, containers) {
+            var names = _.pluck(containers, 'name');
+            expect(names).to.contain('kb_cash_web');
+            expect(names).to.contain('kb_cash_data');
+            expect(names).not.to.contain('kb_hank_data');
+            var data = _.find(containers, {name: 'kb_cash_data'});
+            expect(data.id).to.not.equal(cid);
+            var cidFile = path.join(renamed.config.appCidsRoot, 'data');
+            expect(fs.readFileSync(cidFile, 'utf8')).to.equal(data.id);
+            done();
+          });
+        });
+      });
+    });
+  });
+
+  it('should undo a rename that fails.', function(done) {
+    env.createApp('waylon', {
+      appComponents: {
+        web: {image: {name: 'kalabox/nginx:stable'}}
+      },
+      hooks: {
+        'pre-start': [{run: 'test "$APPNAME" != jennings'}]
+      }
+    }, function(err, app) {
+      var kbFile = path.join(app.root, 'kalabox.json');
+      kbox.app.install(app, function(err) {
+        expect(err).to.equal(null);
+        kbox.app.start(app, function(err) {
+          expect(err).to.equal(null);
+          kbox.app.rename(app, 'jennings', function(err) {
+            expect(err.message).to.match(/Hook 1 of pre-start/);
+            expect(fs.existsSync(app.root)).to.equal(true);
+            expect(fs.existsSync(path.join(path.dirname(app.root),
+              'jennings'))).to.equal(false);
+            expect(JSON.parse(fs.readFileSync(kbFile, 'utf8')).appName)
+              .to.equal('waylon');
+            kbox.app.status(app, function(err, status) {
+              expect(status.state).to.equal('running');
+              kbox.engine.list(null, function(err, containers) {
+                var names = _.pluck(containers, 'name');
+                expect(names).to.contain('kb_waylon_web');
+                expect(names).to.contain('kb_waylon_data');
+                expect(names).not.to.contain('kb_jennings_web');
+                expect(names).not.to.contain('kb_jennings_data');
+                kbox.app.list(function(err, apps) {
+                  var names = _.pluck(apps, 'name');
+                  expect(names).to.contain('waylon');
+                  expect(names).not.to.contain('jennings');
+                  done();
+                });
+              });
+            });
+          });
+        });
+      });
+    });
+  });
+
+});
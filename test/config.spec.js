@@ -1,14 +1,50 @@
 'use strict';
 
+var fs = require('fs-extra');
+var os = require('os');
+var path = require('path');
 var kbox = require('../lib/kbox.js');
 var core = kbox.core;
 var chai = require('chai');
 var expect = chai.expect;
 var assert = chai.assert;
 var testUtil = require('../lib/testUtil.js');
+var _ = require('lodash');
 
 describe('config module', function() {
 
+  // App roots created by the tests, removed when they are done.
+  var appRoots = [];
+
+  /*
+   * Create an app root with a kalabox.json and a kalabox.ci.json overlay.
+   */
+  var createAppRoot = function(name) {
+    var appRoot = path.join(os.tmpdir(), 'kbox-config-' + name + '-' +
+      process.pid);
+    if (!fs.existsSync(appRoot)) {
+      fs.mkdirSync(appRoot);
+      appRoots.push(appRoot);
+    }
+    fs.writeFileSync(path.join(appRoot, 'kalabox.json'), JSON.stringify({
+      appName: name,
+      appPlugins: ['a'],
+      shareIgnores: ['x', 'y'],
+      appComponents: {
+        web: {
+          image: {name: 'kalabox/nginx:stable'},
+          env: {A: '1', B: '2'}
+        }
+      }
+    }));
+    fs.writeFileSync(path.join(appRoot, 'kalabox.ci.json'), JSON.stringify({
+      appPlugins: {$append: ['b']},
+      shareIgnores: ['z'],
+      appComponents: {web: {env: {B: '3'}}}
+    }));
+    return appRoot;
+  };
+
   before(function() {
     var globalConfig = core.config.getGlobalConfig();
     core.deps.register('globalConfig', globalConfig);
@@ -16,6 +52,12 @@ describe('config module', function() {
     core.log.init({consoleOnly:true});
   });
 
+  after(function() {
+    _.each(appRoots, function(appRoot) {
+      fs.removeSync(appRoot);
+    });
+  });
+
   describe('#normalizeValue()', function() {
     it('should normalize values correctly.', function() {
       var config = {
@@ -98,6 +140,96 @@ describe('config module', function() {
     });
   });
 
+  describe('#validateAppConfig()', function() {
+
+    it('should report problems with their path and a fix.', function() {
+      var problems = core.config.validateAppConfig({
+        appName: 'myapp',
+        appComponent: {},
+        appComponents: {
+          web: {image: {}},
+          db: {image: {name: 'kalabox/mariadb'}, dependsOn: 'web'},
+          'php.fpm': {}
+        },
+        componentConcurrency: 0
+      });
+      expect(problems).to.deep.equal([
+        {
+          level: 'warning',
+          path: 'appComponent',
+          message: 'Unknown key.',
+          fix: 'Did you mean "appComponents"?'
+        },
+        {
+          level: 'error',
+          path: 'appComponents.web.image.name',
+          message: 'Required key is missing.',
+          fix: 'Add "name": "kalabox/nginx:stable" to ' +
+            'appComponents.web.image.'
+        },
+        {
+          level: 'error',
+          path: 'appComponents.db.dependsOn',
+          message: 'Expected array but found string.',
+          fix: 'Change it to an array.'
+        },
+        {
+          level: 'error',
+          path: 'appComponents["php.fpm"].image',
+          message: 'Required key is missing.',
+          fix: 'Add "image": {"name":"kalabox/nginx:stable"} to ' +
+            'appComponents["php.fpm"].'
+        },
+        {
+          level: 'error',
+          path: 'componentConcurrency',
+          message: 'Has to be at least 1.',
+          fix: 'Change it to an integer, ex. 3.'
+        }
+      ]);
+    });
+
+    it('should refuse configs for a newer schema version.', function() {
+      var problems = core.config.validateAppConfig({
+        appName: 'myapp',
+        configVersion: core.config.SCHEMA_VERSION + 1
+      });
+      expect(problems).to.have.length(1);
+      expect(problems[0].path).to.equal('configVersion');
+      expect(problems[0].fix).to.equal('Update kbox.');
+    });
+
+    it('should validate pluginConf keys of registered plugins.', function() {
+      core.config.registerPluginConfSchema('kalabox-plugin-test', {
+        type: 'object',
+        required: ['dbName'],
+        properties: {dbName: {type: 'string', example: 'drupal'}}
+      });
+      var problems = core.config.validateAppConfig({
+        appName: 'myapp',
+        pluginConf: {
+          'kalabox-plugin-test': {dbname: 'drupal'},
+          'kalabox-plugin-other': {anything: true}
+        }
+      });
+      expect(problems).to.deep.equal([
+        {
+          level: 'error',
+          path: 'pluginConf.kalabox-plugin-test.dbName',
+          message: 'Required key is missing.',
+          fix: 'Add "dbName": "drupal" to pluginConf.kalabox-plugin-test.'
+        },
+        {
+          level: 'warning',
+          path: 'pluginConf.kalabox-plugin-test.dbname',
+          message: 'Unknown key.',
+          fix: 'Did you mean "dbName"?'
+        }
+      ]);
+    });
+
+  });
+
   describe('#getGlobalConfig()', function() {
     it('should return an expected global config object.', function() {
       var mockFs = testUtil.mockFs.create();
@@ -122,6 +254,88 @@ describe('config module', function() {
       expect(appConfig).to.have.property('someSetting2', '5.34');
       mockFs.restore();
     });
+
+    it('should deep merge the overlay of the config profile.', function() {
+      var appRoot = createAppRoot('overlay1');
+      var appConfig = core.config.getAppConfig('overlay1', appRoot);
+      expect(appConfig.appPlugins).to.deep.equal(['a']);
+      process.env.KALABOX_CONFIG_PROFILE = 'ci';
+      try {
+        appConfig = core.config.getAppConfig('overlay1', appRoot);
+      } finally {
+        delete process.env.KALABOX_CONFIG_PROFILE;
+      }
+      expect(appConfig.appPlugins).to.deep.equal(['a', 'b']);
+      expect(appConfig.shareIgnores).to.deep.equal(['z']);
+      expect(appConfig.appComponents.web).to.deep.equal({
+        image: {name: 'kalabox/nginx:stable'},
+        env: {A: '1', B: '3'}
+      });
+      expect(appConfig.configSources).to.contain(
+        path.join(appRoot, 'kalabox.ci.json')
+      );
+    });
+
+    it('should ignore config profiles without an overlay.', function() {
+      var appRoot = createAppRoot('overlay2');
+      process.env.KALABOX_CONFIG_PROFILE = 'prod';
+      try {
+        var appConfig = core.config.getAppConfig('overlay2', appRoot);
+        expect(appConfig.appPlugins).to.deep.equal(['a']);
+      } finally {
+        delete process.env.KALABOX_CONFIG_PROFILE;
+      }
+    });
+  });
+
+  describe('#readAppConfigFiles()', function() {
+    it('should read kalabox.json merged with the overlay.', function() {
+      var appRoot = createAppRoot('overlay4');
+      fs.writeFileSync(path.join(appRoot, 'kalabox.ci.json'), JSON.stringify({
+        appComponents: {web: {dependsOn: 'db'}}
+      }));
+      var result = core.config.readAppConfigFiles(appRoot);
+      expect(result.files).to.deep.equal([path.join(appRoot, 'kalabox.json')]);
+      expect(core.config.validateAppConfig(result.json)).to.deep.equal([]);
+      process.env.KALABOX_CONFIG_PROFILE = 'ci';
+      try {
+        result = core.config.readAppConfigFiles(appRoot);
+      } finally {
+        delete process.env.KALABOX_CONFIG_PROFILE;
+      }
+      expect(result.files).to.deep.equal([
+        path.join(appRoot, 'kalabox.json'),
+        path.join(appRoot, 'kalabox.ci.json')
+      ]);
+      expect(result.json).to.not.have.property('appRoot');
+      var problems = core.config.validateAppConfig(result.json);
+      expect(_.pluck(problems, 'path')).to.deep.equal([
+        'appComponents.web.dependsOn'
+      ]);
+    });
+  });
+
+  describe('#getConfigSources()', function() {
+    it('should return the file each value comes from.', function() {
+      var appRoot = createAppRoot('overlay3');
+      process.env.KALABOX_CONFIG_PROFILE = 'ci';
+      var appConfig;
+      try {
+        appConfig = core.config.getAppConfig('overlay3', appRoot);
+      } finally {
+        delete process.env.KALABOX_CONFIG_PROFILE;
+      }
+      var sources = _.indexBy(core.config.getConfigSources(appConfig), 'path');
+      var overlay = path.join(appRoot, 'kalabox.ci.json');
+      var base = path.join(appRoot, 'kalabox.json');
+      expect(sources['appComponents.web.env.A'].source).to.equal(base);
+      expect(sources['appComponents.web.env.B'].source).to.equal(overlay);
+      expect(sources['appComponents.web.env.B'].value).to.equal('3');
+      expect(sources.appPlugins.source).to.equal(overlay);
+      expect(sources.home.source).to.equal('ENV_CONFIG');
+      expect(sources.codeDir.source).to.equal('DEFAULT_GLOBAL_CONFIG');
+      expect(sources).to.not.have.property('configSources');
+    });
   });
 
 });
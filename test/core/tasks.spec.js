@@ -114,6 +114,46 @@ describe('CLI Task Module', function() {
 
   });
 
+  describe('default tasks', function() {
+
+    before(function() {
+
+      m.registerTask(function(task) {
+        task.path = ['e'];
+        task.description = 'e';
+        task.func = function() {
+          return task.description;
+        };
+      });
+
+      m.registerTask(function(task) {
+        task.path = ['e', 'f'];
+        task.description = 'ef';
+        task.func = function() {
+          return task.description;
+        };
+      });
+
+    });
+
+    it('should run a branch\'s task when no subtask is given.', function() {
+
+      var root = m.getTaskTree();
+      var e = m.find(root, {payload: ['e'], options: {}, rawOptions: []});
+      expect(e.__isTask).to.equal(true);
+      expect(e.func()).to.equal('e');
+
+      var g = m.find(root, {payload: ['e', 'g'], options: {}, rawOptions: []});
+      expect(g.func()).to.equal('e');
+      expect(g.argv.payload).to.deep.equal(['g']);
+
+      var f = m.find(root, {payload: ['e', 'f'], options: {}, rawOptions: []});
+      expect(f.func()).to.equal('ef');
+
+    });
+
+  });
+
   describe.skip('#getMenu()', function() {
 
     it('should return a string menu.', function() {
@@ -0,0 +1,372 @@
+'use strict';
+
+var chai = require('chai');
+var expect = chai.expect;
+var fs = require('fs');
+var kbox = require('../../lib/kbox.js');
+var path = require('path');
+var PassThrough = require('stream').PassThrough;
+var testUtil = require('../../lib/testUtil.js');
+var _ = require('lodash');
+
+describe('memory engine', function() {
+
+  var env = null;
+
+  before(function(done) {
+    testUtil.memoryEngine.create(kbox, function(err, result) {
+      env = result;
+      done(err);
+    });
+  });
+
+  after(function() {
+    env.restore();
+  });
+
+  beforeEach(function() {
+    env.engine.reset();
+  });
+
+  describe('#create()', function() {
+
+    it('should refuse to create a container from a missing image.',
+      function(done) {
+      kbox.engine.create({Image: 'nope'}, function(err) {
+        expect(err.message).to.equal('No such image: nope');
+        done();
+      });
+    });
+
+    it('should refuse to create two containers with the same name.',
+      function(done) {
+      var opts = {name: 'kb_elvis_web', Image: 'busybox'};
+      kbox.engine.build({name: 'busybox'}, function(err) {
+        expect(err).to.equal(null);
+        kbox.engine.create(opts, function(err, container) {
+          expect(err).to.equal(null);
+          expect(container.cid).to.have.length(64);
+          kbox.engine.create(opts, function(err) {
+            expect(err.message).to.match(/is already in use/);
+            done();
+          });
+        });
+      });
+    });
+
+  });
+
+  describe('#list()', function() {
+
+    it('should only list kalabox containers for the given app.',
+      function(done) {
+      kbox.engine.build({name: 'busybox'}, function() {
+        kbox.engine.create({name: 'kb_elvis_web', Image: 'busybox'},
+        function() {
+          kbox.engine.create({name: 'kb_priscilla_web', Image: 'busybox'},
+          function() {
+            kbox.engine.create({name: 'other', Image: 'busybox'}, function() {
+              kbox.engine.list('elvis', function(err, containers) {
+                expect(err).to.equal(null);
+                expect(containers).to.have.length(1);
+                expect(containers[0].name).to.equal('kb_elvis_web');
+                expect(containers[0].app).to.equal('elvis');
+                kbox.engine.list(function(err, containers) {
+                  expect(containers).to.have.length(2);
+                  done();
+                });
+              });
+            });
+          });
+        });
+      });
+    });
+
+  });
+
+  describe('#start()', function() {
+
+    this.timeout(10 * 1000);
+
+    it('should walk a container through its states.', function(done) {
+      var opts = {
+        name: 'kb_elvis_web',
+        Image: 'busybox',
+        ExposedPorts: {'80/tcp': {}}
+      };
+      kbox.engine.build({name: 'busybox'}, function() {
+        kbox.engine.create(opts, function(err, container) {
+          var cid = container.cid;
+          kbox.engine.start(cid, {PublishAllPorts: true}, function(err) {
+            expect(err).to.equal(null);
+            kbox.engine.info(cid, function(err, info) {
+              expect(info.running).to.equal(true);
+              expect(info.ports).to.deep.equal(['80/tcp=>32768']);
+              kbox.engine.remove(cid, function(err) {
+                expect(err.message).to.match(/cannot remove a running/);
+                kbox.engine.stop(cid, function(err) {
+                  expect(err).to.equal(null);
+                  kbox.engine.remove(cid, function(err) {
+                    expect(err).to.equal(null);
+                    kbox.engine.exists(cid, function(err, exists) {
+                      expect(exists).to.equal(false);
+                      done();
+                    });
+                  });
+                });
+              });
+            });
+          });
+        });
+      });
+    });
+
+  });
+
+  describe('#queryData()', function() {
+
+    this.timeout(10 * 1000);
+
+    it('should fake command output.', function(done) {
+      env.engine.setExecHandler(function(container, cmd) {
+        if (cmd[0] === 'whoami') {
+          return {stdout: 'elvis'};
+        }
+      });
+      kbox.engine.build({name: 'busybox'}, function() {
+        kbox.engine.create({Image: 'busybox'}, function(err, container) {
+          kbox.engine.queryData(container.cid, ['whoami'], function(err) {
+            expect(err.message).to.match(/is not running/);
+            kbox.engine.start(container.cid, function() {
+              kbox.engine.queryData(container.cid, ['whoami'],
+              function(err, data) {
+                expect(data).to.equal('elvis');
+                kbox.engine.queryData(container.cid, ['echo', 'a', 'b'],
+                function(err, data) {
+                  expect(data).to.equal('a b\n');
+                  done();
+                });
+              });
+            });
+          });
+        });
+      });
+    });
+
+  });
+
+  describe('#execInteractive()', function() {
+
+    this.timeout(10 * 1000);
+
+    it('should forward stdin and terminal resizes.', function(done) {
+      var stdin = new PassThrough();
+      var stdout = new PassThrough();
+      stdout.rows = 24;
+      stdout.columns = 80;
+      var output = '';
+      stdout.on('data', function(data) {
+        output += data.toString();
+      });
+      env.engine.setExecHandler(function(container, cmd, opts) {
+        if (cmd[0] === 'mysql') {
+          return {
+            stdout: [opts.user, opts.workingDir, opts.size.columns,
+              opts.input].join(' ')
+          };
+        }
+      });
+      kbox.engine.build({name: 'busybox'}, function() {
+        kbox.engine.create({Image: 'busybox'}, function(err, container) {
+          kbox.engine.start(container.cid, function() {
+            var opts = {
+              user: 'elvis',
+              workingDir: '/code',
+              tty: true,
+              stdin: stdin,
+              stdout: stdout,
+              stderr: stdout
+            };
+            kbox.engine.execInteractive(container.cid, ['mysql'], opts,
+            function(err, code) {
+              expect(err).to.equal(null);
+              expect(code).to.equal(0);
+              expect(output).to.equal('elvis /code 120 show tables;');
+              done();
+            });
+            process.nextTick(function() {
+              stdout.columns = 120;
+              stdout.emit('resize');
+              stdin.end('show tables;');
+            });
+          });
+        });
+      });
+    });
+
+  });
+
+  describe('#copyTo()', function() {
+
+    it('should copy a directory into a container and back out.',
+      function(done) {
+      var src = path.join(env.root, 'site');
+      fs.mkdirSync(src);
+      fs.mkdirSync(path.join(src, 'sub'));
+      fs.writeFileSync(path.join(src, 'sub', 'index.php'), '<?php');
+      var dest = path.join(env.root, 'copy');
+      kbox.engine.build({name: 'busybox'}, function() {
+        kbox.engine.create({Image: 'busybox'}, function(err, container) {
+          var stream = kbox.util.tar.pack(src, 'www');
+          kbox.engine.copyTo(container.cid, '/code', stream, function(err) {
+            expect(err).to.equal(null);
+            kbox.engine.copyFrom(container.cid, '/code/www/sub',
+            function(err, stream) {
+              expect(err).to.equal(null);
+              kbox.util.tar.extract(stream, env.root, {root: 'copy'},
+              function(err) {
+                expect(err).to.equal(null);
+                expect(fs.readFileSync(path.join(dest, 'index.php'), 'utf8'))
+                  .to.equal('<?php');
+                kbox.engine.copyFrom(container.cid, '/nope', function(err) {
+                  expect(err.message).to.match(/Could not find the file/);
+                  done();
+                });
+              });
+            });
+          });
+        });
+      });
+    });
+
+  });
+
+  describe('#logs()', function() {
+
+    this.timeout(10 * 1000);
+
+    var cid = null;
+
+    var consume = function(stream, callback) {
+      var data = '';
+      stream.on('data', function(chunk) {
+        data += chunk.toString();
+      });
+      stream.on('end', function() {
+        callback(data);
+      });
+    };
+
+    beforeEach(function(done) {
+      kbox.engine.build({name: 'busybox'}, function() {
+        kbox.engine.create({Image: 'busybox'}, function(err, container) {
+          cid = container.cid;
+          kbox.engine.start(cid, function(err) {
+            env.engine.writeLog(cid, 'one');
+            env.engine.writeLog(cid, 'two');
+            env.engine.writeLog(cid, 'three');
+            done(err);
+          });
+        });
+      });
+    });
+
+    it('should tail and timestamp the logs.', function(done) {
+      kbox.engine.logs(cid, {tail: 2, timestamps: true}, function(err, stream) {
+        expect(err).to.equal(null);
+        consume(stream, function(data) {
+          var lines = data.split('\n');
+          expect(lines).to.have.length(3);
+          expect(lines[0]).to.match(/^\d{4}-\d\d-\d\dT.* two$/);
+          expect(lines[1]).to.match(/ three$/);
+          done();
+        });
+      });
+    });
+
+    it('should follow the logs until the container stops.', function(done) {
+      kbox.engine.logs(cid, {follow: true, tail: 0}, function(err, stream) {
+        consume(stream, function(data) {
+          expect(data).to.equal('four\n');
+          done();
+        });
+        env.engine.writeLog(cid, 'four');
+        kbox.engine.stop(cid, function() {});
+      });
+    });
+
+    it('should fail on engines without logs.', function(done) {
+      var logs = env.engine.logs;
+      delete env.engine.logs;
+      kbox.engine.logs(cid, function(err) {
+        env.engine.logs = logs;
+        expect(err.message).to.equal('Engine kalabox-engine-memory does ' +
+          'not support logs, update it to a version that does.');
+        done();
+      });
+    });
+
+  });
+
+  describe('#stats()', function() {
+
+    this.timeout(10 * 1000);
+
+    it('should report resource usage of a running container.',
+      function(done) {
+      kbox.engine.build({name: 'busybox'}, function() {
+        kbox.engine.create({Image: 'busybox'}, function(err, container) {
+          var cid = container.cid;
+          kbox.engine.stats(cid, function(err) {
+            expect(err.message).to.match(/is not running/);
+            kbox.engine.start(cid, function() {
+              env.engine.setStats(cid, {
+                cpuPercent: 12.5,
+                memory: {usage: 1024 * 1024 * 1024}
+              });
+              kbox.engine.stats(cid, function(err, stats) {
+                expect(err).to.equal(null);
+                expect(stats.cpuPercent).to.equal(12.5);
+                expect(stats.memory.percent).to.equal(50);
+                expect(stats.network.rxBytes).to.equal(0);
+                done();
+              });
+            });
+          });
+        });
+      });
+    });
+
+  });
+
+  describe('#listImages()', function() {
+
+    it('should leave rebuilt images dangling until they are removed.',
+      function(done) {
+      var image = {name: 'kalabox/php', build: true, srcRoot: __dirname};
+      kbox.engine.build(image, function(err) {
+        expect(err).to.equal(null);
+        kbox.engine.build(image, function(err) {
+          expect(err).to.equal(null);
+          kbox.engine.listImages(function(err, images) {
+            expect(err).to.equal(null);
+            expect(_.pluck(images, 'name')).to.deep.equal([
+              'kalabox/php',
+              null
+            ]);
+            var dangling = _.find(images, 'dangling');
+            kbox.engine.removeImage(dangling.id, function(err) {
+              expect(err).to.equal(null);
+              kbox.engine.listImages(function(err, images) {
+                expect(_.pluck(images, 'dangling')).to.deep.equal([false]);
+                done();
+              });
+            });
+          });
+        });
+      });
+    });
+
+  });
+
+});
@@ -0,0 +1,228 @@
+'use strict';
+
+var async = require('async');
+var chai = require('chai');
+var expect = chai.expect;
+var kbox = require('../../lib/kbox.js');
+var testUtil = require('../../lib/testUtil.js');
+var _ = require('lodash');
+
+describe('apps task', function() {
+
+  var env = null;
+  var apps = null;
+
+  this.timeout(30 * 1000);
+
+  /*
+   * Split the lines of a table into their cells, by the first cell.
+   */
+  var toRows = function(output) {
+    var lines = _.filter(output.split('\n'), function(line) {
+      return / {3}/.test(line);
+    });
+    return _.indexBy(_.map(lines, function(line) {
+      return line.split(/ {3,}/);
+    }), 0);
+  };
+
+  before(function(done) {
+    testUtil.memoryEngine.create(kbox, function(err, result) {
+      if (err) {
+        return done(err);
+      }
+      env = result;
+      var web = {image: {name: 'kalabox/nginx:stable'}};
+      async.mapSeries([
+        {name: 'lewis', web: _.extend({
+          // Never gets healthy, so starting it fails.
+          healthcheck: {exec: ['false'], interval: 10, retries: 1}
+        }, web)},
+        {name: 'orbison', web: web},
+        {name: 'perkins', web: web}
+      ], function(opts, next) {
+        env.installApp(opts.name, {appComponents: {web: opts.web}}, next);
+      }, function(err, results) {
+        apps = _.indexBy(results, 'name');
+        done(err);
+      });
+    });
+  });
+
+  after(function() {
+    env.restore();
+  });
+
+  beforeEach(function(done) {
+    // Every run of kbox registers the apps it runs on anew, so drop the
+    // tasks the last run added for them.
+    var tree = kbox.tasks.getTaskTree();
+    tree.children = _.reject(tree.children, function(child) {
+      return _.has(apps, kbox.tasks.getName(child));
+    });
+    // Only orbison is running.
+    async.series([
+      function(next) {
+        async.eachSeries(_.values(apps), kbox.app.stop, next);
+      },
+      _.partial(kbox.app.start, apps.orbison)
+    ], done);
+  });
+
+  it('should display a table of the apps.', function(done) {
+    env.runTask(['apps', '--', '--table'], function(err, output) {
+      expect(err).to.equal(null);
+      expect(toRows(output)).to.deep.equal({
+        APP: ['APP', 'STATE', 'RUNNING', 'URL'],
+        lewis: ['lewis', 'stopped', '0/1', apps.lewis.url],
+        orbison: ['orbison', 'running', '1/1', apps.orbison.url],
+        perkins: ['perkins', 'stopped', '0/1', apps.perkins.url]
+      });
+      done();
+    });
+  });
+
+  it('should only display the app names with names.', function(done) {
+    env.runTask(['apps', '--', '-n'], function(err, output) {
+      expect(err).to.equal(null);
+      expect(output).to.equal('lewis\norbison\nperkins\n');
+      done();
+    });
+  });
+
+  it('should display the apps as json by default.', function(done) {
+    env.runTask(['apps'], function(err, output) {
+      expect(err).to.equal(null);
+      var json = JSON.parse(output);
+      expect(_.keys(json)).to.deep.equal(['lewis', 'orbison', 'perkins']);
+      expect(json.orbison).to.deep.equal({
+        state: 'running',
+        url: apps.orbison.url,
+        running: 1,
+        total: 1
+      });
+      done();
+    });
+  });
+
+  describe('start, stop and restart', function() {
+
+    it('should only run on apps selected on purpose.', function(done) {
+      async.series([
+        function(next) {
+          env.runTask(['apps', 'start'], function(err, output) {
+            expect(err.message).to.equal('Use --all to start every app, ' +
+              'or select apps with --name or --state.');
+            expect(output).to.equal('');
+            next();
+          });
+        },
+        function(next) {
+          var args = ['apps', 'stop', '--', '-a', '--concurrency', 'many'];
+          env.runTask(args, function(err) {
+            expect(err.message).to.equal('Invalid concurrency: many');
+            next();
+          });
+        },
+        function(next) {
+          env.runTask(['apps', 'restart', '--', '--every'], function(err) {
+            expect(err.message).to.match(/^Unknown argument/);
+            next();
+          });
+        }
+      ], done);
+    });
+
+    it('should run on every app and fail when some of them fail.',
+      function(done) {
+      env.runTask(['apps', 'start', '--', '--all'], function(err, output) {
+        expect(err.message).to.equal('Failed to start 1 of 3 app(s).');
+        expect(output).to.contain('Starting lewis...\n' +
+          'Failed to start lewis: Component [web] is unhealthy after 1 ' +
+          'attempts: false exited with code 1.\n');
+        expect(output).to.contain('Starting perkins...\nStarted perkins.\n');
+        var rows = toRows(output);
+        expect(rows.APP).to.deep.equal(['APP', 'RESULT', 'TIME', 'ERROR']);
+        expect(rows.lewis[1]).to.equal('failed');
+        expect(rows.lewis[3]).to.match(/^Component \[web\] is unhealthy/);
+        expect(rows.orbison[1]).to.equal('ok');
+        expect(rows.orbison[2]).to.match(/^\d+\.\ds$/);
+        expect(rows.perkins[1]).to.equal('ok');
+        done();
+      });
+    });
+
+    it('should skip the remaining apps with fail fast.', function(done) {
+      var args = ['apps', 'start', '--', '--all', '--fail-fast'];
+      env.runTask(args, function(err, output) {
+        expect(err.message).to.equal('Failed to start 1 of 3 app(s).');
+        expect(output).to.not.contain('Starting orbison');
+        var rows = toRows(output);
+        expect(rows.lewis[1]).to.equal('failed');
+        expect(rows.orbison).to.deep.equal(['orbison', 'skipped']);
+        expect(rows.perkins).to.deep.equal(['perkins', 'skipped']);
+        done();
+      });
+    });
+
+    it('should only run on apps in the state given.', function(done) {
+      var args = ['apps', 'stop', '--', '--state', 'running'];
+      env.runTask(args, function(err, output) {
+        expect(err).to.equal(null);
+        expect(_.keys(toRows(output))).to.deep.equal(['APP', 'orbison']);
+        expect(output).to.contain('Stopping orbison...\nStopped orbison.\n');
+        done();
+      });
+    });
+
+    it('should only run on apps matching the names given.', function(done) {
+      var args = ['apps', 'restart', '--', '--name', 'o*, p?rkins'];
+      env.runTask(args, function(err, output) {
+        expect(err).to.equal(null);
+        expect(_.keys(toRows(output))).to.deep.equal(['APP', 'orbison',
+          'perkins']);
+        expect(output).to.contain('Restarted perkins.\n');
+        done();
+      });
+    });
+
+    it('should run each app like kbox does when it is run for the app.',
+      function(done) {
+      var seen = [];
+      kbox.core.events.on('pre-start', function(app, next) {
+        if (seen) {
+          seen.push([app.name, kbox.core.deps.lookup('app').name,
+            kbox.core.deps.lookup('appConfig').appName]);
+        }
+        next();
+      });
+      var args = ['apps', 'start', '--', '--name', 'perkins'];
+      env.runTask(args, function(err) {
+        var found = kbox.tasks.find({
+          payload: ['perkins', 'status'],
+          options: {},
+          rawOptions: []
+        });
+        var registered = seen;
+        seen = null;
+        expect(err).to.equal(null);
+        expect(registered).to.deep.equal([['perkins', 'perkins', 'perkins']]);
+        // The whenApp handlers of plugins ran for the app.
+        expect(found.path).to.deep.equal(['status']);
+        expect(kbox.core.deps.contains('app')).to.equal(false);
+        done();
+      });
+    });
+
+    it('should do nothing when no apps match.', function(done) {
+      var args = ['apps', 'stop', '--', '--name', 'presley'];
+      env.runTask(args, function(err, output) {
+        expect(err).to.equal(null);
+        expect(output).to.equal('No apps to stop.\n');
+        done();
+      });
+    });
+
+  });
+
+});
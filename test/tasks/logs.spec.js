@@ -0,0 +1,164 @@
+'use strict';
+
+var async = require('async');
+var chai = require('chai');
+var expect = chai.expect;
+var kbox = require('../../lib/kbox.js');
+var testUtil = require('../../lib/testUtil.js');
+
+describe('logs task', function() {
+
+  var env = null;
+  var app = null;
+
+  this.timeout(30 * 1000);
+
+  before(function(done) {
+    testUtil.memoryEngine.create(kbox, function(err, result) {
+      if (err) {
+        return done(err);
+      }
+      env = result;
+      env.startApp('phillips', {
+        appComponents: {
+          web: {image: {name: 'kalabox/nginx:stable'}},
+          db: {image: {name: 'kalabox/mariadb:stable'}}
+        }
+      }, function(err, result) {
+        app = result;
+        if (!err) {
+          env.engine.writeLog(app.components.web.containerId, 'web one');
+          env.engine.writeLog(app.components.web.containerId, 'web two');
+          env.engine.writeLog(app.components.db.containerId, 'db one');
+        }
+        done(err);
+      });
+    });
+  });
+
+  after(function() {
+    env.restore();
+  });
+
+  it('should display the logs of every component, prefixed with its name.',
+    function(done) {
+    env.runTask(['phillips', 'logs'], function(err, output) {
+      expect(err).to.equal(null);
+      expect(output).to.match(/^web +\| web one\nweb +\| web two$/m);
+      expect(output).to.match(/^db +\| db one$/m);
+      done();
+    });
+  });
+
+  it('should only display the logs of the components given.', function(done) {
+    env.runTask(['phillips', 'logs', 'db'], function(err, output) {
+      expect(err).to.equal(null);
+      expect(output).to.equal('db | db one\n');
+      done();
+    });
+  });
+
+  it('should pass the tail and timestamps options on.', function(done) {
+    var args = ['phillips', 'logs', 'web', '--', '--tail', '1', '-t'];
+    env.runTask(args, function(err, output) {
+      expect(err).to.equal(null);
+      expect(output).to.match(/^web \| \d{4}-\d\d-\d\dT\S+Z web two\n$/);
+      done();
+    });
+  });
+
+  it('should only display logs since a date.', function(done) {
+    var args = ['phillips', 'logs', '--', '--since', '2100-01-01'];
+    env.runTask(args, function(err, output) {
+      expect(err).to.equal(null);
+      expect(output).to.equal('');
+      done();
+    });
+  });
+
+  it('should keep following the logs with follow.', function(done) {
+    env.runTask(['phillips', 'logs', 'web', '--', '-f'], function(err, output) {
+      expect(err).to.equal(null);
+      expect(output).to.match(/web \| web two\nweb \| web three\n$/);
+      kbox.app.start(app, done);
+    });
+    setTimeout(function() {
+      env.engine.writeLog(app.components.web.containerId, 'web three');
+      // Stopping the app ends the logs being followed.
+      kbox.app.stop(app, function(err) {
+        expect(err || null).to.equal(null);
+      });
+    }, 100);
+  });
+
+  it('should display the logs of a stopped app.', function(done) {
+    kbox.app.stop(app, function(err) {
+      expect(err || null).to.equal(null);
+      env.runTask(['phillips', 'logs', 'db'], function(err, output) {
+        kbox.app.start(app, function() {
+          expect(err).to.equal(null);
+          expect(output).to.equal('db | db one\n');
+          done();
+        });
+      });
+    });
+  });
+
+  it('should skip components that are not installed.', function(done) {
+    var cid = app.components.web.containerId;
+    app.components.web.containerId = null;
+    env.runTask(['phillips', 'logs'], function(err, output) {
+      env.runTask(['phillips', 'logs', 'web'], function(webErr) {
+        app.components.web.containerId = cid;
+        expect(err).to.equal(null);
+        expect(output).to.match(/^db +\| db one\n$/);
+        expect(webErr.message).to.equal('Component [web] is not installed.');
+        done();
+      });
+    });
+  });
+
+  it('should fail with invalid options.', function(done) {
+    async.series([
+      function(next) {
+        env.runTask(['phillips', 'logs', '--', '--tail', 'ten'], function(err) {
+          expect(err.message).to.equal('Invalid number of lines to tail: ten');
+          next();
+        });
+      },
+      function(next) {
+        var args = ['phillips', 'logs', '--', '--since', 'yesterday'];
+        env.runTask(args, function(err) {
+          expect(err.message).to.equal('Invalid since timestamp: yesterday');
+          next();
+        });
+      },
+      function(next) {
+        env.runTask(['phillips', 'logs', '--', '--lines'], function(err) {
+          expect(err.message).to.match(/^Unknown argument/);
+          next();
+        });
+      },
+      function(next) {
+        env.runTask(['phillips', 'logs', 'cache'], function(err) {
+          expect(err.message).to.equal('Component [cache] does not exist.');
+          next();
+        });
+      }
+    ], done);
+  });
+
+  it('should fail when the logs of a component can\'t be read.',
+    function(done) {
+    var cid = app.components.db.containerId;
+    app.components.db.containerId = 'gone';
+    // Leave the other components without logs to display.
+    var args = ['phillips', 'logs', '--', '--since', '2100-01-01'];
+    env.runTask(args, function(err) {
+      app.components.db.containerId = cid;
+      expect(err.message).to.equal('No such container: gone');
+      done();
+    });
+  });
+
+});
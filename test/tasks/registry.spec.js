@@ -0,0 +1,309 @@
+'use strict';
+
+var async = require('async');
+var chai = require('chai');
+var expect = chai.expect;
+var disco = require('../../lib/app/discovery.js');
+var fs = require('fs-extra');
+var kbox = require('../../lib/kbox.js');
+var path = require('path');
+var testUtil = require('../../lib/testUtil.js');
+var _ = require('lodash');
+
+describe('registry tasks', function() {
+
+  var env = null;
+  var dirs = null;
+
+  this.timeout(30 * 1000);
+
+  /*
+   * Write a kalabox.json to a dir.
+   */
+  var write = function(dir, data) {
+    fs.mkdirpSync(dir);
+    fs.writeFileSync(path.join(dir, 'kalabox.json'), data);
+  };
+
+  before(function(done) {
+    testUtil.memoryEngine.create(kbox, function(err, result) {
+      env = result;
+      var root = env.globalConfig.appsRoot;
+      dirs = {
+        rufus: path.join(root, 'rufus'),
+        carla: path.join(root, 'carla'),
+        broken: path.join(root, 'broken'),
+        gone: path.join(env.root, 'gone'),
+        moved: path.join(env.root, 'moved')
+      };
+      done(err);
+    });
+  });
+
+  after(function() {
+    env.restore();
+  });
+
+  beforeEach(function() {
+    fs.removeSync(env.globalConfig.appsRoot);
+    fs.removeSync(env.globalConfig.appRegistry);
+    fs.removeSync(dirs.moved);
+    write(dirs.rufus, JSON.stringify({appName: 'rufus'}));
+    write(dirs.carla, JSON.stringify({appName: 'carla'}));
+  });
+
+  describe('apps scan', function() {
+
+    it('should only display the apps found with dry run.', function(done) {
+      env.runTask(['apps', 'scan', '--', '--dry-run'], function(err, output) {
+        expect(err).to.equal(null);
+        expect(output.split('\n').sort()).to.deep.equal([
+          '',
+          'Found carla in ' + dirs.carla,
+          'Found rufus in ' + dirs.rufus
+        ]);
+        kbox.app.listAppDirs(function(err, appDirs) {
+          expect(appDirs).to.deep.equal([]);
+          done();
+        });
+      });
+    });
+
+    it('should add the apps found to the app registry.', function(done) {
+      env.runTask(['apps', 'scan'], function(err, output) {
+        expect(err).to.equal(null);
+        expect(output).to.contain('Added rufus in ' + dirs.rufus + '\n');
+        env.runTask(['apps', 'scan'], function(err, output) {
+          expect(err).to.equal(null);
+          expect(output).to.equal('No new apps found.\n');
+          done();
+        });
+      });
+    });
+
+    it('should skip directories with an invalid kalabox.json.',
+      function(done) {
+      write(dirs.broken, '{');
+      env.runTask(['apps', 'scan'], function(err, output) {
+        expect(err).to.equal(null);
+        expect(output).to.not.contain(dirs.broken);
+        kbox.app.listAppDirs(function(err, appDirs) {
+          expect(_.pluck(appDirs, 'appName').sort()).to.deep.equal(['carla',
+            'rufus']);
+          done();
+        });
+      });
+    });
+
+  });
+
+  describe('apps registry list', function() {
+
+    it('should display the app registry.', function(done) {
+      write(dirs.broken, '{');
+      async.eachSeries([dirs.rufus, dirs.broken, dirs.gone],
+        disco.registerAppDir, function(err) {
+        expect(err || null).to.equal(null);
+        env.runTask(['apps', 'registry', 'list'], function(err, output) {
+          expect(err).to.equal(null);
+          var lines = output.split('\n');
+          expect(lines[0]).to.match(/^DIR +APP +STATE$/);
+          expect(lines[1].split(/ {3,}/)).to.deep.equal([dirs.rufus, 'rufus',
+            'ok']);
+          expect(lines[2].split(/ {3,}/)).to.deep.equal([dirs.broken,
+            'invalid']);
+          expect(lines[3].split(/ {3,}/)).to.deep.equal([dirs.gone,
+            'missing']);
+          done();
+        });
+      });
+    });
+
+    it('should display the app registry as json.', function(done) {
+      write(dirs.broken, '{');
+      async.eachSeries([dirs.rufus, dirs.broken], disco.registerAppDir,
+      function(err) {
+        expect(err || null).to.equal(null);
+        var args = ['apps', 'registry', 'list', '--', '--json'];
+        env.runTask(args, function(err, output) {
+          expect(err).to.equal(null);
+          var appDirs = JSON.parse(output);
+          expect(appDirs[0]).to.deep.equal({
+            dir: dirs.rufus,
+            appName: 'rufus',
+            state: 'ok'
+          });
+          expect(appDirs[1].state).to.equal('invalid');
+          expect(appDirs[1].error).to.be.a('string');
+          done();
+        });
+      });
+    });
+
+    it('should say when the app registry is empty.', function(done) {
+      env.runTask(['apps', 'registry', 'list'], function(err, output) {
+        expect(err).to.equal(null);
+        expect(output).to.equal('The app registry is empty.\n');
+        done();
+      });
+    });
+
+  });
+
+  describe('apps registry forget', function() {
+
+    beforeEach(function(done) {
+      async.eachSeries([dirs.rufus, dirs.carla], disco.registerAppDir, done);
+    });
+
+    it('should forget apps by name or directory.', function(done) {
+      var args = ['apps', 'registry', 'forget', 'rufus', dirs.carla];
+      env.runTask(args, function(err, output) {
+        expect(err).to.equal(null);
+        expect(output).to.equal('Forgot ' + dirs.rufus + '\nForgot ' +
+          dirs.carla + '\n');
+        kbox.app.listAppDirs(function(err, appDirs) {
+          expect(appDirs).to.deep.equal([]);
+          done();
+        });
+      });
+    });
+
+    it('should fail after forgetting the apps before a failure.',
+      function(done) {
+      var args = ['apps', 'registry', 'forget', 'rufus', 'elvis', 'carla'];
+      env.runTask(args, function(err, output) {
+        expect(err.message).to.equal('[elvis] is not in the app registry.');
+        expect(output).to.equal('Forgot ' + dirs.rufus + '\n');
+        kbox.app.listAppDirs(function(err, appDirs) {
+          expect(_.pluck(appDirs, 'appName')).to.deep.equal(['carla']);
+          done();
+        });
+      });
+    });
+
+    it('should not find the apps it forgot again.', function(done) {
+      env.runTask(['apps', 'registry', 'forget', 'rufus'], function(err) {
+        expect(err).to.equal(null);
+        env.runTask(['apps', 'scan'], function(err, output) {
+          expect(err).to.equal(null);
+          expect(output).to.equal('No new apps found.\n');
+          kbox.app.list(function(err, apps) {
+            expect(err).to.equal(null);
+            expect(_.pluck(apps, 'name')).to.deep.equal(['carla']);
+            // Until they are registered again.
+            disco.registerAppDir(dirs.rufus, function(err) {
+              expect(err || null).to.equal(null);
+              kbox.app.list(function(err, apps) {
+                expect(_.pluck(apps, 'name').sort()).to.deep.equal(['carla',
+                  'rufus']);
+                done();
+              });
+            });
+          });
+        });
+      });
+    });
+
+    it('should fail without apps to forget.', function(done) {
+      env.runTask(['apps', 'registry', 'forget'], function(err) {
+        expect(err.message).to.equal('Name the apps or directories to ' +
+          'forget.');
+        done();
+      });
+    });
+
+  });
+
+  describe('apps registry prune', function() {
+
+    it('should remove the directories that are gone.', function(done) {
+      async.eachSeries([dirs.rufus, dirs.gone], disco.registerAppDir,
+      function(err) {
+        expect(err || null).to.equal(null);
+        env.runTask(['apps', 'registry', 'prune'], function(err, output) {
+          expect(err).to.equal(null);
+          expect(output).to.equal('Removed ' + dirs.gone + '\n');
+          env.runTask(['apps', 'registry', 'prune'], function(err, output) {
+            expect(err).to.equal(null);
+            expect(output).to.equal('Nothing to prune.\n');
+            done();
+          });
+        });
+      });
+    });
+
+    it('should not find the directories it removed again.', function(done) {
+      var elvis = path.join(env.globalConfig.appsRoot, 'elvis');
+      disco.registerAppDir(elvis, function(err) {
+        expect(err || null).to.equal(null);
+        env.runTask(['apps', 'registry', 'prune'], function(err) {
+          expect(err).to.equal(null);
+          write(elvis, JSON.stringify({appName: 'elvis'}));
+          env.runTask(['apps', 'scan'], function(err, output) {
+            expect(err).to.equal(null);
+            expect(output).to.not.contain('elvis');
+            done();
+          });
+        });
+      });
+    });
+
+  });
+
+  describe('apps registry move', function() {
+
+    beforeEach(function(done) {
+      write(dirs.moved, JSON.stringify({appName: 'rufus'}));
+      async.eachSeries([dirs.rufus, dirs.carla], disco.registerAppDir, done);
+    });
+
+    it('should point the app registry at the new directory.',
+      function(done) {
+      var args = ['apps', 'registry', 'move', 'rufus', dirs.moved];
+      env.runTask(args, function(err, output) {
+        expect(err).to.equal(null);
+        expect(output).to.equal('Moved rufus to ' + dirs.moved + '\n');
+        kbox.app.listAppDirs(function(err, appDirs) {
+          expect(_.pluck(appDirs, 'dir')).to.deep.equal([dirs.moved,
+            dirs.carla]);
+          done();
+        });
+      });
+    });
+
+    it('should fail to move an app to another app.', function(done) {
+      var args = ['apps', 'registry', 'move', 'carla', dirs.moved];
+      env.runTask(args, function(err, output) {
+        expect(err.message).to.equal(dirs.moved + ' contains app [rufus] ' +
+          'instead of [carla].');
+        expect(output).to.equal('');
+        done();
+      });
+    });
+
+    it('should fail to move an app to a directory without an app.',
+      function(done) {
+      var args = ['apps', 'registry', 'move', 'rufus', env.root];
+      env.runTask(args, function(err, output) {
+        expect(err.message).to.equal(env.root + ' does not contain a ' +
+          'kalabox.json.');
+        expect(output).to.equal('');
+        kbox.app.listAppDirs(function(err, appDirs) {
+          expect(_.pluck(appDirs, 'dir')).to.deep.equal([dirs.rufus,
+            dirs.carla]);
+          done();
+        });
+      });
+    });
+
+    it('should fail without a name and a directory.', function(done) {
+      env.runTask(['apps', 'registry', 'move', 'rufus'], function(err) {
+        expect(err.message).to.match(/^Expected exactly 2 arguments/);
+        done();
+      });
+    });
+
+  });
+
+});
@@ -0,0 +1,179 @@
+'use strict';
+
+var async = require('async');
+var chai = require('chai');
+var expect = chai.expect;
+var kbox = require('../../lib/kbox.js');
+var PassThrough = require('stream').PassThrough;
+var testUtil = require('../../lib/testUtil.js');
+var _ = require('lodash');
+
+describe('ssh task', function() {
+
+  var env = null;
+  var app = null;
+  var execInteractive = kbox.engine.execInteractive;
+
+  this.timeout(30 * 1000);
+
+  before(function(done) {
+    testUtil.memoryEngine.create(kbox, function(err, result) {
+      if (err) {
+        return done(err);
+      }
+      env = result;
+      env.startApp('lansky', {
+        appComponents: {
+          web: {image: {name: 'kalabox/nginx:stable'}},
+          db: {
+            image: {name: 'kalabox/mariadb:stable'},
+            shell: {
+              cmd: ['mysql'],
+              user: 'mysql',
+              workingDir: '/var/lib/mysql'
+            }
+          }
+        }
+      }, function(err, result) {
+        app = result;
+        done(err);
+      });
+    });
+  });
+
+  after(function() {
+    env.restore();
+  });
+
+  beforeEach(function() {
+    // Echo what was run, and how, as the output of the exec.
+    env.engine.setExecHandler(function(container, cmd, opts) {
+      var code = _.parseInt(_.last(cmd).replace(/^exit /, ''));
+      return {
+        stdout: [cmd.join(' '), opts.user, opts.workingDir].join(' | '),
+        code: _.isNaN(code) ? 0 : code
+      };
+    });
+    // Close stdin right away, the way a piped empty input would.
+    kbox.engine.execInteractive = function(cid, cmd, opts, callback) {
+      var stdin = new PassThrough();
+      stdin.end();
+      opts = _.extend({}, opts, {stdin: stdin, stderr: process.stdout});
+      execInteractive(cid, cmd, opts, callback);
+    };
+  });
+
+  afterEach(function() {
+    kbox.engine.execInteractive = execInteractive;
+    env.engine.setExecHandler(null);
+  });
+
+  it('should run a command in the code directory of a component.',
+    function(done) {
+    env.runTask(['lansky', 'ssh', 'web', 'ls', '-la'], function(err, output) {
+      expect(err).to.equal(null);
+      expect(output).to.equal('ls -la |  | /code');
+      done();
+    });
+  });
+
+  it('should open the shell of a component as its user.', function(done) {
+    env.runTask(['lansky', 'ssh', 'db'], function(err, output) {
+      expect(err).to.equal(null);
+      expect(output).to.equal('mysql | mysql | /var/lib/mysql');
+      done();
+    });
+  });
+
+  it('should open bash or sh when a component has no shell.',
+    function(done) {
+    env.runTask(['lansky', 'ssh', 'web'], function(err, output) {
+      expect(err).to.equal(null);
+      expect(output).to.match(/^sh -c if command -v bash .* \|  \| \/code$/);
+      done();
+    });
+  });
+
+  it('should run as the user given.', function(done) {
+    var args = ['lansky', 'ssh', 'db', 'whoami', '--', '-u', 'root'];
+    env.runTask(args, function(err, output) {
+      expect(err).to.equal(null);
+      expect(output).to.equal('whoami | root | /var/lib/mysql');
+      done();
+    });
+  });
+
+  it('should fail when a command fails, but not when a shell does.',
+    function(done) {
+    async.series([
+      function(next) {
+        var args = ['lansky', 'ssh', 'web', 'sh', '-c', 'exit 3'];
+        env.runTask(args, function(err) {
+          expect(err.message).to.equal('Command exited with code 3.');
+          next();
+        });
+      },
+      function(next) {
+        env.engine.setExecHandler(function() {
+          return {code: 130};
+        });
+        env.runTask(['lansky', 'ssh', 'db'], function(err) {
+          expect(err).to.equal(null);
+          next();
+        });
+      }
+    ], done);
+  });
+
+  it('should fail without a component.', function(done) {
+    async.series([
+      function(next) {
+        env.runTask(['lansky', 'ssh'], function(err) {
+          expect(err.message).to.equal('Specify a component to open a ' +
+            'shell in.');
+          next();
+        });
+      },
+      function(next) {
+        env.runTask(['lansky', 'ssh', 'cache'], function(err) {
+          expect(err.message).to.equal('Component [cache] does not exist.');
+          next();
+        });
+      }
+    ], done);
+  });
+
+  it('should fail on components that are not installed.', function(done) {
+    var cid = app.components.web.containerId;
+    app.components.web.containerId = null;
+    env.runTask(['lansky', 'ssh', 'web', 'ls'], function(err, output) {
+      app.components.web.containerId = cid;
+      expect(err.message).to.equal('Component [web] is not installed.');
+      expect(output).to.equal('');
+      done();
+    });
+  });
+
+  it('should fail on a stopped app.', function(done) {
+    kbox.app.stop(app, function(err) {
+      expect(err || null).to.equal(null);
+      env.runTask(['lansky', 'ssh', 'db'], function(err, output) {
+        kbox.app.start(app, function() {
+          expect(err.message).to.equal('Component [db] is not running.');
+          expect(output).to.equal('');
+          done();
+        });
+      });
+    });
+  });
+
+  it('should not be recorded in the app\'s history.', function() {
+    var task = kbox.tasks.find({
+      payload: ['lansky', 'ssh'],
+      options: {},
+      rawOptions: []
+    });
+    expect(task.history).to.equal(false);
+  });
+
+});
@@ -0,0 +1,166 @@
+'use strict';
+
+var async = require('async');
+var chai = require('chai');
+var expect = chai.expect;
+var kbox = require('../../lib/kbox.js');
+var testUtil = require('../../lib/testUtil.js');
+var _ = require('lodash');
+
+describe('stats task', function() {
+
+  var env = null;
+  var app = null;
+
+  this.timeout(30 * 1000);
+
+  /*
+   * Split the lines of a table into their cells.
+   */
+  var toCells = function(output) {
+    return _.map(_.compact(output.split('\n')), function(line) {
+      return line.split(/ {3,}/);
+    });
+  };
+
+  before(function(done) {
+    testUtil.memoryEngine.create(kbox, function(err, result) {
+      if (err) {
+        return done(err);
+      }
+      env = result;
+      env.startApp('fontana', {
+        appComponents: {
+          web: {image: {name: 'kalabox/nginx:stable'}},
+          db: {image: {name: 'kalabox/mariadb:stable'}}
+        }
+      }, function(err, result) {
+        if (err) {
+          return done(err);
+        }
+        app = result;
+        env.engine.setStats(app.components.web.containerId, {
+          cpuPercent: 12.5,
+          memory: {usage: 1024 * 1024 * 1024},
+          network: {rxBytes: 1500, txBytes: 500},
+          blockIo: {readBytes: 2000000}
+        });
+        kbox.engine.stop(app.components.db.containerId, done);
+      });
+    });
+  });
+
+  after(function() {
+    env.restore();
+  });
+
+  it('should display a table of the usage of every component.',
+    function(done) {
+    env.runTask(['fontana', 'stats'], function(err, output) {
+      expect(err).to.equal(null);
+      var rows = _.indexBy(toCells(output), 0);
+      expect(rows.COMPONENT).to.deep.equal(['COMPONENT', 'CPU %',
+        'MEM USAGE / LIMIT', 'MEM %', 'NET I/O', 'BLOCK I/O']);
+      expect(rows.web).to.deep.equal(['web', '12.50%', '1.1 GB / 2.1 GB',
+        '50.00%', '1.5 kB / 500 B', '2.0 MB / 0 B']);
+      expect(rows.data[1]).to.equal('0.00%');
+      // Components that are not running have no usage.
+      expect(rows.db).to.deep.equal(['db', '-', '-', '-', '-', '-']);
+      done();
+    });
+  });
+
+  it('should only display the components given.', function(done) {
+    env.runTask(['fontana', 'stats', 'web'], function(err, output) {
+      expect(err).to.equal(null);
+      expect(_.pluck(toCells(output), 0)).to.deep.equal(['COMPONENT', 'web']);
+      done();
+    });
+  });
+
+  it('should display the usage as json.', function(done) {
+    env.runTask(['fontana', 'stats', '--', '--json'], function(err, output) {
+      expect(err).to.equal(null);
+      var stats = JSON.parse(output);
+      expect(stats.db).to.deep.equal({running: false});
+      expect(stats.web.running).to.equal(true);
+      expect(stats.web.cpuPercent).to.equal(12.5);
+      expect(stats.web.memory.percent).to.equal(50);
+      done();
+    });
+  });
+
+  it('should display no usage for a stopped app.', function(done) {
+    kbox.app.stop(app, function(err) {
+      expect(err || null).to.equal(null);
+      env.runTask(['fontana', 'stats', '--', '--json'], function(err, output) {
+        kbox.app.start(app, function() {
+          kbox.engine.stop(app.components.db.containerId, function() {
+            expect(err).to.equal(null);
+            expect(JSON.parse(output)).to.deep.equal({
+              web: {running: false},
+              db: {running: false},
+              data: {running: false}
+            });
+            done();
+          });
+        });
+      });
+    });
+  });
+
+  it('should fail on components that are not installed.', function(done) {
+    var cid = app.components.web.containerId;
+    app.components.web.containerId = null;
+    env.runTask(['fontana', 'stats', 'web'], function(err, output) {
+      app.components.web.containerId = cid;
+      expect(err.message).to.equal('Component [web] is not installed.');
+      expect(output).to.equal('');
+      done();
+    });
+  });
+
+  it('should fail with invalid options.', function(done) {
+    async.series([
+      function(next) {
+        var args = ['fontana', 'stats', '--', '--json', '-w'];
+        env.runTask(args, function(err, output) {
+          expect(err.message).to.equal('The json and watch options can not ' +
+            'be used together.');
+          expect(output).to.equal('');
+          next();
+        });
+      },
+      function(next) {
+        env.runTask(['fontana', 'stats', '--', '--yaml'], function(err) {
+          expect(err.message).to.match(/^Unknown argument/);
+          next();
+        });
+      },
+      function(next) {
+        env.runTask(['fontana', 'stats', 'cache'], function(err) {
+          expect(err.message).to.equal('Component [cache] does not exist.');
+          next();
+        });
+      }
+    ], done);
+  });
+
+  it('should fail when the usage of a component can\'t be read.',
+    function(done) {
+    var stats = env.engine.stats;
+    env.engine.stats = function(cid, callback) {
+      if (cid === app.components.web.containerId) {
+        return callback(new Error('Stats are not available.'));
+      }
+      stats(cid, callback);
+    };
+    env.runTask(['fontana', 'stats'], function(err, output) {
+      env.engine.stats = stats;
+      expect(err.message).to.equal('Stats are not available.');
+      expect(output).to.equal('');
+      done();
+    });
+  });
+
+});
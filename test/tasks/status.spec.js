@@ -0,0 +1,194 @@
+'use strict';
+
+var async = require('async');
+var chai = require('chai');
+var expect = chai.expect;
+var kbox = require('../../lib/kbox.js');
+var testUtil = require('../../lib/testUtil.js');
+var _ = require('lodash');
+
+describe('status task', function() {
+
+  var env = null;
+  var app = null;
+  var healthy = true;
+
+  this.timeout(30 * 1000);
+
+  /*
+   * Split the output of the task into its heading and table rows by
+   * component name.
+   */
+  var parse = function(output) {
+    var lines = output.split('\n');
+    var rows = _.map(_.compact(lines.slice(2)), function(line) {
+      return line.split(/ {3,}/);
+    });
+    return {heading: lines[0], rows: _.indexBy(rows, 0)};
+  };
+
+  before(function(done) {
+    testUtil.memoryEngine.create(kbox, function(err, result) {
+      if (err) {
+        return done(err);
+      }
+      env = result;
+      env.engine.setExecHandler(function(container, cmd) {
+        if (cmd[0] === 'mysqladmin') {
+          return {code: healthy ? 0 : 1};
+        }
+      });
+      env.startApp('sholes', {
+        appComponents: {
+          web: {
+            image: {name: 'kalabox/nginx:stable'},
+            installOptions: {ExposedPorts: {'80/tcp': {}}}
+          },
+          db: {
+            image: {name: 'kalabox/mariadb:stable'},
+            healthcheck: {exec: ['mysqladmin', 'ping'], interval: 10,
+              retries: 1}
+          }
+        }
+      }, function(err, result) {
+        app = result;
+        done(err);
+      });
+    });
+  });
+
+  after(function() {
+    env.engine.setExecHandler(null);
+    env.restore();
+  });
+
+  beforeEach(function() {
+    healthy = true;
+  });
+
+  it('should display the state of the app and each component.',
+    function(done) {
+    env.runTask(['sholes', 'status'], function(err, output) {
+      expect(err).to.equal(null);
+      var status = parse(output);
+      expect(status.heading).to.equal('sholes is running at ' + app.url);
+      expect(status.rows.COMPONENT).to.deep.equal(['COMPONENT', 'STATE',
+        'CONTAINER', 'IMAGE', 'UPTIME', 'URL', 'PORTS']);
+      var web = status.rows.web;
+      expect(web.slice(0, 4)).to.deep.equal(['web', 'running',
+        app.components.web.containerId.slice(0, 12), 'kalabox/nginx:stable']);
+      expect(web[4]).to.match(/^\d+s$/);
+      expect(web[5]).to.equal(app.components.web.url);
+      expect(web[6]).to.match(/^80\/tcp->\d+$/);
+      expect(status.rows.db[6]).to.equal('-');
+      done();
+    });
+  });
+
+  it('should display why a component is unhealthy.', function(done) {
+    healthy = false;
+    env.runTask(['sholes', 'status'], function(err, output) {
+      expect(err).to.equal(null);
+      var status = parse(output);
+      expect(status.heading).to.equal('sholes is unhealthy at ' + app.url);
+      expect(status.rows.db[1]).to.equal('unhealthy');
+      expect(output).to.match(/\n\ndb is unhealthy: mysqladmin ping exited /);
+      done();
+    });
+  });
+
+  it('should display stopped components.', function(done) {
+    var web = app.components.web.containerId;
+    kbox.engine.stop(web, function() {
+      env.runTask(['sholes', 'status'], function(err, output) {
+        var status = parse(output);
+        kbox.engine.start(web, function() {
+          expect(err).to.equal(null);
+          expect(status.heading).to.equal('sholes is partial at ' + app.url);
+          expect(status.rows.web[1]).to.equal('stopped');
+          expect(status.rows.web[4]).to.equal('-');
+          done();
+        });
+      });
+    });
+  });
+
+  it('should display a stopped app.', function(done) {
+    kbox.app.stop(app, function(err) {
+      expect(err || null).to.equal(null);
+      env.runTask(['sholes', 'status'], function(err, output) {
+        var status = parse(output);
+        kbox.app.start(app, function() {
+          expect(err).to.equal(null);
+          expect(status.heading).to.equal('sholes is stopped at ' + app.url);
+          expect(status.rows.web[1]).to.equal('stopped');
+          expect(status.rows.db[1]).to.equal('stopped');
+          expect(output).to.not.contain('unhealthy');
+          done();
+        });
+      });
+    });
+  });
+
+  it('should display components that are not installed.', function(done) {
+    var cid = app.components.web.containerId;
+    app.components.web.containerId = null;
+    env.runTask(['sholes', 'status'], function(err, output) {
+      app.components.web.containerId = cid;
+      expect(err).to.equal(null);
+      var status = parse(output);
+      expect(status.heading).to.equal('sholes is partial at ' + app.url);
+      expect(status.rows.web.slice(0, 3)).to.deep.equal(['web',
+        'not installed', '-']);
+      done();
+    });
+  });
+
+  it('should display the status as json.', function(done) {
+    env.runTask(['sholes', 'status', '--', '--json'], function(err, output) {
+      expect(err).to.equal(null);
+      var status = JSON.parse(output);
+      expect(status.name).to.equal('sholes');
+      expect(status.state).to.equal('running');
+      var web = _.find(status.components, {name: 'web'});
+      expect(web.containerId).to.equal(app.components.web.containerId);
+      expect(web.ports[0].container).to.equal('80/tcp');
+      done();
+    });
+  });
+
+  it('should fail with invalid options.', function(done) {
+    async.series([
+      function(next) {
+        env.runTask(['sholes', 'status', '--', '--yaml'], function(err) {
+          expect(err.message).to.match(/^Unknown argument/);
+          next();
+        });
+      },
+      function(next) {
+        env.runTask(['sholes', 'status', 'web'], function(err) {
+          expect(err.message).to.match(/^Expected exactly 0 arguments/);
+          next();
+        });
+      }
+    ], done);
+  });
+
+  it('should fail when a component\'s status can\'t be read.',
+    function(done) {
+    var info = env.engine.info;
+    env.engine.info = function(cid, callback) {
+      if (cid === app.components.db.containerId) {
+        return callback(new Error('Engine is not responding.'));
+      }
+      info(cid, callback);
+    };
+    env.runTask(['sholes', 'status'], function(err, output) {
+      env.engine.info = info;
+      expect(err.message).to.equal('Engine is not responding.');
+      expect(output).to.equal('');
+      done();
+    });
+  });
+
+});
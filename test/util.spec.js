@@ -227,6 +227,63 @@ describe('util', function() {
 
   });
 
+  describe('algo', function() {
+
+    describe('#eachGraphLimitContinue()', function() {
+
+      var deps = {a: [], b: ['a'], c: ['a'], d: ['b', 'c'], e: []};
+      var getDeps = function(name) {
+        return deps[name];
+      };
+
+      it('should respect dependencies and the concurrency limit.',
+        function(done) {
+        var running = 0;
+        var maxRunning = 0;
+        var order = [];
+        var iterator = function(name, next) {
+          running += 1;
+          maxRunning = Math.max(running, maxRunning);
+          setTimeout(function() {
+            running -= 1;
+            order.push(name);
+            next();
+          }, 5);
+        };
+        util.algo.eachGraphLimitContinue(['a', 'b', 'c', 'd', 'e'], getDeps,
+          2, iterator, function(err) {
+          expect(err).to.equal(null);
+          expect(maxRunning).to.equal(2);
+          expect(order.indexOf('a')).to.be.below(order.indexOf('b'));
+          expect(order.indexOf('a')).to.be.below(order.indexOf('c'));
+          expect(order.indexOf('b')).to.be.below(order.indexOf('d'));
+          expect(order.indexOf('c')).to.be.below(order.indexOf('d'));
+          expect(order).to.have.length(5);
+          done();
+        });
+      });
+
+      it('should skip items depending on failed items.', function(done) {
+        var ran = [];
+        var iterator = function(name, next) {
+          ran.push(name);
+          next(name === 'b' || name === 'e' ? new Error(name + ' failed') :
+            null);
+        };
+        util.algo.eachGraphLimitContinue(['a', 'b', 'c', 'd', 'e'], getDeps,
+          1, iterator, function(err) {
+          expect(ran).to.deep.equal(['a', 'b', 'c', 'e']);
+          expect(err.message).to.match(/^MULTIPLE ERRORS/);
+          expect(err.message).to.contain('b failed');
+          expect(err.message).to.contain('e failed');
+          done();
+        });
+      });
+
+    });
+
+  });
+
   describe('searchForPath', function() {
 
     var fakeFs = null;
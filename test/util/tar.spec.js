@@ -0,0 +1,93 @@
+'use strict';
+
+var fs = require('fs-extra');
+var os = require('os');
+var path = require('path');
+var tar = require('tar-stream');
+var chai = require('chai');
+var expect = chai.expect;
+var util = require('../../lib/util.js');
+
+describe('tar module', function() {
+
+  var root = path.join(os.tmpdir(), 'kbox-tar-' + process.pid);
+  var dest = path.join(root, 'dest');
+
+  /*
+   * Create a tar stream of entries, each a header with optional content.
+   */
+  var createArchive = function(entries) {
+    var pack = tar.pack();
+    entries.forEach(function(entry) {
+      pack.entry(entry.header, entry.content);
+    });
+    pack.finalize();
+    return pack;
+  };
+
+  beforeEach(function() {
+    fs.mkdirsSync(dest);
+  });
+
+  afterEach(function() {
+    fs.removeSync(root);
+  });
+
+  describe('#extract()', function() {
+
+    it('should extract files, directories and symlinks.', function(done) {
+      var stream = createArchive([
+        {header: {name: 'www', type: 'directory'}},
+        {header: {name: 'www/index.php'}, content: '<?php'},
+        {header: {name: 'www/home.php', type: 'symlink',
+          linkname: 'index.php'}}
+      ]);
+      util.tar.extract(stream, dest, function(err) {
+        expect(err).to.equal(null);
+        var file = path.join(dest, 'www', 'home.php');
+        expect(fs.readFileSync(file, 'utf8')).to.equal('<?php');
+        done();
+      });
+    });
+
+    it('should refuse paths outside of the directory.', function(done) {
+      var stream = createArchive([
+        {header: {name: 'www/../../escaped'}, content: 'x'}
+      ]);
+      util.tar.extract(stream, dest, function(err) {
+        expect(err.message).to.match(/^Refusing to extract .*, it is outside/);
+        expect(fs.existsSync(path.join(root, 'escaped'))).to.equal(false);
+        done();
+      });
+    });
+
+    it('should refuse symlinks pointing outside of the directory.',
+      function(done) {
+      var stream = createArchive([
+        {header: {name: 'www', type: 'symlink', linkname: '..'}},
+        {header: {name: 'www/escaped'}, content: 'x'}
+      ]);
+      util.tar.extract(stream, dest, function(err) {
+        expect(err.message).to.match(/it is a symlink pointing outside/);
+        expect(fs.existsSync(path.join(root, 'escaped'))).to.equal(false);
+        done();
+      });
+    });
+
+    it('should refuse writing through extracted symlinks.', function(done) {
+      // Each symlink stays inside on its own, together they lead outside.
+      var stream = createArchive([
+        {header: {name: 'here', type: 'symlink', linkname: '.'}},
+        {header: {name: 'up', type: 'symlink', linkname: 'here/../x'}},
+        {header: {name: 'up'}, content: 'x'}
+      ]);
+      util.tar.extract(stream, dest, function(err) {
+        expect(err.message).to.match(/it is under a symlink/);
+        expect(fs.existsSync(path.join(root, 'x'))).to.equal(false);
+        done();
+      });
+    });
+
+  });
+
+});